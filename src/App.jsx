@@ -2,19 +2,68 @@ import { useState, useCallback, useMemo, useRef } from 'react';
 import CrystalScene from './components/Scene';
 import Sidebar from './components/Sidebar';
 import ErrorBoundary from './components/ErrorBoundary';
-import { STRUCTURES } from './data/lattices';
-import { generateXRDPattern, WAVELENGTHS } from './data/diffraction';
+import { STRUCTURES, registerStructure, applyInternalParameters } from './data/lattices';
+import {
+  generateXRDPattern, generateTOFPattern, tofConstant, tofResolution, intensityVsTemperature, siteSpecies,
+  WAVELENGTHS, DEFAULT_NEUTRON_WAVELENGTH, DEFAULT_TOF_BANK, DEFAULT_TEXTURE,
+} from './data/diffraction';
+import { parseCIF } from './data/cifParser';
+import { exportStructure } from './data/structureExport';
+import { highSymmetryPath, exportKPath } from './data/kPath';
+import { cellFromSettings } from './data/unitCell';
+import { MATERIALS, applyMaterial } from './data/materials';
+import { parseDiffractionData, comparePattern } from './data/experimentalPattern';
+import { refinePattern, refinedCellSettings } from './data/refinement';
+import { DEFAULT_PROFILE, emissionLines } from './data/powderProfile';
+import { analyseWilliamsonHall } from './data/williamsonHall';
+import { singleCrystalPattern, DEFAULT_SINGLE_CRYSTAL } from './data/singleCrystal';
+import { saedPattern, DEFAULT_SAED } from './data/electronDiffraction';
+import { mixturePattern, phaseDensity } from './data/multiPhase';
+import { sampleAbsorption } from './data/anomalousScattering';
+import { parsePeakList, indexPattern } from './data/indexing';
+import { poleFigure } from './data/poleFigure';
+import { stereographicProjection, DEFAULT_STEREOGRAM } from './data/stereographic';
 import './App.css';
 
+/** Trigger a browser download of an href (data: or blob: URL). */
+function downloadHref(href, fileName) {
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = href;
+  link.click();
+}
+
+/**
+ * Download text as a file.  The blob URL is revoked a little later:
+ * revoking straight after the click can cancel the download (Firefox,
+ * Safari).
+ */
+function downloadText(text, fileName, mime) {
+  const url = URL.createObjectURL(new Blob([text], { type: mime }));
+  downloadHref(url, fileName);
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/** Short name of a phase for legends and the peak table. */
+function phaseName(structure) {
+  return structure.material || structure.abbrev || structure.name;
+}
+
 function App() {
   const [activeStructure, setActiveStructure] = useState('fcc');
+  const [activeMaterial, setActiveMaterial] = useState(null); // key into MATERIALS
   const [settings, setSettings] = useState({
     repeat: 2,
     latticeConstant: null,
+    cellParams: {},           // b, c, alpha, beta, gamma overrides (see unitCell.js)
+    internalParams: {},       // positional parameters such as wurtzite u
     showBonds: true,
     showUnitCell: true,
     autoRotate: true,
     atomRadius: 0.3,
+    viewMode: 'real',         // 'real' | 'reciprocal' (see Scene.jsx)
+    showBrillouinZone: true,
+    showEwald: false,
   });
 
   const [millerIndices, setMillerIndices] = useState({
@@ -24,6 +73,19 @@ function App() {
     opacity: 0.45,
   });
 
+  // [uvw] arrow in the 3D view; viewDown counts "view down [uvw]" requests
+  const [direction, setDirection] = useState({ uvw: [1, 1, 1], show: false, viewDown: 0 });
+  // Angle calculator operands, three-index form (see angleBetween)
+  const [angles, setAngles] = useState({
+    first: { kind: 'plane', indices: [1, 0, 0] },
+    second: { kind: 'plane', indices: [1, 1, 0] },
+  });
+
+  const [stereogram, setStereogram] = useState(DEFAULT_STEREOGRAM);
+  // Crystal → camera rotation rows, reported by the 3D view while the
+  // stereogram follows it
+  const [viewOrientation, setViewOrientation] = useState(null);
+
   const [latticePaths, setLatticePaths] = useState({
     show: false,
     a: 4,
@@ -36,15 +98,47 @@ function App() {
 
   const [planeStats, setPlaneStats] = useState({ atomCount: 0, totalAtoms: 0 });
   const [wavelength, setWavelength] = useState('Cu K\u03b1');
+  const [radiation, setRadiation] = useState('xray');       // key into RADIATIONS
+  const [neutronWavelength, setNeutronWavelength] = useState(DEFAULT_NEUTRON_WAVELENGTH); // Å
+  const [xrdAxis, setXrdAxis] = useState('twoTheta');       // 'twoTheta' | 'tof' (neutron only)
+  const [tofBank, setTofBank] = useState(DEFAULT_TOF_BANK); // { twoTheta, flightPath }
   const [temperature, setTemperature] = useState(0); // Debye-Waller temp (K)
+  const [texture, setTexture] = useState(DEFAULT_TEXTURE); // preferred orientation { axis: [h, k, l], r }
+  const [profile, setProfile] = useState(DEFAULT_PROFILE); // peak shape (see powderProfile.js)
   const [sidebarOpen, setSidebarOpen] = useState(true);
+  const [importError, setImportError] = useState(null);
+  const [dragActive, setDragActive] = useState(false);
+  const [exportCell, setExportCell] = useState('conventional'); // 'conventional' | 'supercell'
+  const [experiment, setExperiment] = useState(null);         // measured XRD scan
+  const [overlay, setOverlay] = useState({ scale: null, zeroShift: 0 }); // scale null = least-squares
+  const [patternError, setPatternError] = useState(null);
+  const [refinement, setRefinement] = useState(null);       // last refinePattern result
+  const [xrdView, setXrdView] = useState('pattern');        // 'pattern' | 'williamsonHall'
+  const [whSource, setWhSource] = useState('simulated');    // 'simulated' | 'measured'
+  const [singleCrystal, setSingleCrystal] = useState({ ...DEFAULT_SINGLE_CRYSTAL, ...DEFAULT_SAED }); // orientation, geometry, microscope
+  const [phases, setPhases] = useState([]);               // further powder phases: { id, structureId, material, latticeConstant, weight }
+  const [primaryWeight, setPrimaryWeight] = useState(50); // weight of the structure in the 3D view (relative to the phases)
+  const [indexing, setIndexing] = useState({ unit: 'twoTheta', text: '', candidates: null, error: null }); // peak-list indexing
   const screenshotRef = useRef(null);
 
   const handleStructureChange = useCallback((id) => {
     setActiveStructure(id);
-    setSettings((prev) => ({ ...prev, latticeConstant: null }));
+    setActiveMaterial(null);
+    setRefinement(null);
+    setSettings((prev) => ({ ...prev, latticeConstant: null, cellParams: {}, internalParams: {} }));
   }, []);
 
+  // Picking a material switches to its prototype; the material's lattice
+  // parameters become the structure defaults (see applyMaterial)
+  const handleMaterialChange = useCallback((formula) => {
+    if (!formula) {
+      setActiveMaterial(null);
+      return;
+    }
+    handleStructureChange(MATERIALS[formula].prototype);
+    setActiveMaterial(formula);
+  }, [handleStructureChange]);
+
   const handleSettingsChange = useCallback((patch) => {
     setSettings((prev) => ({ ...prev, ...patch }));
   }, []);
@@ -53,6 +147,43 @@ function App() {
     setMillerIndices((prev) => ({ ...prev, ...patch }));
   }, []);
 
+  const handleDirectionChange = useCallback((patch) => {
+    setDirection((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  // Looking down a direction only makes sense with the crystal standing still
+  const handleViewDown = useCallback(() => {
+    setSettings((prev) => ({ ...prev, autoRotate: false, viewMode: 'real' }));
+    setDirection((prev) => ({ ...prev, show: true, viewDown: prev.viewDown + 1 }));
+  }, []);
+
+  const handleStereogramChange = useCallback((patch) => {
+    setStereogram((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const handleAnglesChange = useCallback((patch) => {
+    setAngles((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const handleSingleCrystalChange = useCallback((patch) => {
+    setSingleCrystal((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const handlePhaseAdd = useCallback(() => {
+    setPhases((prev) => [
+      ...prev,
+      { id: Math.max(0, ...prev.map(p => p.id)) + 1, structureId: 'nacl', material: 'NaCl', latticeConstant: null, weight: 10 },
+    ]);
+  }, []);
+
+  const handlePhaseChange = useCallback((id, patch) => {
+    setPhases((prev) => prev.map(p => (p.id === id ? { ...p, ...patch } : p)));
+  }, []);
+
+  const handlePhaseRemove = useCallback((id) => {
+    setPhases((prev) => prev.filter(p => p.id !== id));
+  }, []);
+
   const handleLatticePathsChange = useCallback((patch) => {
     setLatticePaths((prev) => ({ ...prev, ...patch }));
   }, []);
@@ -69,10 +200,7 @@ function App() {
     if (screenshotRef.current?.current) {
       try {
         const dataUrl = screenshotRef.current.current();
-        const link = document.createElement('a');
-        link.download = `crystal-${activeStructure}.png`;
-        link.href = dataUrl;
-        link.click();
+        downloadHref(dataUrl, `crystal-${activeStructure}.png`);
       } catch {
         // Canvas might not support toDataURL in some contexts
       }
@@ -83,15 +211,242 @@ function App() {
     screenshotRef.current = ref;
   }, []);
 
-  const structure = STRUCTURES[activeStructure];
-  const a = settings.latticeConstant || structure.defaultA;
-  const lambda = WAVELENGTHS[wavelength];
+  // CIF import — parse, register in STRUCTURES, and switch to it
+  const handleImportFile = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const id = registerStructure(parseCIF(text, file.name));
+      setImportError(null);
+      handleStructureChange(id);
+    } catch (err) {
+      setImportError(`${file.name}: ${err.message}`);
+    }
+  }, [handleStructureChange]);
+
+  // Measured XRD pattern overlay
+  const handleLoadPattern = useCallback(async (file) => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      setExperiment(parseDiffractionData(text, file.name));
+      setOverlay({ scale: null, zeroShift: 0 });
+      setRefinement(null);
+      setPatternError(null);
+    } catch (err) {
+      setPatternError(`${file.name}: ${err.message}`);
+    }
+  }, []);
+
+  const handleOverlayChange = useCallback((patch) => {
+    setOverlay((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const handleProfileChange = useCallback((patch) => {
+    setProfile((prev) => ({ ...prev, ...patch }));
+  }, []);
+
+  const handleDragOver = useCallback((e) => {
+    if (!e.dataTransfer?.types?.includes('Files')) return;
+    e.preventDefault();
+    setDragActive(true);
+  }, []);
+
+  const handleDrop = useCallback((e) => {
+    e.preventDefault();
+    setDragActive(false);
+    handleImportFile(e.dataTransfer.files[0]);
+  }, [handleImportFile]);
+
+  const { latticeConstant, cellParams, internalParams } = settings;
+  const structure = useMemo(
+    () => applyInternalParameters(applyMaterial(STRUCTURES[activeStructure], activeMaterial), internalParams),
+    [activeStructure, activeMaterial, internalParams]
+  );
+  const lambda = radiation === 'neutron' ? neutronWavelength : WAVELENGTHS[wavelength];
+
+  const cell = useMemo(
+    () => cellFromSettings(structure, { latticeConstant, cellParams }),
+    [structure, latticeConstant, cellParams]
+  );
+
+  // Powder mixture: the 3D structure is the first phase, followed by any
+  // extra phases at their own lattice constant (null = the material's)
+  const mixturePhases = useMemo(() => {
+    if (phases.length === 0) return null;
+    return [
+      { structure, cell, weight: primaryWeight, name: phaseName(structure) },
+      ...phases.map(({ structureId, material, latticeConstant, weight }) => {
+        const phaseStructure = applyInternalParameters(applyMaterial(STRUCTURES[structureId], material));
+        return { structure: phaseStructure, cell: latticeConstant ? { a: latticeConstant } : {}, weight, name: phaseName(phaseStructure) };
+      }),
+    ];
+  }, [phases, primaryWeight, structure, cell]);
+
+  const xrdPattern = useMemo(() => {
+    // Texture applies to the structure in the 3D view only
+    const patternOf = (s, c, i = 0) =>
+      generateXRDPattern(s, c, lambda, 140, temperature, radiation, i === 0 ? texture : null);
+    return mixturePhases ? mixturePattern(mixturePhases, patternOf) : { peaks: patternOf(structure, cell), phases: null };
+  }, [mixturePhases, structure, cell, lambda, temperature, radiation, texture]);
+  const xrdPeaks = xrdPattern.peaks;
+
+  // Sample absorption and anode fluorescence (X-rays only)
+  const absorption = useMemo(
+    () => (radiation === 'xray' ? sampleAbsorption(siteSpecies(structure), phaseDensity(structure, cell), lambda) : null),
+    [radiation, structure, cell, lambda]
+  );
+
+  // Time-of-flight view: the whole d range at once in one detector bank
+  const showTOF = radiation === 'neutron' && xrdAxis === 'tof';
+  const tofPeaks = useMemo(() => {
+    if (!showTOF) return null;
+    const patternOf = (s, c) => generateTOFPattern(s, c, { bank: tofBank, temperatureK: temperature });
+    return mixturePhases
+      ? mixturePattern(mixturePhases, patternOf, { sortBy: 'dSpacing' }).peaks
+      : patternOf(structure, cell);
+  }, [showTOF, mixturePhases, structure, cell, tofBank, temperature]);
+  const tof = useMemo(
+    () => ({ ...tofBank, difc: tofConstant(tofBank), resolution: tofResolution(tofBank) }),
+    [tofBank]
+  );
+
+  // Oriented single crystal: Laue uses its own white band, precession the
+  // current λ, SAED the microscope's electron wavelength
+  const singleCrystalSpots = useMemo(
+    () => (singleCrystal.geometry === 'saed'
+      ? saedPattern(structure, cell, singleCrystal)
+      : singleCrystalPattern(structure, cell, { ...singleCrystal, wavelength: lambda, radiation })),
+    [structure, cell, singleCrystal, lambda, radiation]
+  );
 
-  const xrdPeaks = useMemo(
-    () => generateXRDPattern(structure, a, lambda, 6, 140, temperature),
-    [structure, a, lambda, temperature]
+  // Neutron sources are monochromated to a single line
+  const lines = useMemo(
+    () => (radiation === 'neutron' ? null : emissionLines(wavelength, profile.doublet)),
+    [radiation, wavelength, profile.doublet]
   );
 
+  const comparison = useMemo(
+    () => (experiment ? comparePattern(experiment, xrdPeaks, { ...overlay, profile, lines }) : null),
+    [experiment, xrdPeaks, overlay, profile, lines]
+  );
+
+  // Pole figure of the selected reflection — only while its view is open
+  const poleFigureData = useMemo(() => {
+    const { h, k, l } = millerIndices;
+    if (xrdView !== 'poleFigure' || (h === 0 && k === 0 && l === 0)) return null;
+    return poleFigure(structure, cell, [h, k, l], texture, radiation);
+  }, [xrdView, millerIndices, structure, cell, texture, radiation]);
+
+  // Stereogram — only while its panel is open; follows the 3D view or is a
+  // standard projection along the Directions panel's [uvw]
+  const followView = stereogram.show && stereogram.centre === 'view';
+  const stereogramData = useMemo(() => {
+    if (!stereogram.show) return null;
+    const { h, k, l } = millerIndices;
+    const identity = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+    return stereographicProjection(structure, cell, {
+      maxIndex: stereogram.maxIndex,
+      orientation: stereogram.centre === 'view' ? (viewOrientation || identity) : null,
+      zoneAxis: direction.uvw.some(x => x !== 0) ? direction.uvw : [0, 0, 1],
+      plane: millerIndices.show ? [h, k, l] : null,
+      direction: direction.show ? direction.uvw : null,
+    });
+  }, [stereogram.show, stereogram.centre, stereogram.maxIndex, viewOrientation, structure, cell, millerIndices, direction]);
+
+  // Debye–Waller damping of the selected reflection — only while its view is open
+  const temperatureSeries = useMemo(() => {
+    const { h, k, l } = millerIndices;
+    if (xrdView !== 'debyeWaller' || (h === 0 && k === 0 && l === 0)) return null;
+    return intensityVsTemperature(structure, cell, [h, k, l], { radiation });
+  }, [xrdView, millerIndices, structure, cell, radiation]);
+
+  // Williamson–Hall analysis — only while its view is open (fits every isolated peak)
+  const williamsonHall = useMemo(() => {
+    if (xrdView !== 'williamsonHall') return null;
+    return analyseWilliamsonHall(xrdPeaks, {
+      profile,
+      lines,
+      wavelength: lambda,
+      experiment: whSource === 'measured' ? experiment : null,
+      zeroShift: overlay.zeroShift,
+    });
+  }, [xrdView, whSource, xrdPeaks, profile, lines, lambda, experiment, overlay.zeroShift]);
+
+  // Least-squares refinement against the measured pattern; the refined cell
+  // goes back into settings, widths into the profile, zero shift / scale
+  // into the overlay
+  const handleRefine = useCallback((mode) => {
+    if (!experiment) return;
+    try {
+      const result = refinePattern(structure, experiment, {
+        cell,
+        wavelength: lambda,
+        lines,
+        mode,
+        zeroShift: overlay.zeroShift,
+        profile,
+        scale: comparison?.scale ?? 1,
+        background: comparison?.background ?? 0,
+        temperatureK: temperature,
+        radiation,
+        texture,
+      });
+      const { values } = result;
+      setRefinement(result);
+      setPatternError(null);
+      setSettings((prev) => ({ ...prev, ...refinedCellSettings(structure, result.cell, prev.cellParams) }));
+      setProfile(result.profile);
+      setOverlay({
+        zeroShift: values.zeroShift,
+        scale: mode === 'structure' ? values.scale : null,
+      });
+    } catch (err) {
+      setPatternError(`Refinement failed: ${err.message}`);
+    }
+  }, [structure, experiment, cell, lambda, lines, overlay, profile, comparison, temperature, radiation, texture]);
+
+  // Index a typed / pasted peak list against every known structure
+  const handleIndex = useCallback(() => {
+    try {
+      const { positions, intensities } = parsePeakList(indexing.text);
+      const candidates = indexPattern(positions, { unit: indexing.unit, wavelength: lambda, intensities });
+      setIndexing((prev) => ({ ...prev, candidates, error: candidates.length ? null : 'No structure indexes these peaks' }));
+    } catch (err) {
+      setIndexing((prev) => ({ ...prev, candidates: null, error: `Indexing failed: ${err.message}` }));
+    }
+  }, [indexing.text, indexing.unit, lambda]);
+
+  // Load an indexing candidate: its structure (or matching material) at the indexed cell
+  const handleIndexCandidate = useCallback((candidate) => {
+    if (candidate.material) handleMaterialChange(candidate.material);
+    else handleStructureChange(candidate.structureId);
+    setSettings((prev) => ({
+      ...prev,
+      ...refinedCellSettings(STRUCTURES[candidate.structureId], candidate.cell, prev.cellParams),
+    }));
+  }, [handleMaterialChange, handleStructureChange]);
+
+  // Brillouin zone and standard k-path — only while the reciprocal view shows them
+  const kPath = useMemo(
+    () => (settings.viewMode === 'reciprocal' && settings.showBrillouinZone ? highSymmetryPath(structure, cell) : null),
+    [settings.viewMode, settings.showBrillouinZone, structure, cell]
+  );
+
+  const handleKPathExport = useCallback((format) => {
+    const { text, fileName, mime } = exportKPath(structure, kPath, format);
+    downloadText(text, fileName, mime);
+  }, [structure, kPath]);
+
+  // Structure file export (CIF / POSCAR / extended XYZ)
+  const handleExport = useCallback((format) => {
+    const { text, fileName, mime } = exportStructure(structure, format, {
+      cell,
+      repeat: exportCell === 'supercell' ? settings.repeat : 1,
+    });
+    downloadText(text, fileName, mime);
+  }, [structure, cell, settings.repeat, exportCell]);
+
   return (
     <div className="app">
       {/* Mobile toggle */}
@@ -105,31 +460,106 @@ function App() {
 
       <Sidebar
         activeStructure={activeStructure}
+        activeMaterial={activeMaterial}
+        structure={structure}
         settings={settings}
         millerIndices={millerIndices}
+        direction={direction}
+        angles={angles}
+        stereogram={stereogram}
+        stereogramData={stereogramData}
         latticePaths={latticePaths}
         planeStats={planeStats}
         xrdPeaks={xrdPeaks}
         wavelength={wavelength}
+        radiation={radiation}
+        lambda={lambda}
+        xrdAxis={showTOF ? 'tof' : 'twoTheta'}
+        tofPeaks={tofPeaks}
+        tof={tof}
         temperature={temperature}
+        importError={importError}
+        exportCell={exportCell}
+        experiment={experiment}
+        comparison={comparison}
+        profile={profile}
+        lines={lines}
+        refinement={refinement}
+        xrdView={xrdView}
+        whSource={experiment ? whSource : 'simulated'}
+        williamsonHall={williamsonHall}
+        singleCrystal={singleCrystal}
+        singleCrystalSpots={singleCrystalSpots}
+        kPath={kPath}
+        phases={phases}
+        primaryWeight={primaryWeight}
+        mixture={xrdPattern.phases}
+        texture={texture}
+        poleFigure={poleFigureData}
+        temperatureSeries={temperatureSeries}
+        absorption={absorption}
+        indexing={indexing}
+        patternError={patternError}
         sidebarOpen={sidebarOpen}
         onStructureChange={handleStructureChange}
+        onMaterialChange={handleMaterialChange}
         onSettingsChange={handleSettingsChange}
         onMillerChange={handleMillerChange}
+        onDirectionChange={handleDirectionChange}
+        onViewDown={handleViewDown}
+        onAnglesChange={handleAnglesChange}
+        onStereogramChange={handleStereogramChange}
         onLatticePathsChange={handleLatticePathsChange}
         onLatticePathsReset={handleLatticePathsReset}
         onWavelengthChange={setWavelength}
+        onRadiationChange={setRadiation}
+        onNeutronWavelengthChange={setNeutronWavelength}
+        onXrdAxisChange={setXrdAxis}
+        onTofBankChange={(patch) => setTofBank(prev => ({ ...prev, ...patch }))}
         onTemperatureChange={setTemperature}
+        onTextureChange={(patch) => setTexture(prev => ({ ...prev, ...patch }))}
         onScreenshot={handleScreenshot}
+        onImportFile={handleImportFile}
+        onExportCellChange={setExportCell}
+        onExport={handleExport}
+        onKPathExport={handleKPathExport}
+        onPhaseAdd={handlePhaseAdd}
+        onPhaseChange={handlePhaseChange}
+        onPhaseRemove={handlePhaseRemove}
+        onPrimaryWeightChange={setPrimaryWeight}
+        onLoadPattern={handleLoadPattern}
+        onClearPattern={() => {
+          setExperiment(null);
+          setRefinement(null);
+        }}
+        onOverlayChange={handleOverlayChange}
+        onProfileChange={handleProfileChange}
+        onRefine={handleRefine}
+        onXrdViewChange={setXrdView}
+        onIndexingChange={(patch) => setIndexing(prev => ({ ...prev, ...patch }))}
+        onIndex={handleIndex}
+        onIndexCandidate={handleIndexCandidate}
+        onWhSourceChange={setWhSource}
+        onSingleCrystalChange={handleSingleCrystalChange}
       />
-      <main className="viewport">
+      <main
+        className="viewport"
+        onDragOver={handleDragOver}
+        onDragLeave={() => setDragActive(false)}
+        onDrop={handleDrop}
+      >
         <ErrorBoundary>
           <CrystalScene
             structure={structure}
             settings={settings}
             millerIndices={millerIndices}
+            direction={direction}
             latticePaths={latticePaths}
+            wavelength={lambda}
+            radiation={radiation}
+            kPath={kPath}
             onPlaneStats={handlePlaneStats}
+            onViewOrientation={followView ? setViewOrientation : undefined}
             onScreenshot={handleScreenshotRef}
           />
         </ErrorBoundary>
@@ -148,6 +578,11 @@ function App() {
             </div>
           );
         })()}
+        {dragActive && (
+          <div className="drop-overlay">
+            <span>Drop a .cif file to import</span>
+          </div>
+        )}
       </main>
     </div>
   );
@@ -0,0 +1,90 @@
+/**
+ * Debye–Waller damping of the selected reflection: |F(T)|² / |F_static|²
+ * against temperature (see intensityVsTemperature in diffraction.js).
+ *
+ * – The dashed line marks the current temperature, with its value.
+ * – Hover anywhere on the curve for T and the intensity ratio.
+ */
+
+const CHART_W = 272;
+const CHART_H = 120;
+const PAD_L   = 34;
+const PAD_R   = 6;
+const PAD_T   = 10;
+const PAD_B   = 22;
+const SVG_W   = CHART_W + PAD_L + PAD_R;
+const SVG_H   = CHART_H + PAD_T + PAD_B;
+
+
+export default function DebyeWallerChart({ series, temperature, label, accentColor = '#60dfff' }) {
+  const { points, absent } = series;
+
+  if (absent) {
+    return (
+      <div className="xrd-chart-empty">
+        <span>{label} is systematically absent</span>
+      </div>
+    );
+  }
+
+  const tMax = points[points.length - 1].T;
+  const toX = T => PAD_L + (T / tMax) * CHART_W;
+  const toY = ratio => PAD_T + CHART_H - ratio * CHART_H;
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map(f => f * tMax);
+  const yTicks = [0, 0.5, 1];
+  const path = points.map((p, i) => `${i ? 'L' : 'M'}${toX(p.T).toFixed(1)},${toY(p.ratio).toFixed(1)}`).join(' ');
+
+  // Value at the current temperature (nearest sample)
+  const current = points.reduce((best, p) => (Math.abs(p.T - temperature) < Math.abs(best.T - temperature) ? p : best));
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_H}`} className="xrd-chart-svg" xmlns="http://www.w3.org/2000/svg">
+      <line x1={PAD_L} y1={PAD_T} x2={PAD_L} y2={PAD_T + CHART_H}
+        stroke="rgba(255,255,255,0.12)" strokeWidth="1" />
+      <line x1={PAD_L} y1={PAD_T + CHART_H} x2={PAD_L + CHART_W} y2={PAD_T + CHART_H}
+        stroke="rgba(255,255,255,0.12)" strokeWidth="1" />
+
+      {xTicks.map(t => (
+        <g key={`x${t}`}>
+          <line x1={toX(t)} y1={PAD_T} x2={toX(t)} y2={PAD_T + CHART_H}
+            stroke="rgba(255,255,255,0.04)" strokeWidth="1" />
+          <text x={toX(t)} y={PAD_T + CHART_H + 11} textAnchor="middle"
+            fill="rgba(255,255,255,0.25)" fontSize="8" fontFamily="JetBrains Mono, monospace">
+            {Math.round(t)}
+          </text>
+        </g>
+      ))}
+      {yTicks.map(t => (
+        <text key={`y${t}`} x={PAD_L - 3} y={toY(t) + 3} textAnchor="end"
+          fill="rgba(255,255,255,0.25)" fontSize="8" fontFamily="JetBrains Mono, monospace">
+          {t}
+        </text>
+      ))}
+
+      <text x={PAD_L + CHART_W / 2} y={SVG_H - 1} textAnchor="middle"
+        fill="rgba(255,255,255,0.2)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        T (K)
+      </text>
+      <text x={8} y={PAD_T + CHART_H / 2} textAnchor="middle"
+        transform={`rotate(-90 8 ${PAD_T + CHART_H / 2})`}
+        fill="rgba(255,255,255,0.2)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        I(T) / I static
+      </text>
+
+      <path d={path} fill="none" stroke={accentColor} strokeWidth="1.5" />
+      {points.map(p => (
+        <circle key={p.T} cx={toX(p.T)} cy={toY(p.ratio)} r="3" fill="transparent">
+          <title>{`${label}  T = ${p.T} K  I/I₀ = ${p.ratio.toFixed(3)}`}</title>
+        </circle>
+      ))}
+
+      <line x1={toX(current.T)} y1={PAD_T} x2={toX(current.T)} y2={PAD_T + CHART_H}
+        stroke="rgba(255,255,255,0.35)" strokeDasharray="3 3" />
+      <circle cx={toX(current.T)} cy={toY(current.ratio)} r="3" fill="#fff" />
+      <text x={Math.min(toX(current.T) + 4, PAD_L + CHART_W - 40)} y={PAD_T + 9}
+        fill="rgba(255,255,255,0.6)" fontSize="8" fontFamily="JetBrains Mono, monospace">
+        {label} {current.ratio.toFixed(3)}
+      </text>
+    </svg>
+  );
+}
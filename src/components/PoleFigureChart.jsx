@@ -0,0 +1,98 @@
+/**
+ * Pole figure of one reflection for the current fibre texture (see
+ * poleFigure.js), in equal-area (Schmidt) projection with the specimen
+ * normal at the centre: a pole at tilt χ sits at radius √2·sin(χ/2).
+ *
+ * – Colour = pole density in multiples of random (m.r.d.), with a scale bar.
+ * – Dashed circles mark χ = 30° and 60°; hover a ring for its χ and density.
+ */
+
+const SIZE   = 240;   // disc diameter (px)
+const PAD    = 8;
+const BAR_W  = 10;
+const BAR_GAP = 14;
+const SVG_W  = SIZE + 2 * PAD + BAR_GAP + BAR_W + 34;
+const SVG_H  = SIZE + 2 * PAD + 12;
+const DEG = Math.PI / 180;
+
+/** Colour stops from low to high density. */
+const STOPS = ['#0b1b3a', '#1e6fa8', '#60dfff', '#fde68a', '#f97316'];
+
+function mix(c1, c2, t) {
+  const channel = (c, i) => parseInt(c.slice(1 + 2 * i, 3 + 2 * i), 16);
+  const rgb = [0, 1, 2].map(i => Math.round(channel(c1, i) + (channel(c2, i) - channel(c1, i)) * t));
+  return `rgb(${rgb.join(',')})`;
+}
+
+/** Colour for t ∈ [0, 1]. */
+function colourAt(t) {
+  const x = Math.max(0, Math.min(1, t)) * (STOPS.length - 1);
+  const i = Math.min(STOPS.length - 2, Math.floor(x));
+  return mix(STOPS[i], STOPS[i + 1], x - i);
+}
+
+/** Equal-area radius of tilt χ (degrees), 1 at the rim. */
+function radiusOf(chi) {
+  return Math.SQRT2 * Math.sin((chi * DEG) / 2);
+}
+
+
+export default function PoleFigureChart({ figure, hkl }) {
+  const { profile, max, min, absent } = figure;
+  const centre = PAD + SIZE / 2;
+  const R = SIZE / 2;
+  // A flat (random) figure still gets a readable, centred colour
+  const lo = max - min < 1e-3 ? min - 0.5 : min;
+  const hi = max - min < 1e-3 ? max + 0.5 : max;
+  const tOf = density => (density - lo) / (hi - lo);
+  const step = profile.length > 1 ? profile[1].chi - profile[0].chi : 90;
+  const barTop = PAD + 10;
+  const barH = SIZE - 20;
+  const barX = PAD + SIZE + BAR_GAP;
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_H}`} className="xrd-chart-svg" xmlns="http://www.w3.org/2000/svg">
+      {/* Rings from the rim inwards, each covering χ ± step/2 */}
+      {profile.slice().reverse().map(({ chi, density }) => (
+        <circle
+          key={chi}
+          cx={centre} cy={centre} r={R * radiusOf(Math.min(90, chi + step / 2))}
+          fill={colourAt(tOf(density))}
+        >
+          <title>{`χ = ${chi}°  ${density.toFixed(2)} m.r.d.`}</title>
+        </circle>
+      ))}
+
+      {[30, 60].map(chi => (
+        <circle key={chi} cx={centre} cy={centre} r={R * radiusOf(chi)}
+          fill="none" stroke="rgba(255,255,255,0.25)" strokeDasharray="2 3" pointerEvents="none" />
+      ))}
+      <circle cx={centre} cy={centre} r={R} fill="none" stroke="rgba(255,255,255,0.3)" pointerEvents="none" />
+      <line x1={centre - R} y1={centre} x2={centre + R} y2={centre} stroke="rgba(255,255,255,0.12)" pointerEvents="none" />
+      <line x1={centre} y1={centre - R} x2={centre} y2={centre + R} stroke="rgba(255,255,255,0.12)" pointerEvents="none" />
+
+      <text x={PAD} y={PAD + 8} fill="rgba(255,255,255,0.6)" fontSize="9" fontFamily="JetBrains Mono, monospace">
+        {`{${hkl.join(' ')}}`}
+      </text>
+      <text x={PAD} y={SVG_H - 3} fill="rgba(255,255,255,0.25)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        {absent ? 'Systematically absent · equal-area, normal at centre' : 'Equal-area projection · specimen normal at centre'}
+      </text>
+
+      {/* Colour scale (m.r.d.) */}
+      {Array.from({ length: 40 }, (_, i) => (
+        <rect key={i} x={barX} y={barTop + (barH * i) / 40} width={BAR_W} height={barH / 40 + 0.5}
+          fill={colourAt(1 - i / 40)} />
+      ))}
+      <rect x={barX} y={barTop} width={BAR_W} height={barH} fill="none" stroke="rgba(255,255,255,0.2)" />
+      {[hi, (hi + lo) / 2, lo].map((v, i) => (
+        <text key={i} x={barX + BAR_W + 3} y={barTop + (barH * i) / 2 + 3}
+          fill="rgba(255,255,255,0.4)" fontSize="8" fontFamily="JetBrains Mono, monospace">
+          {v.toFixed(2)}
+        </text>
+      ))}
+      <text x={barX} y={barTop - 4} fill="rgba(255,255,255,0.25)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        m.r.d.
+      </text>
+    </svg>
+  );
+}
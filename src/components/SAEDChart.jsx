@@ -0,0 +1,113 @@
+/**
+ * Simulated TEM screen for a SAED pattern (see electronDiffraction.js).
+ *
+ * – Spot area ∝ kinematic intensity; the transmitted beam is drawn at the centre.
+ * – Forbidden reflections reached by double diffraction: hollow orange diamonds.
+ * – Spots nearest the centre labelled with (hkl); scale bar in nm⁻¹.
+ * – Click a spot → selects that (hkl) in the 3D view.
+ */
+
+const SIZE  = 284;
+const PAD   = 8;
+const SVG_W = SIZE + 2 * PAD;
+const SPOT_MIN = 0.8;
+const SPOT_MAX = 4.5;
+const MAX_LABELS = 16;
+const DOUBLE_COLOR = '#fb923c';
+
+/** Does a spot index the same reciprocal-lattice row as the selected plane? */
+function sameRow([h, k, l], { h: mh, k: mk, l: ml }) {
+  const cross = [k * ml - l * mk, l * mh - h * ml, h * mk - k * mh];
+  return cross.every(c => c === 0) && h * mh + k * mk + l * ml > 0;
+}
+
+
+export default function SAEDChart({ pattern, activeMiller, onSpotClick, accentColor = '#60dfff' }) {
+  const { spots, extent, cameraConstant, wavelength } = pattern;
+  const centre = PAD + SIZE / 2;
+  const toPx = v => centre + (v / extent) * (SIZE / 2);
+  const toPy = v => centre - (v / extent) * (SIZE / 2);
+
+  // Label the innermost allowed spots (and every double-diffraction spot among them)
+  const labelled = new Set(
+    [...spots]
+      .filter(s => s.relativeIntensity > 1 || s.kind === 'double')
+      .sort((p, q) => Math.hypot(p.x, p.y) - Math.hypot(q.x, q.y))
+      .slice(0, MAX_LABELS)
+  );
+
+  // Scale bar: 5 nm⁻¹ (0.5 Å⁻¹) → Lλ · 0.5 mm on the screen
+  const barMm = cameraConstant * 0.5;
+  const barPx = (barMm / extent) * (SIZE / 2);
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_W}`} className="xrd-chart-svg" xmlns="http://www.w3.org/2000/svg">
+      <rect x={PAD} y={PAD} width={SIZE} height={SIZE} rx="4" fill="#05070b" stroke="rgba(255,255,255,0.08)" />
+
+      {/* Transmitted beam */}
+      <circle cx={centre} cy={centre} r={SPOT_MAX + 1.5} fill="#fff" opacity="0.9" />
+
+      {spots.map((s, i) => {
+        const isActive = activeMiller?.show && sameRow(s.hkl, activeMiller);
+        const x = toPx(s.x), y = toPy(s.y);
+        if (s.kind === 'double') {
+          const r = 2.6;
+          return (
+            <path
+              key={i}
+              d={`M ${x} ${y - r} L ${x + r} ${y} L ${x} ${y + r} L ${x - r} ${y} Z`}
+              fill={isActive ? DOUBLE_COLOR : 'none'} stroke={DOUBLE_COLOR} strokeWidth="0.9"
+              style={{ cursor: 'pointer' }}
+              onClick={() => onSpotClick && onSpotClick(s)}
+            >
+              <title>{s.label}  forbidden — double diffraction  d={s.dSpacing.toFixed(3)}Å</title>
+            </path>
+          );
+        }
+        const r = SPOT_MIN + (SPOT_MAX - SPOT_MIN) * Math.sqrt(s.relativeIntensity / 100);
+        return (
+          <circle
+            key={i}
+            cx={x} cy={y} r={isActive ? r + 1.5 : r}
+            fill={isActive ? accentColor : '#fff'}
+            opacity={isActive ? 1 : 0.3 + 0.7 * Math.sqrt(s.relativeIntensity / 100)}
+            style={{ cursor: 'pointer' }}
+            onClick={() => onSpotClick && onSpotClick(s)}
+          >
+            <title>{s.label}  d={s.dSpacing.toFixed(3)}Å  s={s.excitationError.toFixed(4)}Å⁻¹  I={s.relativeIntensity.toFixed(1)}%</title>
+          </circle>
+        );
+      })}
+
+      {spots.filter(s => labelled.has(s)).map((s, i) => (
+        <text
+          key={`lbl-${i}`}
+          x={toPx(s.x)} y={toPy(s.y) - 6}
+          textAnchor="middle"
+          fill={s.kind === 'double' ? DOUBLE_COLOR : 'rgba(255,255,255,0.6)'}
+          fontSize="6.5"
+          fontFamily="JetBrains Mono, monospace"
+          style={{ pointerEvents: 'none' }}
+        >
+          {s.label}
+        </text>
+      ))}
+
+      {/* Scale bar and camera constant */}
+      {barPx < SIZE / 2 && (
+        <g>
+          <line x1={SVG_W - PAD - 8 - barPx} y1={SVG_W - PAD - 10} x2={SVG_W - PAD - 8} y2={SVG_W - PAD - 10}
+            stroke="rgba(255,255,255,0.6)" strokeWidth="1.5" />
+          <text x={SVG_W - PAD - 8 - barPx / 2} y={SVG_W - PAD - 14} textAnchor="middle"
+            fill="rgba(255,255,255,0.5)" fontSize="7" fontFamily="JetBrains Mono, monospace">
+            5 nm⁻¹
+          </text>
+        </g>
+      )}
+      <text x={PAD + 4} y={SVG_W - PAD - 6}
+        fill="rgba(255,255,255,0.3)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        λ = {(wavelength * 100).toFixed(3)} pm  ·  Lλ = {cameraConstant.toFixed(1)} mm·Å
+      </text>
+    </svg>
+  );
+}
@@ -2,9 +2,11 @@ import { useRef, useMemo, useEffect, useState, useCallback } from 'react';
 import { Canvas, useFrame, useThree } from '@react-three/fiber';
 import { OrbitControls, Environment, Html } from '@react-three/drei';
 import * as THREE from 'three';
-import { generateLattice, generateBonds, generateUnitCell } from '../data/latticeGenerator';
-import { computePlane, clipPlaneToBox, atomsOnPlane } from '../data/millerIndices';
+import { generateLattice, generateBonds, generateUnitCell, cellCentreOffset } from '../data/latticeGenerator';
+import { computePlane, clipPlaneToBox, atomsOnPlane, planeLabel, directionLabel, directionVector } from '../data/millerIndices';
+import { cellFromSettings, latticeVectors } from '../data/unitCell';
 import { ATOMIC_RADII } from '../data/lattices';
+import { reciprocalLatticePoints } from '../data/reciprocalLattice';
 import {
   buildPathDP,
   logCountField,
@@ -33,10 +35,11 @@ function getAtomColors(structure, atomType) {
 /** Compute radius scale factor for an atom type relative to the base atomRadius. */
 function getRadiusScale(structure, atomType) {
   if (!atomType || !structure.atomTypes) return 1;
+  // Material-specific radii (materials.js) take precedence over the generic table
+  const radiusOf = t => structure.radii?.[t] || ATOMIC_RADII[t] || 1.2;
   const uniqueTypes = [...new Set(structure.atomTypes)];
-  const radii = uniqueTypes.map(t => ATOMIC_RADII[t] || 1.2);
-  const maxR = Math.max(...radii);
-  const r = ATOMIC_RADII[atomType] || 1.2;
+  const maxR = Math.max(...uniqueTypes.map(radiusOf));
+  const r = radiusOf(atomType);
   // Scale so largest species = 1.0, smallest proportionally smaller (min 0.5)
   return Math.max(0.5, r / maxR);
 }
@@ -45,6 +48,7 @@ function getRadiusScale(structure, atomType) {
 
 const _tempObject = new THREE.Object3D();
 const _tempColor = new THREE.Color();
+const _viewMatrix = new THREE.Matrix4();
 
 function InstancedAtoms({ atoms, structure, atomRadius, highlightedAtoms, onAtomClick }) {
   // Group atoms by their visual properties (color + radius scale)
@@ -233,18 +237,19 @@ function Bonds({ bonds, color }) {
 
 /* ── Unit Cell Wireframe ── */
 
-function UnitCellWireframe({ structure, latticeConstant, visible }) {
+function UnitCellWireframe({ structure, cell, repeat, visible }) {
   const lines = useMemo(() => {
     if (!visible) return null;
-    const { corners, edges } = generateUnitCell(structure, latticeConstant);
-    const offset = latticeConstant ? latticeConstant / 2 : structure.defaultA / 2;
+    const { corners, edges } = generateUnitCell(structure, cell);
+    // Same centring shift as generateLattice, so the wireframe sits on the corner cell
+    const offset = cellCentreOffset(latticeVectors(cell), repeat);
     return edges.map(([i, j], idx) => {
       const points = [
         new THREE.Vector3(
-          corners[i][0] - offset, corners[i][1] - offset, corners[i][2] - offset
+          corners[i][0] - offset[0], corners[i][1] - offset[1], corners[i][2] - offset[2]
         ),
         new THREE.Vector3(
-          corners[j][0] - offset, corners[j][1] - offset, corners[j][2] - offset
+          corners[j][0] - offset[0], corners[j][1] - offset[1], corners[j][2] - offset[2]
         ),
       ];
       const geometry = new THREE.BufferGeometry().setFromPoints(points);
@@ -254,7 +259,7 @@ function UnitCellWireframe({ structure, latticeConstant, visible }) {
         </lineSegments>
       );
     });
-  }, [structure, latticeConstant, visible]);
+  }, [structure, cell, repeat, visible]);
 
   if (!visible) return null;
   return <group>{lines}</group>;
@@ -264,14 +269,14 @@ function UnitCellWireframe({ structure, latticeConstant, visible }) {
 const PLANE_COLOR = '#60dfff';
 const PLANE_EDGE_COLOR = '#90eeff';
 
-function MillerPlane({ structure, latticeConstant, millerIndices, latticeBounds }) {
+function MillerPlane({ cell, millerIndices, latticeBounds }) {
   const { h, k, l, show, offset, opacity } = millerIndices;
 
   const planeData = useMemo(() => {
     if (!show || (h === 0 && k === 0 && l === 0)) return null;
 
-    const a = latticeConstant || structure.defaultA;
-    const { planeNormal, dSpacing } = computePlane(h, k, l, structure.vectors, a);
+    const { a } = cell;
+    const { planeNormal, dSpacing } = computePlane(h, k, l, cell);
     const { vertices, edgeLoop } = clipPlaneToBox(planeNormal, offset * dSpacing, latticeBounds);
     if (vertices.length < 3) return null;
 
@@ -304,7 +309,7 @@ function MillerPlane({ structure, latticeConstant, millerIndices, latticeBounds
     const arrowLineGeo = new THREE.BufferGeometry().setFromPoints([arrowStart, arrowEnd]);
 
     return { fillGeo, edgeGeo, arrowLineGeo, arrowEnd, arrowQuat };
-  }, [structure, latticeConstant, h, k, l, show, offset, latticeBounds]);
+  }, [cell, h, k, l, show, offset, latticeBounds]);
 
   if (!show || !planeData) return null;
   const { fillGeo, edgeGeo, arrowLineGeo, arrowEnd, arrowQuat } = planeData;
@@ -337,6 +342,125 @@ function MillerPlane({ structure, latticeConstant, millerIndices, latticeBounds
   );
 }
 
+/* ── Direction [uvw] ──
+ * An arrow through the centre of the lattice along u·a₁ + v·a₂ + w·a₃, with
+ * a dot at every lattice repeat, and a camera snap that looks down it.
+ */
+const DIRECTION_COLOR = '#fbbf24';
+
+function DirectionArrow({ structure, cell, direction, latticeBounds }) {
+  const { uvw, show } = direction;
+
+  const arrowData = useMemo(() => {
+    if (!show || uvw.every(x => x === 0)) return null;
+    const vector = directionVector(uvw, cell);
+    const repeat = Math.hypot(...vector);
+    const unit = vector.map(x => x / repeat);
+    const half = latticeBounds * 1.15;
+    const at = t => new THREE.Vector3(unit[0] * t, unit[1] * t, unit[2] * t);
+
+    const lineGeo = new THREE.BufferGeometry().setFromPoints([at(-half), at(half)]);
+    const quat = new THREE.Quaternion().setFromUnitVectors(new THREE.Vector3(0, 1, 0), at(1));
+    const steps = Math.floor(half / repeat);
+    const marks = Array.from({ length: 2 * steps + 1 }, (_, i) => at((i - steps) * repeat));
+    return { lineGeo, tip: at(half), quat, marks, labelAt: at(half + 0.4) };
+  }, [uvw, show, cell, latticeBounds]);
+
+  if (!arrowData) return null;
+  const { lineGeo, tip, quat, marks, labelAt } = arrowData;
+
+  return (
+    <group>
+      <line geometry={lineGeo}>
+        <lineBasicMaterial color={DIRECTION_COLOR} transparent opacity={0.85} />
+      </line>
+      <mesh position={tip} quaternion={quat}>
+        <coneGeometry args={[0.12, 0.36, 10]} />
+        <meshBasicMaterial color={DIRECTION_COLOR} />
+      </mesh>
+      {marks.map((p, i) => (
+        <mesh key={i} position={p}>
+          <sphereGeometry args={[0.06, 8, 8]} />
+          <meshBasicMaterial color={DIRECTION_COLOR} />
+        </mesh>
+      ))}
+      <Html position={labelAt} center style={{ pointerEvents: 'none' }}>
+        <div className="path-label" style={{ color: DIRECTION_COLOR }}>{directionLabel(uvw, structure)}</div>
+      </Html>
+    </group>
+  );
+}
+
+/**
+ * Turns the camera about the orbit target until [uvw] points straight at
+ * the viewer, each time `direction.viewDown` increments.  It sits inside
+ * the lattice's RotatingGroup so the direction is taken in world space
+ * whatever angle the auto-rotation stopped at; the camera keeps its
+ * distance and OrbitControls stays in charge afterwards.  The handled id
+ * starts at 0 so a request that also switched back to the real-space view
+ * (and so mounted this component) is still honoured.
+ */
+function ViewDownSnap({ cell, direction }) {
+  const camera = useThree(state => state.camera);
+  const markerRef = useRef();
+  const goal = useRef(null);
+  const handled = useRef(0);
+
+  useEffect(() => {
+    if (handled.current === direction.viewDown || !markerRef.current) return;
+    handled.current = direction.viewDown;
+    markerRef.current.updateWorldMatrix(true, false);
+    const [x, y, z] = directionVector(direction.uvw, cell);
+    const world = new THREE.Vector3(x, y, z).transformDirection(markerRef.current.matrixWorld);
+    // OrbitControls is singular exactly along the camera's up axis
+    if (Math.abs(world.y) > 0.9999) world.x += 1e-3;
+    goal.current = world.normalize();
+  }, [direction, cell]);
+
+  useFrame(() => {
+    if (!goal.current) return;
+    const current = camera.position.clone().normalize();
+    if (current.angleTo(goal.current) < 1e-3) {
+      goal.current = null;
+      return;
+    }
+    const step = new THREE.Quaternion()
+      .slerp(new THREE.Quaternion().setFromUnitVectors(current, goal.current), 0.15);
+    camera.position.applyQuaternion(step);
+    camera.lookAt(0, 0, 0);
+  });
+
+  return <group ref={markerRef} />;
+}
+
+/**
+ * Reports the rotation from Cartesian crystal axes to the camera frame
+ * (x right, y up, z towards the viewer) as the crystal turns or the view is
+ * orbited, for the stereographic projection.  Like ViewDownSnap it sits in
+ * the RotatingGroup; reports are throttled to ~10 per second and skipped
+ * while nothing moves.
+ */
+function ViewOrientationProbe({ onChange }) {
+  const camera = useThree(state => state.camera);
+  const markerRef = useRef();
+  const last = useRef({ rows: null, time: -Infinity });
+
+  useFrame(({ clock }) => {
+    if (!markerRef.current) return;
+    const t = clock.elapsedTime;
+    const prev = last.current;
+    if (prev.rows && t - prev.time < 0.1) return;
+    const e = _viewMatrix.multiplyMatrices(camera.matrixWorldInverse, markerRef.current.matrixWorld).elements;
+    // Column-major: element (i, j) is e[4j + i]
+    const rows = [0, 1, 2].map(i => [e[i], e[4 + i], e[8 + i]]);
+    if (prev.rows && rows.every((row, i) => row.every((v, j) => Math.abs(v - prev.rows[i][j]) < 2e-3))) return;
+    last.current = { rows, time: t };
+    onChange(rows);
+  });
+
+  return <group ref={markerRef} />;
+}
+
 /* ── Lattice Path Overlay (Dynamic Programming visualization) ── */
 
 const PATH_NODE_COLOR = new THREE.Color('#d4af37');     // Auraeon champagne gold
@@ -553,18 +677,18 @@ function ScreenshotHelper({ screenshotRef }) {
 
 /* ── Main Lattice ── */
 
-function Lattice({ structure, repeat, latticeConstant, showBonds, showUnitCell, autoRotate, atomRadius, millerIndices, latticePaths, onPlaneStats, onAtomClick, selectedAtomIdx }) {
-  const a = latticeConstant || structure.defaultA;
+function Lattice({ structure, repeat, cell, showBonds, showUnitCell, autoRotate, atomRadius, millerIndices, direction, latticePaths, onPlaneStats, onViewOrientation, onAtomClick, selectedAtomIdx }) {
+  const { a } = cell;
   const pathMode = latticePaths && latticePaths.show;
 
   const atoms = useMemo(
-    () => generateLattice(structure, repeat, a),
-    [structure, repeat, a]
+    () => generateLattice(structure, repeat, cell),
+    [structure, repeat, cell]
   );
 
   const bonds = useMemo(
-    () => (showBonds ? generateBonds(atoms, structure, a) : []),
-    [atoms, structure, a, showBonds]
+    () => (showBonds ? generateBonds(atoms, structure, cell) : []),
+    [atoms, structure, cell, showBonds]
   );
 
   const latticeBounds = useMemo(() => {
@@ -583,11 +707,11 @@ function Lattice({ structure, repeat, latticeConstant, showBonds, showUnitCell,
       return new Set();
     }
     const { planeNormal, dSpacing } = computePlane(
-      millerIndices.h, millerIndices.k, millerIndices.l, structure.vectors, a
+      millerIndices.h, millerIndices.k, millerIndices.l, cell
     );
     const tolerance = atomRadius * 1.0;
     return atomsOnPlane(atoms, planeNormal, millerIndices.offset * dSpacing, tolerance);
-  }, [atoms, millerIndices, structure, a, atomRadius]);
+  }, [atoms, millerIndices, cell, atomRadius]);
 
   useEffect(() => {
     if (onPlaneStats) {
@@ -610,13 +734,15 @@ function Lattice({ structure, repeat, latticeConstant, showBonds, showUnitCell,
             onAtomClick={onAtomClick}
           />
           <Bonds bonds={bonds} color={structure.color} />
-          <UnitCellWireframe structure={structure} latticeConstant={a} visible={showUnitCell} />
+          <UnitCellWireframe structure={structure} cell={cell} repeat={repeat} visible={showUnitCell} />
           <MillerPlane
-            structure={structure}
-            latticeConstant={a}
+            cell={cell}
             millerIndices={millerIndices}
             latticeBounds={latticeBounds}
           />
+          <DirectionArrow structure={structure} cell={cell} direction={direction} latticeBounds={latticeBounds} />
+          <ViewDownSnap cell={cell} direction={direction} />
+          {onViewOrientation && <ViewOrientationProbe onChange={onViewOrientation} />}
           {selectedAtom && (
             <AtomTooltip atom={selectedAtom} structure={structure} position={selectedAtom.position} />
           )}
@@ -629,6 +755,278 @@ function Lattice({ structure, repeat, latticeConstant, showBonds, showUnitCell,
   );
 }
 
+/* ── Reciprocal Space ──
+ * Reciprocal-lattice nodes (sphere area ∝ |F|², basis extinctions as ghosts),
+ * a*, b*, c*, the first Brillouin zone with its high-symmetry points and
+ * k-path (kPath.js), and the Ewald sphere.  Å⁻¹ are mapped to
+ * scene units by `scale` so the limiting sphere |G| = 2/λ fills the view.
+ * The lattice turns with RotatingGroup while the Ewald sphere stays fixed in
+ * the lab frame (beam along +x); nodes flash gold as they cross the sphere.
+ */
+
+const RECIPROCAL_SCENE_RADIUS = 6;
+const NODE_MIN = 0.05;
+const NODE_MAX = 0.22;
+const NODE_COLOR = new THREE.Color('#9ecbff');
+const BRAGG_COLOR = new THREE.Color('#ffd166');
+const BRAGG_DECAY = 0.4;   // s
+const AXIS_COLORS = ['#ff6b6b', '#6bff8e', '#6b9bff'];
+const K_PATH_COLOR = '#f0abfc';
+const _worldPos = new THREE.Vector3();
+
+function ReciprocalNodes({ structure, points, scale, millerIndices, ewald }) {
+  const meshRef = useRef();
+  const ghostRef = useRef();
+  const allowed = useMemo(() => points.filter(p => !p.absent), [points]);
+  const ghosts = useMemo(() => points.filter(p => p.absent), [points]);
+  const radii = useMemo(
+    () => allowed.map(p => NODE_MIN + (NODE_MAX - NODE_MIN) * Math.sqrt(p.relativeIntensity / 100)),
+    [allowed]
+  );
+  // Per-node Bragg flash state: last signed distance from the sphere, glow level
+  const braggRef = useRef(null);
+
+  const active = millerIndices.show
+    ? allowed.find(p => p.hkl[0] === millerIndices.h && p.hkl[1] === millerIndices.k && p.hkl[2] === millerIndices.l)
+    : null;
+
+  useEffect(() => {
+    const mesh = meshRef.current;
+    if (!mesh) return;
+    allowed.forEach((p, i) => {
+      _tempObject.position.set(...scale3(p.position, scale));
+      _tempObject.scale.setScalar(radii[i] * (p === active ? 1.6 : 1));
+      _tempObject.updateMatrix();
+      mesh.setMatrixAt(i, _tempObject.matrix);
+      mesh.setColorAt(i, p === active ? _tempColor.set(PLANE_COLOR) : NODE_COLOR);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+    if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    braggRef.current = null;
+  }, [allowed, radii, scale, active, ewald]);
+
+  useEffect(() => {
+    const mesh = ghostRef.current;
+    if (!mesh) return;
+    ghosts.forEach((p, i) => {
+      _tempObject.position.set(...scale3(p.position, scale));
+      _tempObject.scale.setScalar(NODE_MIN);
+      _tempObject.updateMatrix();
+      mesh.setMatrixAt(i, _tempObject.matrix);
+    });
+    mesh.instanceMatrix.needsUpdate = true;
+  }, [ghosts, scale]);
+
+  // Bragg condition: a node lights up when it crosses (or sits on) the sphere
+  useFrame((_, delta) => {
+    const mesh = meshRef.current;
+    if (!mesh || !ewald) return;
+    if (!braggRef.current) {
+      braggRef.current = { distance: new Float32Array(allowed.length).fill(NaN), flash: new Float32Array(allowed.length) };
+    }
+    const { distance, flash } = braggRef.current;
+    const { centre, radius } = ewald;
+    const tolerance = radius * 2e-3;
+    const fade = Math.exp(-delta / BRAGG_DECAY);
+    let changed = false;
+    mesh.updateWorldMatrix(true, false);
+
+    allowed.forEach((p, i) => {
+      const local = scale3(p.position, scale);
+      const d = _worldPos.set(...local).applyMatrix4(mesh.matrixWorld).distanceTo(centre) - radius;
+      const crossed = Math.abs(d) < tolerance || (!Number.isNaN(distance[i]) && Math.sign(d) !== Math.sign(distance[i]));
+      distance[i] = d;
+      if (!crossed && flash[i] === 0) return;
+      flash[i] = crossed ? 1 : flash[i] > 0.01 ? flash[i] * fade : 0;
+
+      _tempObject.position.set(...local);
+      _tempObject.scale.setScalar(radii[i] * (p === active ? 1.6 : 1) * (1 + flash[i]));
+      _tempObject.updateMatrix();
+      mesh.setMatrixAt(i, _tempObject.matrix);
+      _tempColor.set(p === active ? PLANE_COLOR : NODE_COLOR).lerp(BRAGG_COLOR, flash[i]);
+      mesh.setColorAt(i, _tempColor);
+      changed = true;
+    });
+
+    if (changed) {
+      mesh.instanceMatrix.needsUpdate = true;
+      if (mesh.instanceColor) mesh.instanceColor.needsUpdate = true;
+    }
+  });
+
+  return (
+    <>
+      {allowed.length > 0 && (
+        <instancedMesh key={`n-${allowed.length}`} ref={meshRef} args={[null, null, allowed.length]}>
+          <sphereGeometry args={[1, 14, 14]} />
+          <meshStandardMaterial metalness={0.2} roughness={0.35} emissive="#1b2a40" />
+        </instancedMesh>
+      )}
+      {ghosts.length > 0 && (
+        <instancedMesh key={`g-${ghosts.length}`} ref={ghostRef} args={[null, null, ghosts.length]}>
+          <sphereGeometry args={[1, 8, 8]} />
+          <meshBasicMaterial color="#ffffff" transparent opacity={0.15} depthWrite={false} />
+        </instancedMesh>
+      )}
+      {active && (
+        <Html position={scale3(active.position, scale)} center style={{ pointerEvents: 'none' }}>
+          <div className="path-label">{planeLabel(active.hkl, structure)}</div>
+        </Html>
+      )}
+    </>
+  );
+}
+
+function scale3(v, s) {
+  return [v[0] * s, v[1] * s, v[2] * s];
+}
+
+function ReciprocalAxes({ vectors, scale }) {
+  const geometries = useMemo(
+    () => vectors.map(b => new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(0, 0, 0), new THREE.Vector3(...scale3(b, scale)),
+    ])),
+    [vectors, scale]
+  );
+  return (
+    <group>
+      {geometries.map((geometry, i) => (
+        <lineSegments key={i} geometry={geometry}>
+          <lineBasicMaterial color={AXIS_COLORS[i]} />
+        </lineSegments>
+      ))}
+      {vectors.map((b, i) => (
+        <Html key={i} position={scale3(b, scale * 1.12)} center style={{ pointerEvents: 'none' }}>
+          <div className="path-label" style={{ color: AXIS_COLORS[i] }}>{['a*', 'b*', 'c*'][i]}</div>
+        </Html>
+      ))}
+      <mesh>
+        <sphereGeometry args={[NODE_MIN * 1.2, 12, 12]} />
+        <meshBasicMaterial color="#ffffff" />
+      </mesh>
+    </group>
+  );
+}
+
+function BrillouinZoneMesh({ zone, scale, color }) {
+  const { faceGeometry, edgeGeometry } = useMemo(() => {
+    const positions = [];
+    for (const { vertices: loop } of zone.faces) {
+      // Faces are convex: fan-triangulate from the first vertex
+      for (let n = 1; n < loop.length - 1; n++) {
+        for (const idx of [loop[0], loop[n], loop[n + 1]]) positions.push(...scale3(zone.vertices[idx], scale));
+      }
+    }
+    const faces = new THREE.BufferGeometry();
+    faces.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    faces.computeVertexNormals();
+    const edges = new THREE.BufferGeometry().setFromPoints(zone.edges.flatMap(([p, q]) => [
+      new THREE.Vector3(...scale3(zone.vertices[p], scale)),
+      new THREE.Vector3(...scale3(zone.vertices[q], scale)),
+    ]));
+    return { faceGeometry: faces, edgeGeometry: edges };
+  }, [zone, scale]);
+
+  return (
+    <group>
+      <mesh geometry={faceGeometry}>
+        <meshBasicMaterial color={color} transparent opacity={0.12} side={THREE.DoubleSide} depthWrite={false} />
+      </mesh>
+      <lineSegments geometry={edgeGeometry}>
+        <lineBasicMaterial color={color} transparent opacity={0.8} />
+      </lineSegments>
+    </group>
+  );
+}
+
+function KPathOverlay({ kPath, scale, color }) {
+  const pathGeometry = useMemo(() => {
+    const byLabel = Object.fromEntries(kPath.points.map(p => [p.label, p]));
+    const pts = kPath.path.flatMap(branch => branch.slice(1).flatMap((label, i) => [
+      new THREE.Vector3(...scale3(byLabel[branch[i]].position, scale)),
+      new THREE.Vector3(...scale3(byLabel[label].position, scale)),
+    ]));
+    return new THREE.BufferGeometry().setFromPoints(pts);
+  }, [kPath, scale]);
+
+  return (
+    <group>
+      <lineSegments geometry={pathGeometry}>
+        <lineBasicMaterial color={color} />
+      </lineSegments>
+      {kPath.points.map(({ label, position }) => (
+        <group key={label} position={scale3(position, scale)}>
+          <mesh>
+            <sphereGeometry args={[NODE_MIN * 0.8, 10, 10]} />
+            <meshBasicMaterial color={color} />
+          </mesh>
+          <Html center style={{ pointerEvents: 'none' }}>
+            <div className="path-label" style={{ color, transform: 'translateY(-12px)' }}>{label}</div>
+          </Html>
+        </group>
+      ))}
+    </group>
+  );
+}
+
+function EwaldSphere({ centre, radius }) {
+  const beam = useMemo(
+    () => new THREE.BufferGeometry().setFromPoints([
+      new THREE.Vector3(centre.x - radius * 1.3, 0, 0), new THREE.Vector3(0, 0, 0),
+    ]),
+    [centre, radius]
+  );
+  return (
+    <group>
+      <mesh position={centre}>
+        <sphereGeometry args={[radius, 48, 32]} />
+        <meshBasicMaterial color={BRAGG_COLOR} wireframe transparent opacity={0.07} depthWrite={false} />
+      </mesh>
+      <lineSegments geometry={beam}>
+        <lineBasicMaterial color={BRAGG_COLOR} transparent opacity={0.6} />
+      </lineSegments>
+      <Html position={[centre.x - radius * 1.3, 0, 0]} center style={{ pointerEvents: 'none' }}>
+        <div className="path-label">k₀</div>
+      </Html>
+    </group>
+  );
+}
+
+function ReciprocalLattice({ structure, cell, wavelength, radiation, kPath, millerIndices, autoRotate, showBrillouinZone, showEwald, onViewOrientation }) {
+  const gMax = 2 / wavelength;
+  const scale = RECIPROCAL_SCENE_RADIUS / gMax;
+
+  const { points, b1, b2, b3 } = useMemo(
+    () => reciprocalLatticePoints(structure, cell, { gMax, radiation }),
+    [structure, cell, gMax, radiation]
+  );
+  const vectors = useMemo(() => [b1, b2, b3], [b1, b2, b3]);
+
+  // Lab frame, beam along +x: sphere through the origin, centred at −k₀
+  const ewald = useMemo(() => {
+    if (!showEwald) return null;
+    const radius = scale / wavelength;
+    return { centre: new THREE.Vector3(-radius, 0, 0), radius };
+  }, [showEwald, scale, wavelength]);
+
+  return (
+    <>
+      <RotatingGroup autoRotate={autoRotate}>
+        <ReciprocalNodes structure={structure} points={points} scale={scale} millerIndices={millerIndices} ewald={ewald} />
+        <ReciprocalAxes vectors={vectors} scale={scale} />
+        {onViewOrientation && <ViewOrientationProbe onChange={onViewOrientation} />}
+        {showBrillouinZone && kPath && (
+          <>
+            <BrillouinZoneMesh zone={kPath.zone} scale={scale} color={structure.glowColor} />
+            <KPathOverlay kPath={kPath} scale={scale} color={K_PATH_COLOR} />
+          </>
+        )}
+      </RotatingGroup>
+      {ewald && <EwaldSphere centre={ewald.centre} radius={ewald.radius} />}
+    </>
+  );
+}
+
 /* ── Camera Auto-Fit ──
  * Smoothly zooms the camera to frame the visible scene whenever `bounds` (a
  * half-extent radius from origin) changes. Keeps the user's current orbit
@@ -676,29 +1074,37 @@ function CameraAutoFit({ bounds, controlsRef }) {
 
 /* ── Exported Scene ── */
 
-export default function CrystalScene({ structure, settings, millerIndices, latticePaths, onPlaneStats, onScreenshot }) {
+export default function CrystalScene({ structure, settings, millerIndices, direction, latticePaths, wavelength, radiation, kPath, onPlaneStats, onViewOrientation, onScreenshot }) {
   const {
-    repeat = 2, latticeConstant, showBonds = true,
+    repeat = 2, latticeConstant, cellParams, showBonds = true,
     showUnitCell = true, autoRotate = true, atomRadius = 0.3,
+    viewMode = 'real', showBrillouinZone = true, showEwald = false,
   } = settings;
+  const reciprocal = viewMode === 'reciprocal';
 
-  // Effective lattice constant for size calculations (settings.latticeConstant
-  // can be null until the user touches it; fall back to the structure default).
-  const a = latticeConstant ?? structure.defaultA;
+  // Full cell (a, b, c, α, β, γ) — overrides in settings fall back to the
+  // structure defaults (see resolveCell).
+  const cell = useMemo(
+    () => cellFromSettings(structure, { latticeConstant, cellParams }),
+    [structure, latticeConstant, cellParams]
+  );
+  const { a } = cell;
 
   // Half-extent of the visible volume — used by CameraAutoFit to frame the
   // scene on structure / repeat / lattice-path-dimension changes. We take the
   // larger of the crystal lattice extent and the lattice-path grid extent
   // (when active) so both fit comfortably in view.
   const cameraBounds = useMemo(() => {
-    const crystalBounds = (repeat * a) / 2 + a * 0.3;
+    if (reciprocal) return RECIPROCAL_SCENE_RADIUS * 0.6;
+    const span = Math.max(cell.a, cell.b, cell.c);
+    const crystalBounds = (repeat * span) / 2 + a * 0.3;
     if (latticePaths?.show) {
       const maxPathDim = Math.max(latticePaths.a, latticePaths.b, latticePaths.c);
       const pathBounds = (maxPathDim * a) / 2 + a * 0.5;
       return Math.max(crystalBounds, pathBounds);
     }
     return crystalBounds;
-  }, [repeat, a, latticePaths]);
+  }, [reciprocal, repeat, a, cell, latticePaths]);
 
   const [selectedAtomIdx, setSelectedAtomIdx] = useState(null);
   const [prevStructure, setPrevStructure] = useState(structure);
@@ -736,13 +1142,22 @@ export default function CrystalScene({ structure, settings, millerIndices, latti
       <directionalLight position={[10, 10, 5]} intensity={1.0} />
       <directionalLight position={[-5, -5, -5]} intensity={0.3} />
       <pointLight position={[0, 0, 0]} intensity={0.2} color={structure.glowColor} />
-      <Lattice
-        structure={structure} repeat={repeat} latticeConstant={latticeConstant}
-        showBonds={showBonds} showUnitCell={showUnitCell} autoRotate={autoRotate}
-        atomRadius={atomRadius} millerIndices={millerIndices} latticePaths={latticePaths}
-        onPlaneStats={onPlaneStats}
-        onAtomClick={handleAtomClick} selectedAtomIdx={selectedAtomIdx}
-      />
+      {reciprocal ? (
+        <ReciprocalLattice
+          structure={structure} cell={cell} wavelength={wavelength} radiation={radiation} kPath={kPath}
+          millerIndices={millerIndices} autoRotate={autoRotate}
+          showBrillouinZone={showBrillouinZone} showEwald={showEwald}
+          onViewOrientation={onViewOrientation}
+        />
+      ) : (
+        <Lattice
+          structure={structure} repeat={repeat} cell={cell}
+          showBonds={showBonds} showUnitCell={showUnitCell} autoRotate={autoRotate}
+          atomRadius={atomRadius} millerIndices={millerIndices} direction={direction} latticePaths={latticePaths}
+          onPlaneStats={onPlaneStats} onViewOrientation={onViewOrientation}
+          onAtomClick={handleAtomClick} selectedAtomIdx={selectedAtomIdx}
+        />
+      )}
       <OrbitControls ref={controlsRef} enablePan enableZoom enableRotate minDistance={3} maxDistance={30} autoRotate={false} />
       <CameraAutoFit bounds={cameraBounds} controlsRef={controlsRef} />
       <Environment preset="night" />
@@ -1,24 +1,209 @@
 import { useMemo } from 'react';
 import { STRUCTURES, STRUCTURE_ORDER } from '../data/lattices';
-import { computePlane, COMMON_PLANES } from '../data/millerIndices';
-import { structureFactor, getStructureElement, WAVELENGTHS } from '../data/diffraction';
+import {
+  computePlane, commonPlanes, usesMillerBravais, planeLabel, directionLabel,
+  directionVector, angleBetween, zoneAxis,
+  toMillerBravais, fromMillerBravais, directionToMillerBravais, directionFromMillerBravais,
+} from '../data/millerIndices';
+import { structureFactor, isAbsent, siteFormFactors, siteDispersion, getScatteringSpecies, WAVELENGTHS, RADIATIONS } from '../data/diffraction';
 import {
   buildPathDP,
   trinomialCoefficient,
   formatCount,
   totalCells,
 } from '../data/latticePaths';
+import { EXPORT_FORMATS } from '../data/structureExport';
+import { KPATH_FORMATS, formatPath } from '../data/kPath';
+import { PHASE_COLORS, MAX_PHASES } from '../data/multiPhase';
+import { CRYSTAL_SYSTEMS, freeParameters, resolveCell, cellFromSettings } from '../data/unitCell';
+import { MATERIALS, materialsForStructure } from '../data/materials';
+import { REFINEMENT_MODES, formatWithEsd } from '../data/refinement';
+import { SINGLE_CRYSTAL_GEOMETRIES } from '../data/singleCrystal';
+import { KALPHA_LINES } from '../data/powderProfile';
+import { MAX_LINES } from '../data/indexing';
+import { speciesDisplacements } from '../data/debyeWaller';
+import { laueGroup } from '../data/laueSymmetry';
 import XRDChart from './XRDChart';
+import WilliamsonHallChart from './WilliamsonHallChart';
+import SingleCrystalChart from './SingleCrystalChart';
+import SAEDChart from './SAEDChart';
+import PoleFigureChart from './PoleFigureChart';
+import StereogramChart from './StereogramChart';
+import DebyeWallerChart from './DebyeWallerChart';
+
+/** Slider labels / units for each free cell parameter. */
+const CELL_PARAM_SLIDERS = {
+  a: { label: 'Lattice Constant a', unit: ' A', isAngle: false },
+  b: { label: 'Lattice Constant b', unit: ' A', isAngle: false },
+  c: { label: 'Lattice Constant c', unit: ' A', isAngle: false },
+  alpha: { label: 'Angle \u03b1', unit: '\u00b0', isAngle: true },
+  beta: { label: 'Angle \u03b2', unit: '\u00b0', isAngle: true },
+  gamma: { label: 'Angle \u03b3', unit: '\u00b0', isAngle: true },
+};
+
+/** Display names for refined parameters (see refinement.js). */
+const REFINED_LABELS = {
+  a: 'a (A)', b: 'b (A)', c: 'c (A)',
+  alpha: '\u03b1 (\u00b0)', beta: '\u03b2 (\u00b0)', gamma: '\u03b3 (\u00b0)',
+  zeroShift: 'Zero shift (\u00b0)', U: 'U (deg\u00b2)', W: 'W (deg\u00b2)', eta: '\u03b7 (Lorentz)',
+  scale: 'Scale', background: 'Background',
+};
+
+/** Peak-profile sliders (see powderProfile.js). */
+const PROFILE_SLIDERS = [
+  { key: 'eta', label: 'Shape \u03b7 (0 Gauss \u2192 1 Lorentz)', min: 0, max: 1, step: 0.01, digits: 2 },
+  { key: 'U', label: 'Caglioti U (deg\u00b2)', min: 0, max: 0.2, step: 0.001, digits: 3 },
+  { key: 'V', label: 'Caglioti V (deg\u00b2)', min: -0.1, max: 0.05, step: 0.001, digits: 3 },
+  { key: 'W', label: 'Caglioti W (deg\u00b2)', min: 0.001, max: 0.2, step: 0.001, digits: 3 },
+  { key: 'asymmetry', label: 'Asymmetry P', min: 0, max: 2, step: 0.01, digits: 2 },
+  { key: 'crystalliteSize', label: 'Crystallite Size (nm, 0 = \u221e)', min: 0, max: 500, step: 5, digits: 0 },
+  { key: 'microstrain', label: 'Microstrain (%)', min: 0, max: 1, step: 0.01, digits: 2 },
+];
+
+/** Microscope sliders for SAED (see electronDiffraction.js). */
+const SAED_SLIDERS = [
+  { key: 'voltage', label: 'Accelerating Voltage', min: 60, max: 400, step: 10, unit: ' kV' },
+  { key: 'cameraLength', label: 'Camera Length', min: 200, max: 3000, step: 50, unit: ' mm' },
+  { key: 'thickness', label: 'Foil Thickness', min: 5, max: 200, step: 5, unit: ' nm' },
+  { key: 'ewaldCurvature', label: 'Ewald Curvature \u03ba (1 = true sphere)', min: 0, max: 5, step: 0.1, unit: '' },
+];
+
+/** Views of the 3D scene. */
+const SCENE_VIEWS = {
+  real: 'Real Space',
+  reciprocal: 'Reciprocal Space',
+};
+
+/** Views of the powder panel. */
+const XRD_VIEWS = {
+  pattern: 'Pattern',
+  williamsonHall: 'Williamson\u2013Hall',
+  poleFigure: 'Pole Figure',
+  debyeWaller: 'I vs T',
+};
+
+/** Units of a typed peak list for indexing. */
+const INDEX_UNITS = {
+  twoTheta: '2\u03b8 (\u00b0)',
+  d: 'd (\u00c5)',
+};
+
+/**
+ * Index inputs for a plane (hkl) or direction [uvw].  Hexagonal structures
+ * get four-index Miller–Bravais fields whose third index (i or t) follows
+ * from the first two and is read-only; `onChange` always receives the
+ * three-index form.
+ */
+function IndexInputs({ values, kind, fourIndex, onChange }) {
+  const toFour = kind === 'plane' ? toMillerBravais : directionToMillerBravais;
+  const fromFour = kind === 'plane' ? fromMillerBravais : directionFromMillerBravais;
+  const names = kind === 'plane' ? ['h', 'k', 'i', 'l'] : ['u', 'v', 't', 'w'];
+  const shown = fourIndex ? toFour(values) : values;
+
+  const update = (i, raw) => {
+    const next = [...shown];
+    next[i] = Math.max(-4, Math.min(4, parseInt(raw) || 0));
+    if (fourIndex) next[2] = -(next[0] + next[1]) || 0;
+    onChange(fourIndex ? fromFour(next) : next);
+  };
+
+  return (
+    <div className="hkl-inputs">
+      {(fourIndex ? names : names.filter((_, i) => i !== 2)).map((name, i) => (
+        <div key={name} className="hkl-field">
+          <span className="hkl-label">{name}</span>
+          <input
+            type="number" min={-4} max={4} step={1}
+            value={shown[i]}
+            disabled={fourIndex && i === 2}
+            title={fourIndex && i === 2 ? `${name} = −(${names[0]} + ${names[1]})` : undefined}
+            onChange={(e) => update(i, e.target.value)}
+            className="hkl-input"
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/** Ideal c/a for close-packed hexagonal stacking. */
+const IDEAL_C_OVER_A = Math.sqrt(8 / 3);
+
+/**
+ * Slider specs for the structure's free cell parameters plus any internal
+ * positional parameters.  Hexagonal c is exposed as the c/a ratio, which is
+ * what stays fixed when a is dragged.
+ */
+function cellSliders(structure, cell, settings) {
+  const defaultCell = resolveCell(structure);
+  const cellParams = settings.cellParams || {};
+  const hexagonal = structure.crystalSystem === 'hexagonal';
+
+  const sliders = freeParameters(structure).map((param) => {
+    if (param === 'c' && hexagonal) {
+      const { c: _c, ...rest } = cellParams;
+      return {
+        key: 'cOverA',
+        label: `c/a Ratio (ideal ${IDEAL_C_OVER_A.toFixed(3)})`,
+        value: cell.c / cell.a,
+        min: 1.4, max: 2.0, step: 0.001, digits: 3, unit: '',
+        patch: (v) => ({ cellParams: { ...rest, cOverA: v } }),
+      };
+    }
+    const { label, unit, isAngle } = CELL_PARAM_SLIDERS[param];
+    const def = defaultCell[param];
+    return {
+      key: param,
+      label,
+      value: cell[param],
+      min: isAngle ? Math.max(30, def - 30) : def * 0.5,
+      max: isAngle ? Math.min(150, def + 30) : def * 1.5,
+      step: isAngle ? 0.1 : 0.01,
+      digits: isAngle ? 1 : 2,
+      unit,
+      patch: (v) => (param === 'a'
+        ? { latticeConstant: v }
+        : { cellParams: { ...cellParams, [param]: v } }),
+    };
+  });
+
+  for (const [key, spec] of Object.entries(structure.internalParameters || {})) {
+    sliders.push({
+      key,
+      label: spec.label,
+      value: structure.internal?.[key] ?? spec.default,
+      min: spec.min, max: spec.max, step: spec.step, digits: 3, unit: '',
+      patch: (v) => ({ internalParams: { ...settings.internalParams, [key]: v } }),
+    });
+  }
+  return sliders;
+}
 
 export default function Sidebar({
-  activeStructure, settings, millerIndices, latticePaths, planeStats,
-  xrdPeaks, wavelength, temperature, sidebarOpen,
-  onStructureChange, onSettingsChange, onMillerChange,
+  activeStructure, activeMaterial, structure, settings, millerIndices, direction, angles,
+  stereogram, stereogramData, latticePaths, planeStats,
+  xrdPeaks, wavelength, radiation, lambda, xrdAxis, tofPeaks, tof, temperature, importError, exportCell,
+  experiment, comparison, profile, lines, refinement, patternError, sidebarOpen,
+  xrdView, whSource, williamsonHall, singleCrystal, singleCrystalSpots, kPath, phases, primaryWeight, mixture, indexing,
+  texture, poleFigure, temperatureSeries, absorption,
+  onStructureChange, onMaterialChange, onSettingsChange, onMillerChange,
+  onDirectionChange, onViewDown, onAnglesChange, onStereogramChange,
   onLatticePathsChange, onLatticePathsReset,
-  onWavelengthChange, onTemperatureChange, onScreenshot,
+  onWavelengthChange, onRadiationChange, onNeutronWavelengthChange, onXrdAxisChange, onTofBankChange,
+  onTemperatureChange, onTextureChange, onScreenshot, onImportFile,
+  onExportCellChange, onExport, onKPathExport, onLoadPattern, onClearPattern, onOverlayChange, onProfileChange, onRefine,
+  onXrdViewChange, onWhSourceChange, onSingleCrystalChange,
+  onPhaseAdd, onPhaseChange, onPhaseRemove, onPrimaryWeightChange,
+  onIndexingChange, onIndex, onIndexCandidate,
 }) {
-  const structure = STRUCTURES[activeStructure];
+  const cell = cellFromSettings(structure, settings);
+  const laue = laueGroup(structure, cell);
+  const fourIndex = usesMillerBravais(structure);
+  const hklName = fourIndex ? 'hkil' : 'hkl';
+  const prototypeMaterials = materialsForStructure(activeStructure);
   const isPlaneValid = millerIndices.show && !(millerIndices.h === 0 && millerIndices.k === 0 && millerIndices.l === 0);
+  // Centre of the standard stereogram (App falls back to [001] the same way)
+  const stereogramAxis = direction.uvw.some(x => x !== 0) ? direction.uvw : [0, 0, 1];
 
   // Lattice path DP results — only computed when panel is meaningful.
   // Cheap (max 7^3 = 343 cells), but memoized to avoid re-running on every keystroke.
@@ -64,6 +249,37 @@ export default function Sidebar({
             );
           })}
         </div>
+
+        {/* Material picker — sets prototype, lattice parameters, species and radii */}
+        <select
+          className="material-select"
+          value={activeMaterial || ''}
+          onChange={(e) => onMaterialChange(e.target.value || null)}
+        >
+          <option value="">Material: generic {structure.abbrev}</option>
+          {STRUCTURE_ORDER.filter(id => materialsForStructure(id).length > 0).map((id) => (
+            <optgroup key={id} label={STRUCTURES[id].name}>
+              {materialsForStructure(id).map((formula) => (
+                <option key={formula} value={formula}>
+                  {formula} &mdash; {MATERIALS[formula].name}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+
+        {/* CIF import (also accepts drag-and-drop onto the viewport) */}
+        <label className="screenshot-btn import-btn">
+          Import CIF
+          <input
+            type="file" accept=".cif,chemical/x-cif" hidden
+            onChange={(e) => {
+              onImportFile(e.target.files[0]);
+              e.target.value = '';
+            }}
+          />
+        </label>
+        {importError && <p className="import-error">{importError}</p>}
       </section>
 
       {/* Info */}
@@ -77,16 +293,52 @@ export default function Sidebar({
           </div>
           <div className="stat">
             <span className="stat-label">Packing</span>
-            <span className="stat-value">{(structure.packingFraction * 100).toFixed(1)}%</span>
+            <span className="stat-value">
+              {structure.packingFraction != null ? `${(structure.packingFraction * 100).toFixed(1)}%` : '—'}
+            </span>
           </div>
           <div className="stat">
             <span className="stat-label">Lattice (A)</span>
-            <span className="stat-value">{(settings.latticeConstant || structure.defaultA).toFixed(2)}</span>
+            <span className="stat-value">{cell.a.toFixed(2)}</span>
           </div>
         </div>
         <div className="info-examples">
-          <span className="stat-label">Examples</span>
-          <span className="examples-list">{structure.examples.join(', ')}</span>
+          <span className="stat-label">Crystal System</span>
+          <span className="examples-list">
+            {CRYSTAL_SYSTEMS[structure.crystalSystem || 'cubic'].name}{' '}
+            <span title={`Derived from the sites: point group of order ${laue.pointGroupOrder}${laue.pointGroupOrder < laue.operations.length ? ', non-centrosymmetric' : ''}`}>
+              (Laue {laue.symbol})
+            </span> &middot; a={cell.a.toFixed(3)} b={cell.b.toFixed(3)} c={cell.c.toFixed(3)} A,
+            &alpha;={cell.alpha.toFixed(1)}&deg; &beta;={cell.beta.toFixed(1)}&deg; &gamma;={cell.gamma.toFixed(1)}&deg;
+          </span>
+        </div>
+        {activeMaterial && (
+          <div className="info-examples">
+            <span className="stat-label">Material</span>
+            <span className="examples-list">
+              {MATERIALS[activeMaterial].name} ({activeMaterial}) &middot; &theta;<sub>D</sub> = {structure.debyeTemperature} K
+              &middot; r = {Object.entries(structure.radii).map(([el, r]) => `${el} ${r.toFixed(2)}`).join(', ')} A
+            </span>
+          </div>
+        )}
+        <div className="info-examples">
+          <span className="stat-label">{prototypeMaterials.length > 0 ? 'Materials' : 'Examples'}</span>
+          {prototypeMaterials.length > 0 ? (
+            <div className="preset-chips">
+              {prototypeMaterials.map((formula) => (
+                <button
+                  key={formula}
+                  className={`preset-chip ${activeMaterial === formula ? 'active' : ''}`}
+                  onClick={() => onMaterialChange(activeMaterial === formula ? null : formula)}
+                  title={MATERIALS[formula].name}
+                >
+                  {formula}
+                </button>
+              ))}
+            </div>
+          ) : (
+            <span className="examples-list">{structure.examples.join(', ')}</span>
+          )}
         </div>
       </section>
 
@@ -94,6 +346,22 @@ export default function Sidebar({
       <section className="panel">
         <h2 className="panel-title">Controls</h2>
 
+        {/* Real-space crystal or reciprocal lattice + Brillouin zone + Ewald sphere */}
+        <div className="xrd-wavelength-row">
+          <label className="control-label">View</label>
+          <div className="wavelength-chips">
+            {Object.entries(SCENE_VIEWS).map(([key, label]) => (
+              <button
+                key={key}
+                className={`preset-chip xrd-src-chip ${settings.viewMode === key ? 'active' : ''}`}
+                onClick={() => onSettingsChange({ viewMode: key })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
         <div className="control-row">
           <label className="control-label">Unit Cells</label>
           <div className="control-input">
@@ -112,15 +380,18 @@ export default function Sidebar({
           </div>
         </div>
 
-        <div className="control-row">
-          <label className="control-label">Lattice Constant</label>
-          <div className="control-input">
-            <input type="range" min={structure.defaultA * 0.5} max={structure.defaultA * 1.5} step={0.01}
-              value={settings.latticeConstant || structure.defaultA}
-              onChange={(e) => onSettingsChange({ latticeConstant: Number(e.target.value) })} />
-            <span className="control-value">{(settings.latticeConstant || structure.defaultA).toFixed(2)} A</span>
+        {/* One slider per free cell parameter of the crystal system */}
+        {cellSliders(structure, cell, settings).map(({ key, label, value, min, max, step, digits, unit, patch }) => (
+          <div className="control-row" key={key}>
+            <label className="control-label">{label}</label>
+            <div className="control-input">
+              <input type="range" min={min} max={max} step={step}
+                value={value}
+                onChange={(e) => onSettingsChange(patch(Number(e.target.value)))} />
+              <span className="control-value">{value.toFixed(digits)}{unit}</span>
+            </div>
           </div>
-        </div>
+        ))}
 
         <div className="toggle-group">
           <label className="toggle-row">
@@ -135,6 +406,22 @@ export default function Sidebar({
               onChange={(e) => onSettingsChange({ showUnitCell: e.target.checked })} />
             <span className="toggle-switch" />
           </label>
+          {settings.viewMode === 'reciprocal' && (
+            <>
+              <label className="toggle-row">
+                <span>Brillouin Zone</span>
+                <input type="checkbox" checked={settings.showBrillouinZone}
+                  onChange={(e) => onSettingsChange({ showBrillouinZone: e.target.checked })} />
+                <span className="toggle-switch" />
+              </label>
+              <label className="toggle-row">
+                <span>Ewald Sphere</span>
+                <input type="checkbox" checked={settings.showEwald}
+                  onChange={(e) => onSettingsChange({ showEwald: e.target.checked })} />
+                <span className="toggle-switch" />
+              </label>
+            </>
+          )}
           <label className="toggle-row">
             <span>Auto Rotate</span>
             <input type="checkbox" checked={settings.autoRotate}
@@ -143,10 +430,55 @@ export default function Sidebar({
           </label>
         </div>
 
+        {/* Brillouin zone: lattice type, standard k-path and its export for band-structure runs */}
+        {settings.viewMode === 'reciprocal' && settings.showBrillouinZone && kPath && (
+          <div className="export-row">
+            <label className="control-label">k-Path</label>
+            <div className="xrd-meta">
+              <span className="xrd-meta-item">{kPath.name} ({kPath.lattice})</span>
+              <span className="xrd-meta-item">{formatPath(kPath.path)}</span>
+              {!kPath.standard && <span className="xrd-meta-item">Fn = zone face centres</span>}
+            </div>
+            <div className="export-buttons">
+              {Object.entries(KPATH_FORMATS).map(([key, { label }]) => (
+                <button key={key} className="screenshot-btn" onClick={() => onKPathExport(key)}>
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Screenshot */}
         <button className="screenshot-btn" onClick={onScreenshot}>
           Export PNG
         </button>
+
+        {/* Structure export for DFT / MD codes */}
+        <div className="export-row">
+          <label className="control-label">Export Structure</label>
+          <div className="wavelength-chips">
+            {[
+              ['conventional', 'Conventional cell'],
+              ['supercell', `${settings.repeat}\u00d7${settings.repeat}\u00d7${settings.repeat} supercell`],
+            ].map(([mode, label]) => (
+              <button
+                key={mode}
+                className={`preset-chip xrd-src-chip ${exportCell === mode ? 'active' : ''}`}
+                onClick={() => onExportCellChange(mode)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          <div className="export-buttons">
+            {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+              <button key={key} className="screenshot-btn" onClick={() => onExport(key)}>
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
       </section>
 
       {/* Miller Indices / Lattice Planes */}
@@ -154,7 +486,7 @@ export default function Sidebar({
         <h2 className="panel-title">Lattice Planes</h2>
 
         <div className="preset-chips">
-          {COMMON_PLANES.map((p) => {
+          {commonPlanes(structure).map((p) => {
             const isActive = millerIndices.show && millerIndices.h === p.h && millerIndices.k === p.k && millerIndices.l === p.l;
             return (
               <button
@@ -176,32 +508,27 @@ export default function Sidebar({
         </div>
 
         <div className="hkl-row">
-          <label className="control-label">Custom (hkl)</label>
-          <div className="hkl-inputs">
-            {['h', 'k', 'l'].map((axis) => (
-              <div key={axis} className="hkl-field">
-                <span className="hkl-label">{axis}</span>
-                <input
-                  type="number" min={-4} max={4} step={1}
-                  value={millerIndices[axis]}
-                  onChange={(e) => {
-                    const val = Math.max(-4, Math.min(4, parseInt(e.target.value) || 0));
-                    onMillerChange({ [axis]: val, show: true, offset: 0 });
-                  }}
-                  className="hkl-input"
-                />
-              </div>
-            ))}
-          </div>
+          <label className="control-label">Custom ({hklName})</label>
+          <IndexInputs
+            values={[millerIndices.h, millerIndices.k, millerIndices.l]}
+            kind="plane"
+            fourIndex={fourIndex}
+            onChange={([h, k, l]) => onMillerChange({ h, k, l, show: true, offset: 0 })}
+          />
         </div>
 
         {/* Plane info badges */}
         {isPlaneValid && (() => {
-          const a = settings.latticeConstant || structure.defaultA;
-          const { dSpacing } = computePlane(millerIndices.h, millerIndices.k, millerIndices.l, structure.vectors, a);
-          const sf = structureFactor(millerIndices.h, millerIndices.k, millerIndices.l, structure.basis);
-          const isAllowed = sf.magnitudeSquared > 0.01;
-          const lambda = WAVELENGTHS[wavelength];
+          const { dSpacing } = computePlane(millerIndices.h, millerIndices.k, millerIndices.l, cell);
+          const { h, k, l } = millerIndices;
+          const dispersion = siteDispersion(structure, lambda, radiation);
+          const weights = siteFormFactors(structure, 1 / (2 * dSpacing), radiation)
+            .map((f, j) => f + (dispersion ? dispersion.fPrime[j] : 0));
+          const imag = dispersion?.fDoublePrime;
+          const sf = structureFactor(h, k, l, structure.basis, weights, imag);
+          const isAllowed = !isAbsent(h, k, l, structure.basis, weights);
+          // Anomalous scattering: Friedel mates differ in non-centrosymmetric structures
+          const bijvoet = sf.magnitudeSquared / structureFactor(-h, -k, -l, structure.basis, weights, imag).magnitudeSquared;
           const sinTheta = lambda / (2 * dSpacing);
           const twoTheta = sinTheta <= 1 ? (2 * Math.asin(sinTheta) * 180 / Math.PI) : null;
 
@@ -237,6 +564,12 @@ export default function Sidebar({
                     <span className="sf-value">{twoTheta.toFixed(2)}&deg;</span>
                   </div>
                 )}
+                {isAllowed && Math.abs(bijvoet - 1) > 1e-3 && (
+                  <div className="sf-badge allowed" title="Friedel's law broken by anomalous scattering (f″)">
+                    <span className="dspacing-label">I(hkl) / I(h&#772;k&#772;l&#772;)</span>
+                    <span className="sf-value">{bijvoet.toFixed(3)}</span>
+                  </div>
+                )}
               </div>
             </>
           );
@@ -277,6 +610,180 @@ export default function Sidebar({
         </div>
       </section>
 
+      {/* Directions [uvw] and interplanar / interzonal angles */}
+      <section className="panel">
+        <h2 className="panel-title">Directions &amp; Angles</h2>
+
+        <div className="hkl-row">
+          <label className="control-label">Direction ({fourIndex ? 'uvtw' : 'uvw'})</label>
+          <IndexInputs
+            values={direction.uvw}
+            kind="direction"
+            fourIndex={fourIndex}
+            onChange={(uvw) => onDirectionChange(uvw.some(x => x !== 0) ? { uvw, show: true } : { uvw })}
+          />
+        </div>
+
+        {direction.uvw.some(x => x !== 0) && (
+          <div className="plane-info-row">
+            <div className="dspacing-badge" title="Lattice repeat along the direction">
+              <span className="dspacing-label">repeat</span>
+              <span className="dspacing-value">{Math.hypot(...directionVector(direction.uvw, cell)).toFixed(3)} A</span>
+            </div>
+          </div>
+        )}
+
+        <div className="toggle-group">
+          <label className="toggle-row">
+            <span>Show Direction</span>
+            <input type="checkbox" checked={direction.show}
+              onChange={(e) => onDirectionChange({ show: e.target.checked })} />
+            <span className="toggle-switch" />
+          </label>
+        </div>
+        <button
+          className="screenshot-btn"
+          disabled={direction.uvw.every(x => x === 0)}
+          onClick={onViewDown}
+        >
+          View Down {directionLabel(direction.uvw, structure)}
+        </button>
+
+        <label className="control-label" style={{ marginTop: 12 }}>Angle Between</label>
+        {[['first', 'A'], ['second', 'B']].map(([slot, name]) => {
+          const operand = angles[slot];
+          return (
+            <div key={slot} className="hkl-row">
+              <div className="wavelength-chips">
+                <span className="control-label">{name}</span>
+                {[['plane', 'Plane'], ['direction', 'Direction']].map(([kind, label]) => (
+                  <button
+                    key={kind}
+                    className={`preset-chip xrd-src-chip ${operand.kind === kind ? 'active' : ''}`}
+                    onClick={() => onAnglesChange({ [slot]: { ...operand, kind } })}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+              <IndexInputs
+                values={operand.indices}
+                kind={operand.kind}
+                fourIndex={fourIndex}
+                onChange={(indices) => onAnglesChange({ [slot]: { ...operand, indices } })}
+              />
+            </div>
+          );
+        })}
+
+        {(() => {
+          const { first, second } = angles;
+          const angle = angleBetween(first, second, cell);
+          const label = ({ kind, indices }) =>
+            (kind === 'plane' ? planeLabel(indices, structure) : directionLabel(indices, structure));
+          const mixed = first.kind !== second.kind;
+          const zone = first.kind === 'plane' && second.kind === 'plane'
+            ? zoneAxis(first.indices, second.indices) : null;
+          return (
+            <div className="xrd-meta">
+              <span className="xrd-meta-item">
+                {label(first)} ∠ {label(second)} = {angle === null ? '—' : `${angle.toFixed(2)}°`}
+              </span>
+              {mixed && angle !== null && (
+                Math.abs(angle - 90) < 1e-6
+                  ? <span className="xrd-meta-item">direction lies in the plane</span>
+                  : <span className="xrd-meta-item">{Math.abs(90 - angle).toFixed(2)}° to the plane</span>
+              )}
+              {zone && (
+                <span className="xrd-meta-item">
+                  zone axis {directionLabel(zone, structure)}{' '}
+                  <button className="preset-chip" onClick={() => onDirectionChange({ uvw: zone, show: true })}>
+                    Show
+                  </button>
+                </span>
+              )}
+            </div>
+          );
+        })()}
+      </section>
+
+      {/* Stereographic projection of poles and directions */}
+      <section className="panel">
+        <h2 className="panel-title">Stereographic Projection</h2>
+
+        <div className="toggle-group">
+          <label className="toggle-row">
+            <span>Show Projection</span>
+            <input type="checkbox" checked={stereogram.show}
+              onChange={(e) => onStereogramChange({ show: e.target.checked })} />
+            <span className="toggle-switch" />
+          </label>
+        </div>
+
+        {stereogram.show && stereogramData && (
+          <>
+            <div className="xrd-wavelength-row">
+              <label className="control-label">Centre</label>
+              <div className="wavelength-chips">
+                {[
+                  ['view', '3D view'],
+                  ['direction', `Standard ${directionLabel(stereogramAxis, structure)}`],
+                ].map(([key, label]) => (
+                  <button
+                    key={key}
+                    className={`preset-chip xrd-src-chip ${stereogram.centre === key ? 'active' : ''}`}
+                    onClick={() => onStereogramChange({ centre: key })}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="xrd-wavelength-row">
+              <label className="control-label">Max Index</label>
+              <div className="wavelength-chips">
+                {[1, 2, 3].map(n => (
+                  <button
+                    key={n}
+                    className={`preset-chip xrd-src-chip ${stereogram.maxIndex === n ? 'active' : ''}`}
+                    onClick={() => onStereogramChange({ maxIndex: n })}
+                  >
+                    {n}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="toggle-group">
+              {[
+                ['showDirections', 'Directions'],
+                ['showZones', 'Zone Circles'],
+                ['showNet', 'Wulff Net'],
+                ['showLabels', 'Labels'],
+              ].map(([key, label]) => (
+                <label key={key} className="toggle-row">
+                  <span>{label}</span>
+                  <input type="checkbox" checked={stereogram[key]}
+                    onChange={(e) => onStereogramChange({ [key]: e.target.checked })} />
+                  <span className="toggle-switch" />
+                </label>
+              ))}
+            </div>
+
+            <StereogramChart
+              projection={stereogramData}
+              options={stereogram}
+              centreLabel={stereogram.centre === 'view' ? 'view direction' : directionLabel(stereogramAxis, structure)}
+              activePlane={isPlaneValid ? [millerIndices.h, millerIndices.k, millerIndices.l] : null}
+              activeDirection={direction.show ? direction.uvw : null}
+              onPlaneClick={(p) => onMillerChange({ h: p.hkl[0], k: p.hkl[1], l: p.hkl[2], show: true, offset: 0 })}
+              onDirectionClick={(d) => onDirectionChange({ uvw: d.uvw, show: true })}
+            />
+          </>
+        )}
+      </section>
+
       {/* Lattice Paths (Dynamic Programming) */}
       <section className="panel">
         <h2 className="panel-title">Lattice Paths</h2>
@@ -388,34 +895,200 @@ export default function Sidebar({
       <section className="panel">
         <h2 className="panel-title">Powder XRD Pattern</h2>
 
-        {/* Wavelength selector */}
+        {/* Radiation: X-ray (form factors, LP) or neutron (scattering lengths, Lorentz only) */}
         <div className="xrd-wavelength-row">
-          <label className="control-label">Source</label>
+          <label className="control-label">Radiation</label>
           <div className="wavelength-chips">
-            {Object.entries(WAVELENGTHS).map(([name]) => (
+            {Object.entries(RADIATIONS).map(([key, label]) => (
               <button
-                key={name}
-                className={`preset-chip xrd-src-chip ${wavelength === name ? 'active' : ''}`}
-                onClick={() => onWavelengthChange(name)}
+                key={key}
+                className={`preset-chip xrd-src-chip ${radiation === key ? 'active' : ''}`}
+                onClick={() => onRadiationChange(key)}
               >
-                {name}
+                {label}
               </button>
             ))}
           </div>
         </div>
 
+        {radiation === 'xray' ? (
+          /* Wavelength selector */
+          <div className="xrd-wavelength-row">
+            <label className="control-label">Source</label>
+            <div className="wavelength-chips">
+              {Object.entries(WAVELENGTHS).map(([name]) => (
+                <button
+                  key={name}
+                  className={`preset-chip xrd-src-chip ${wavelength === name ? 'active' : ''}`}
+                  onClick={() => onWavelengthChange(name)}
+                >
+                  {name}
+                </button>
+              ))}
+            </div>
+          </div>
+        ) : (
+          <>
+            <div className="xrd-wavelength-row">
+              <label className="control-label">Axis</label>
+              <div className="wavelength-chips">
+                <button
+                  className={`preset-chip xrd-src-chip ${xrdAxis === 'twoTheta' ? 'active' : ''}`}
+                  onClick={() => onXrdAxisChange('twoTheta')}
+                >
+                  2&theta; (constant &lambda;)
+                </button>
+                <button
+                  className={`preset-chip xrd-src-chip ${xrdAxis === 'tof' ? 'active' : ''}`}
+                  onClick={() => onXrdAxisChange('tof')}
+                >
+                  Time of flight (d)
+                </button>
+              </div>
+            </div>
+            {xrdAxis === 'tof' ? (
+              <div className="control-row">
+                <label className="control-label">Detector Bank 2&theta;</label>
+                <div className="control-input">
+                  <input type="range" min={20} max={170} step={5}
+                    value={tof.twoTheta}
+                    onChange={(e) => onTofBankChange({ twoTheta: Number(e.target.value) })} />
+                  <span className="control-value">{tof.twoTheta}&deg;</span>
+                </div>
+              </div>
+            ) : (
+              <div className="control-row">
+                <label className="control-label">Neutron Wavelength</label>
+                <div className="control-input">
+                  <input type="range" min={0.5} max={3} step={0.001}
+                    value={lambda}
+                    onChange={(e) => onNeutronWavelengthChange(Number(e.target.value))} />
+                  <input type="number" className="control-number" min={0.3} max={6} step={0.001}
+                    value={lambda}
+                    onChange={(e) => {
+                      const v = Number(e.target.value);
+                      if (v > 0) onNeutronWavelengthChange(v);
+                    }} />
+                </div>
+              </div>
+            )}
+          </>
+        )}
+
         <div className="xrd-meta">
+          {xrdAxis === 'tof' ? (
+            <>
+              <span className="xrd-meta-item">DIFC = {tof.difc.toFixed(0)} &micro;s/A</span>
+              <span className="xrd-meta-item">&Delta;d/d = {(tof.resolution * 100).toFixed(2)}%</span>
+            </>
+          ) : (
+            <span className="xrd-meta-item">
+              &lambda; = {lambda.toFixed(4)} A
+            </span>
+          )}
           <span className="xrd-meta-item">
-            &lambda; = {WAVELENGTHS[wavelength].toFixed(4)} A
-          </span>
-          <span className="xrd-meta-item">
-            {getStructureElement(activeStructure)} scattering
+            {getScatteringSpecies(structure).join(', ')} {radiation === 'neutron' ? 'nuclear' : 'X-ray'} scattering
           </span>
           <span className="xrd-meta-item">
-            {xrdPeaks.length} peaks
+            {(xrdAxis === 'tof' ? tofPeaks : xrdPeaks).length} peaks
           </span>
         </div>
 
+        {/* Absorption and anode fluorescence (X-ray only) */}
+        {absorption && (
+          <>
+            {absorption.mu !== null && (
+              <div className="xrd-meta">
+                <span className="xrd-meta-item">&mu;/&rho; = {absorption.massAttenuation.toFixed(1)} cm&sup2;/g</span>
+                <span className="xrd-meta-item">&mu; = {absorption.mu.toFixed(0)} cm&#8315;&sup1;</span>
+                <span className="xrd-meta-item" title="Attenuation length 1/μ">1/&mu; = {absorption.depth.toFixed(1)} &micro;m</span>
+              </div>
+            )}
+            {absorption.fluorescence.length > 0 && (
+              <p className="import-error fluorescence-warning">
+                {wavelength} ({absorption.energy.toFixed(2)} keV) excites{' '}
+                {absorption.fluorescence.map(f => `${f.element} ${f.edge} (${f.edgeEnergy.toFixed(2)} keV)`).join(', ')}
+                {' '}fluorescence &mdash; expect a high background; use a longer-wavelength anode, a diffracted-beam
+                monochromator or an energy-discriminating detector.
+              </p>
+            )}
+          </>
+        )}
+
+        {/* Phases: the 3D structure plus further phases, each with its own a and weight */}
+        <div className="phase-list">
+          <div className="phase-row">
+            <span className="phase-dot" style={{ background: PHASE_COLORS[0] }} />
+            <span className="phase-name">{structure.material || structure.abbrev}</span>
+            {mixture && (
+              <>
+                <input type="range" min={1} max={100} step={1} value={primaryWeight}
+                  onChange={(e) => onPrimaryWeightChange(Number(e.target.value))} />
+                <span className="control-value">{(mixture[0].weightFraction * 100).toFixed(1)} wt%</span>
+              </>
+            )}
+          </div>
+          {phases.map((phase, i) => {
+            const summary = mixture?.[i + 1];
+            const defaultA = phase.material ? MATERIALS[phase.material].a : STRUCTURES[phase.structureId].defaultA;
+            const a = phase.latticeConstant ?? defaultA;
+            return (
+              <div className="phase-block" key={phase.id}>
+                <div className="phase-row">
+                  <span className="phase-dot" style={{ background: PHASE_COLORS[(i + 1) % PHASE_COLORS.length] }} />
+                  <select
+                    className="material-select phase-select"
+                    value={`${phase.structureId}|${phase.material || ''}`}
+                    onChange={(e) => {
+                      const [structureId, material] = e.target.value.split('|');
+                      onPhaseChange(phase.id, { structureId, material: material || null, latticeConstant: null });
+                    }}
+                  >
+                    {STRUCTURE_ORDER.map((id) => (
+                      <optgroup key={id} label={STRUCTURES[id].name}>
+                        <option value={`${id}|`}>generic {STRUCTURES[id].abbrev}</option>
+                        {materialsForStructure(id).map((formula) => (
+                          <option key={formula} value={`${id}|${formula}`}>
+                            {formula} &mdash; {MATERIALS[formula].name}
+                          </option>
+                        ))}
+                      </optgroup>
+                    ))}
+                  </select>
+                  <button className="phase-remove" onClick={() => onPhaseRemove(phase.id)} title="Remove phase">&times;</button>
+                </div>
+                <div className="control-row">
+                  <label className="control-label">a</label>
+                  <div className="control-input">
+                    <input type="range" min={defaultA * 0.9} max={defaultA * 1.1} step={0.001}
+                      value={a}
+                      onChange={(e) => onPhaseChange(phase.id, { latticeConstant: Number(e.target.value) })} />
+                    <span className="control-value">{a.toFixed(3)} A</span>
+                  </div>
+                </div>
+                <div className="control-row">
+                  <label className="control-label">Weight</label>
+                  <div className="control-input">
+                    <input type="range" min={1} max={100} step={1}
+                      value={phase.weight}
+                      onChange={(e) => onPhaseChange(phase.id, { weight: Number(e.target.value) })} />
+                    <span className="control-value">{summary ? `${(summary.weightFraction * 100).toFixed(1)} wt%` : ''}</span>
+                  </div>
+                </div>
+                {summary && (
+                  <div className="xrd-meta">
+                    <span className="xrd-meta-item">&rho; = {summary.density.toFixed(3)} g/cm&sup3;</span>
+                    <span className="xrd-meta-item">RIR = {summary.rir.toFixed(2)} vs {mixture[0].name}</span>
+                  </div>
+                )}
+              </div>
+            );
+          })}
+          {phases.length < MAX_PHASES - 1 && (
+            <button className="screenshot-btn" onClick={onPhaseAdd}>+ Add phase</button>
+          )}
+        </div>
+
         {/* Temperature (Debye-Waller) */}
         <div className="control-row">
           <label className="control-label">Temperature (Debye-Waller)</label>
@@ -426,44 +1099,275 @@ export default function Sidebar({
             <span className="control-value">{temperature} K</span>
           </div>
         </div>
+        <div className="xrd-meta">
+          {[...speciesDisplacements(getScatteringSpecies(structure), temperature, structure.debyeTemperature)]
+            .map(([el, { B, debyeTemperature }]) => (
+              <span key={el} className="xrd-meta-item" title={`\u0398D = ${debyeTemperature} K`}>
+                B({el}) = {B.toFixed(3)} &Aring;&sup2;
+              </span>
+            ))}
+        </div>
 
-        <XRDChart
-          peaks={xrdPeaks}
-          activeMiller={millerIndices}
-          onPeakClick={(pk) => onMillerChange({ h: pk.hkl[0], k: pk.hkl[1], l: pk.hkl[2], show: true, offset: 0 })}
-        />
+        {/* Preferred orientation (March-Dollase) */}
+        <div className="hkl-row">
+          <label className="control-label">Texture Axis ({hklName}) &parallel; specimen normal</label>
+          <IndexInputs
+            values={texture.axis}
+            kind="plane"
+            fourIndex={fourIndex}
+            onChange={(axis) => axis.some(x => x !== 0) && onTextureChange({ axis })}
+          />
+        </div>
+        <div className="control-row">
+          <label className="control-label">March&ndash;Dollase r (&lt;1 plates, &gt;1 needles)</label>
+          <div className="control-input">
+            <input type="range" min={0.3} max={2} step={0.01}
+              value={texture.r}
+              onChange={(e) => onTextureChange({ r: Number(e.target.value) })} />
+            <span className="control-value">{texture.r === 1 ? 'random' : texture.r.toFixed(2)}</span>
+          </div>
+        </div>
+
+        {/* Peak profile: pseudo-Voigt, Caglioti widths, asymmetry, Kα doublet */}
+        <div className="control-row">
+          <label className="control-label">Peak Profile</label>
+          <div className="wavelength-chips">
+            <button
+              className={`preset-chip xrd-src-chip ${profile.doublet ? 'active' : ''}`}
+              onClick={() => onProfileChange({ doublet: !profile.doublet })}
+              disabled={radiation !== 'xray' || !KALPHA_LINES[wavelength]}
+              title={lines ? `K\u03b11 ${lines[0].lambda} A / K\u03b12 ${lines[1].lambda} A` : undefined}
+            >
+              K&alpha;1 + K&alpha;2
+            </button>
+          </div>
+        </div>
+        {PROFILE_SLIDERS.map(({ key, label, min, max, step, digits }) => (
+          <div className="control-row" key={key}>
+            <label className="control-label">{label}</label>
+            <div className="control-input">
+              <input type="range" min={min} max={max} step={step}
+                value={profile[key]}
+                onChange={(e) => onProfileChange({ [key]: Number(e.target.value) })} />
+              <span className="control-value">{profile[key].toFixed(digits)}</span>
+            </div>
+          </div>
+        ))}
+
+        {/* Measured pattern overlay (.xy / .xye / CSV / two-column text) */}
+        <div className="pattern-row">
+          <label className="screenshot-btn import-btn">
+            {experiment ? 'Replace Measured Pattern' : 'Load Measured Pattern'}
+            <input
+              type="file" accept=".xy,.xye,.csv,.txt,.dat" hidden
+              onChange={(e) => {
+                onLoadPattern(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          {patternError && <p className="import-error">{patternError}</p>}
+        </div>
+
+        {experiment && comparison && (
+          <div className="pattern-panel">
+            <div className="xrd-meta">
+              <span className="xrd-meta-item pattern-name" title={experiment.name}>{experiment.name}</span>
+              <span className="xrd-meta-item">R<sub>wp</sub> = {(comparison.rwp * 100).toFixed(2)}%</span>
+              <span className="xrd-meta-item">&chi;&sup2; = {comparison.chi2.toFixed(2)}</span>
+              <button className="preset-chip pattern-clear" onClick={onClearPattern} title="Remove overlay">
+                &times;
+              </button>
+            </div>
+
+            <div className="control-row">
+              <label className="control-label">Zero Shift (2&theta;)</label>
+              <div className="control-input">
+                <input type="range" min={-1} max={1} step={0.005}
+                  value={comparison.zeroShift}
+                  onChange={(e) => onOverlayChange({ zeroShift: Number(e.target.value) })} />
+                <span className="control-value">{comparison.zeroShift.toFixed(3)}&deg;</span>
+              </div>
+            </div>
+
+            <div className="control-row">
+              <label className="control-label">Scale Factor (counts per %)</label>
+              <div className="control-input">
+                <input type="range" min={-1} max={1} step={0.005}
+                  value={Math.log10(comparison.scale / comparison.autoScale)}
+                  onChange={(e) => onOverlayChange({
+                    scale: comparison.autoScale * 10 ** Number(e.target.value),
+                  })} />
+                <span className="control-value">{comparison.scale.toPrecision(4)}</span>
+              </div>
+              <button className="preset-chip" onClick={() => onOverlayChange({ scale: null })}>
+                Auto scale
+              </button>
+            </div>
+
+            {/* Least-squares refinement */}
+            <div className="export-row">
+              <span className="stat-label">Refine cell, zero, width, scale</span>
+              <div className="export-buttons">
+                {Object.entries(REFINEMENT_MODES).map(([mode, label]) => (
+                  <button key={mode} className="screenshot-btn" onClick={() => onRefine(mode)}>
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            {refinement && (
+              <div className="refinement-results">
+                <div className="xrd-meta">
+                  <span className="xrd-meta-item">{REFINEMENT_MODES[refinement.mode]}</span>
+                  <span className="xrd-meta-item">R<sub>wp</sub> = {(refinement.rwp * 100).toFixed(2)}%</span>
+                  <span className="xrd-meta-item">&chi;&sup2;<sub>r</sub> = {refinement.chi2.toFixed(2)}</span>
+                  <span className="xrd-meta-item">
+                    {refinement.iterations} cycles{refinement.converged ? '' : ' (not converged)'}
+                  </span>
+                </div>
+                <table className="xrd-table">
+                  <tbody>
+                    {refinement.parameters.map((key) => (
+                      <tr key={key} className="xrd-row">
+                        <td>{REFINED_LABELS[key] || key}</td>
+                        <td>{formatWithEsd(refinement.values[key], refinement.esd[key])}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <div className="xrd-wavelength-row">
+          <label className="control-label">View</label>
+          <div className="wavelength-chips">
+            {Object.entries(XRD_VIEWS).map(([view, label]) => (
+              <button
+                key={view}
+                className={`preset-chip xrd-src-chip ${xrdView === view ? 'active' : ''}`}
+                onClick={() => onXrdViewChange(view)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {xrdView === 'debyeWaller' ? (
+          temperatureSeries ? (
+            <DebyeWallerChart
+              series={temperatureSeries}
+              temperature={temperature}
+              label={planeLabel([millerIndices.h, millerIndices.k, millerIndices.l], structure)}
+            />
+          ) : (
+            <div className="xrd-chart-empty">
+              <span>Select a reflection (hkl) to plot its intensity against temperature</span>
+            </div>
+          )
+        ) : xrdView === 'poleFigure' ? (
+          poleFigure ? (
+            <>
+              <div className="xrd-meta">
+                <span className="xrd-meta-item">{poleFigure.members} poles</span>
+                <span className="xrd-meta-item">&alpha; = {poleFigure.alpha.join(', ')}&deg;</span>
+                <span className="xrd-meta-item">{poleFigure.min.toFixed(2)}&ndash;{poleFigure.max.toFixed(2)} m.r.d.</span>
+              </div>
+              <PoleFigureChart
+                figure={poleFigure}
+                hkl={fourIndex
+                  ? toMillerBravais([millerIndices.h, millerIndices.k, millerIndices.l])
+                  : [millerIndices.h, millerIndices.k, millerIndices.l]}
+              />
+            </>
+          ) : (
+            <div className="xrd-chart-empty">
+              <span>Select a reflection (hkl) to plot its pole figure</span>
+            </div>
+          )
+        ) : xrdView === 'williamsonHall' && williamsonHall ? (
+          <>
+            <div className="xrd-meta">
+              {experiment && ['simulated', 'measured'].map(source => (
+                <button
+                  key={source}
+                  className={`preset-chip xrd-src-chip ${whSource === source ? 'active' : ''}`}
+                  onClick={() => onWhSourceChange(source)}
+                >
+                  {source === 'simulated' ? 'Simulated' : 'Measured'}
+                </button>
+              ))}
+              <span className="xrd-meta-item">
+                L = {williamsonHall.size ? `${williamsonHall.size.toFixed(1)} nm` : '\u221e'}
+              </span>
+              {williamsonHall.strain !== null && (
+                <span className="xrd-meta-item">&epsilon; = {williamsonHall.strain.toFixed(3)}%</span>
+              )}
+              {williamsonHall.r2 !== null && (
+                <span className="xrd-meta-item">R&sup2; = {williamsonHall.r2.toFixed(3)}</span>
+              )}
+              <span className="xrd-meta-item">{williamsonHall.points.length} peaks</span>
+            </div>
+            <WilliamsonHallChart
+              analysis={williamsonHall}
+              activeMiller={millerIndices}
+              onPointClick={(pk) => onMillerChange({ h: pk.hkl[0], k: pk.hkl[1], l: pk.hkl[2], show: true, offset: 0 })}
+            />
+          </>
+        ) : (
+          <XRDChart
+            peaks={xrdAxis === 'tof' ? tofPeaks : xrdPeaks}
+            comparison={comparison}
+            profile={profile}
+            lines={lines}
+            axis={xrdAxis}
+            tof={tof}
+            phases={mixture}
+            activeMiller={millerIndices}
+            onPeakClick={(pk) => !pk.phase && onMillerChange({ h: pk.hkl[0], k: pk.hkl[1], l: pk.hkl[2], show: true, offset: 0 })}
+          />
+        )}
 
         {/* Peak table */}
         <div className="xrd-table-wrap">
           <table className="xrd-table">
             <thead>
               <tr>
-                <th>(hkl)</th>
-                <th>2&theta; (&deg;)</th>
+                <th>({hklName})</th>
+                {mixture && <th>Phase</th>}
+                <th>{xrdAxis === 'tof' ? <>t (&micro;s)</> : <>2&theta; (&deg;)</>}</th>
                 <th>d (A)</th>
                 <th>I (%)</th>
+                <th title="Multiplicity of the family">m</th>
               </tr>
             </thead>
             <tbody>
-              {xrdPeaks
+              {(xrdAxis === 'tof' ? tofPeaks : xrdPeaks)
                 .slice()
                 .sort((a, b) => b.relativeIntensity - a.relativeIntensity)
                 .slice(0, 8)
                 .map((p, i) => {
-                  const isActive = millerIndices.show &&
-                    p.hkl[0] === Math.abs(millerIndices.h) &&
-                    p.hkl[1] === Math.abs(millerIndices.k) &&
-                    p.hkl[2] === Math.abs(millerIndices.l);
+                  const isActive = millerIndices.show && !p.phase &&
+                    Math.abs(p.hkl[0]) === Math.abs(millerIndices.h) &&
+                    Math.abs(p.hkl[1]) === Math.abs(millerIndices.k) &&
+                    Math.abs(p.hkl[2]) === Math.abs(millerIndices.l);
                   return (
                     <tr
                       key={i}
                       className={`xrd-row ${isActive ? 'active' : ''}`}
-                      onClick={() => onMillerChange({ h: p.hkl[0], k: p.hkl[1], l: p.hkl[2], show: true, offset: 0 })}
+                      title={p.overlaps.length > 0 ? `Same position as ${p.overlaps.join(' ')}` : undefined}
+                      onClick={() => !p.phase && onMillerChange({ h: p.hkl[0], k: p.hkl[1], l: p.hkl[2], show: true, offset: 0 })}
                     >
                       <td className="xrd-hkl">{p.label}</td>
-                      <td>{p.twoTheta.toFixed(2)}</td>
+                      {mixture && <td style={{ color: mixture[p.phase].color }}>{mixture[p.phase].name}</td>}
+                      <td>{xrdAxis === 'tof' ? p.tof.toFixed(0) : p.twoTheta.toFixed(2)}</td>
                       <td>{p.dSpacing.toFixed(3)}</td>
                       <td>{p.relativeIntensity.toFixed(1)}</td>
+                      <td>{p.multiplicity}{p.overlaps.length > 0 && '*'}</td>
                     </tr>
                   );
                 })}
@@ -472,6 +1376,196 @@ export default function Sidebar({
         </div>
       </section>
 
+      {/* Peak-list indexing */}
+      <section className="panel">
+        <h2 className="panel-title">Peak Indexing</h2>
+        <div className="xrd-wavelength-row">
+          <label className="control-label">Peak Positions</label>
+          <div className="wavelength-chips">
+            {Object.entries(INDEX_UNITS).map(([unit, label]) => (
+              <button
+                key={unit}
+                className={`preset-chip xrd-src-chip ${indexing.unit === unit ? 'active' : ''}`}
+                onClick={() => onIndexingChange({ unit })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        <textarea
+          className="index-input"
+          rows={3}
+          spellCheck={false}
+          placeholder={indexing.unit === 'd'
+            ? '2.087 1.808 1.278 1.090 ...\nor one "d  I" pair per line'
+            : '43.3 50.4 74.1 89.9 ...\nor one "2θ  I" pair per line'}
+          value={indexing.text}
+          onChange={(e) => onIndexingChange({ text: e.target.value })}
+        />
+        <div className="export-row">
+          <span className="stat-label">&lambda; = {lambda.toFixed(4)} &Aring;</span>
+          <div className="export-buttons">
+            <button
+              className="screenshot-btn"
+              title="Fill in the strongest lines of the simulated pattern, with their intensities"
+              onClick={() => onIndexingChange({
+                unit: 'twoTheta',
+                text: xrdPeaks
+                  .filter(pk => !pk.phase)
+                  .sort((a, b) => b.relativeIntensity - a.relativeIntensity)
+                  .slice(0, MAX_LINES)
+                  .sort((a, b) => a.twoTheta - b.twoTheta)
+                  .map(pk => `${pk.twoTheta.toFixed(3)}  ${pk.relativeIntensity.toFixed(1)}`)
+                  .join('\n'),
+              })}
+            >
+              From Pattern
+            </button>
+            <button className="screenshot-btn" onClick={onIndex}>Index</button>
+          </div>
+        </div>
+        {indexing.error && <p className="import-error">{indexing.error}</p>}
+
+        {indexing.candidates?.length > 0 && (
+          <div className="xrd-table-wrap">
+            <table className="xrd-table index-table">
+              <thead>
+                <tr>
+                  <th>Structure</th>
+                  <th>a (c) (&Aring;)</th>
+                  <th title="de Wolff figure of merit, weighted by the calculated intensity on observed lines and the intensity agreement">M<sub>20</sub></th>
+                  <th>Lines</th>
+                </tr>
+              </thead>
+              <tbody>
+                {indexing.candidates.slice(0, 8).map((c) => {
+                  const isActive = c.structureId === activeStructure && c.material === activeMaterial;
+                  return (
+                    <tr
+                      key={c.structureId}
+                      className={`xrd-row ${isActive ? 'active' : ''}`}
+                      title={c.lines.map(({ d, hkl }) => `${d.toFixed(4)} \u00c5  ${hkl ? planeLabel(hkl, STRUCTURES[c.structureId]) : '\u2014'}`).join('\n')}
+                      onClick={() => onIndexCandidate(c)}
+                    >
+                      <td>{c.material ? `${c.material} (${c.name})` : c.name}</td>
+                      <td>{c.cell.a.toFixed(4)}{c.cell.c ? ` (${c.cell.c.toFixed(4)})` : ''}</td>
+                      <td title={`calculated intensity on observed lines ${(c.explained * 100).toFixed(0)}%` +
+                        (c.agreement === null ? '' : `, intensity agreement ${(c.agreement * 100).toFixed(0)}%`)}>
+                        {c.merit.toFixed(1)}
+                      </td>
+                      <td>
+                        {c.lineCount - c.unindexed}/{c.lineCount}
+                        {c.missing > 0 && <span className="index-missing" title="Strong calculated lines not observed"> &minus;{c.missing}</span>}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </section>
+
+      {/* Single-crystal pattern */}
+      <section className="panel">
+        <h2 className="panel-title">Single-Crystal Pattern</h2>
+
+        <div className="xrd-wavelength-row">
+          <label className="control-label">Geometry</label>
+          <div className="wavelength-chips">
+            {Object.entries(SINGLE_CRYSTAL_GEOMETRIES).map(([key, label]) => (
+              <button
+                key={key}
+                className={`preset-chip xrd-src-chip ${singleCrystal.geometry === key ? 'active' : ''}`}
+                onClick={() => onSingleCrystalChange({ geometry: key })}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="hkl-row">
+          <label className="control-label">Zone Axis {fourIndex ? '[uvtw]' : '[uvw]'} &parallel; beam</label>
+          <IndexInputs
+            values={singleCrystal.zoneAxis}
+            kind="direction"
+            fourIndex={fourIndex}
+            onChange={(zoneAxis) => zoneAxis.some(x => x !== 0) && onSingleCrystalChange({ zoneAxis })}
+          />
+        </div>
+
+        {[
+          { key: 'rotation', label: 'Rotation \u03c8 about beam', min: -180, max: 180 },
+          { key: 'tiltX', label: 'Tilt about x', min: -30, max: 30 },
+          { key: 'tiltY', label: 'Tilt about y', min: -30, max: 30 },
+        ].map(({ key, label, min, max }) => (
+          <div className="control-row" key={key}>
+            <label className="control-label">{label}</label>
+            <div className="control-input">
+              <input type="range" min={min} max={max} step={0.5}
+                value={singleCrystal[key]}
+                onChange={(e) => onSingleCrystalChange({ [key]: Number(e.target.value) })} />
+              <span className="control-value">{singleCrystal[key].toFixed(1)}&deg;</span>
+            </div>
+          </div>
+        ))}
+
+        {singleCrystal.geometry === 'saed' ? (
+          SAED_SLIDERS.map(({ key, label, min, max, step, unit }) => (
+            <div className="control-row" key={key}>
+              <label className="control-label">{label}</label>
+              <div className="control-input">
+                <input type="range" min={min} max={max} step={step}
+                  value={singleCrystal[key]}
+                  onChange={(e) => onSingleCrystalChange({ [key]: Number(e.target.value) })} />
+                <span className="control-value">{singleCrystal[key]}{unit}</span>
+              </div>
+            </div>
+          ))
+        ) : singleCrystal.geometry === 'precession' ? (
+          <div className="xrd-meta">
+            <span className="xrd-meta-item">&lambda; = {lambda.toFixed(4)} A</span>
+            <span className="xrd-meta-item">zero layer</span>
+          </div>
+        ) : (
+          <div className="control-row">
+            <label className="control-label">White Beam &lambda; Band</label>
+            <div className="control-input">
+              <input type="range" min={0.1} max={3} step={0.05}
+                value={singleCrystal.lambdaMin}
+                onChange={(e) => onSingleCrystalChange({
+                  lambdaMin: Math.min(Number(e.target.value), singleCrystal.lambdaMax - 0.05),
+                })} />
+              <input type="range" min={0.1} max={3} step={0.05}
+                value={singleCrystal.lambdaMax}
+                onChange={(e) => onSingleCrystalChange({
+                  lambdaMax: Math.max(Number(e.target.value), singleCrystal.lambdaMin + 0.05),
+                })} />
+              <span className="control-value">
+                {singleCrystal.lambdaMin.toFixed(2)}&ndash;{singleCrystal.lambdaMax.toFixed(2)} A
+              </span>
+            </div>
+          </div>
+        )}
+
+        {singleCrystal.geometry === 'saed' ? (
+          <SAEDChart
+            pattern={singleCrystalSpots}
+            activeMiller={millerIndices}
+            onSpotClick={(s) => onMillerChange({ h: s.hkl[0], k: s.hkl[1], l: s.hkl[2], show: true, offset: 0 })}
+          />
+        ) : (
+          <SingleCrystalChart
+            pattern={singleCrystalSpots}
+            geometry={singleCrystal.geometry}
+            activeMiller={millerIndices}
+            onSpotClick={(s) => onMillerChange({ h: s.hkl[0], k: s.hkl[1], l: s.hkl[2], show: true, offset: 0 })}
+          />
+        )}
+      </section>
+
       <div className="sidebar-footer">
         <span>Click atoms for info &middot; Drag to rotate &middot; Scroll to zoom</span>
       </div>
@@ -0,0 +1,82 @@
+import { SINGLE_CRYSTAL_GEOMETRIES } from '../data/singleCrystal';
+
+/**
+ * Single-crystal spot pattern on a flat detector (see singleCrystal.js).
+ *
+ * – Spot area ∝ |F|², relative to the strongest spot.
+ * – Precession: systematically absent zero-layer positions drawn as
+ *   hollow rings; the limiting circle |G| = 2/λ is outlined.
+ * – Click a spot → selects that (hkl) in the 3D view, like a powder peak.
+ */
+
+const SIZE  = 284;   // plot width / height (px)
+const PAD   = 8;
+const SVG_W = SIZE + 2 * PAD;
+const SPOT_MIN = 0.8;
+const SPOT_MAX = 5;
+
+/** Does a spot index the same reciprocal-lattice row as the selected plane? */
+function sameRow([h, k, l], { h: mh, k: mk, l: ml }) {
+  const cross = [k * ml - l * mk, l * mh - h * ml, h * mk - k * mh];
+  return cross.every(c => c === 0) && h * mh + k * mk + l * ml > 0;
+}
+
+
+export default function SingleCrystalChart({ pattern, geometry, activeMiller, onSpotClick, accentColor = '#60dfff' }) {
+  const { spots, extent } = pattern;
+  const centre = PAD + SIZE / 2;
+  const toPx = v => centre + (v / extent) * (SIZE / 2);
+  const toPy = v => centre - (v / extent) * (SIZE / 2);
+  const precession = geometry === 'precession';
+  const visible = spots.filter(s => !s.absent || precession);
+
+  if (visible.length === 0) {
+    return (
+      <div className="xrd-chart-empty">
+        <span>No reflections reach the detector</span>
+      </div>
+    );
+  }
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_W}`} className="xrd-chart-svg" xmlns="http://www.w3.org/2000/svg">
+      <rect x={PAD} y={PAD} width={SIZE} height={SIZE} rx="4"
+        fill="rgba(0,0,0,0.25)" stroke="rgba(255,255,255,0.08)" />
+      {precession && (
+        <circle cx={centre} cy={centre} r={SIZE / 2}
+          fill="none" stroke="rgba(255,255,255,0.08)" strokeDasharray="3 3" />
+      )}
+
+      {/* Beam position */}
+      <line x1={centre - 5} y1={centre} x2={centre + 5} y2={centre} stroke="rgba(255,255,255,0.3)" />
+      <line x1={centre} y1={centre - 5} x2={centre} y2={centre + 5} stroke="rgba(255,255,255,0.3)" />
+
+      {visible.map((s, i) => {
+        const isActive = activeMiller?.show && sameRow(s.hkl, activeMiller);
+        const r = s.absent ? 1.6 : SPOT_MIN + (SPOT_MAX - SPOT_MIN) * Math.sqrt(s.relativeIntensity / 100);
+        return (
+          <circle
+            key={i}
+            cx={toPx(s.x)} cy={toPy(s.y)} r={isActive ? r + 1.5 : r}
+            fill={s.absent ? 'none' : isActive ? '#fff' : accentColor}
+            stroke={s.absent ? 'rgba(255,255,255,0.3)' : 'none'}
+            strokeWidth="0.6"
+            opacity={isActive ? 1 : 0.35 + 0.65 * Math.sqrt(s.relativeIntensity / 100)}
+            style={{ cursor: 'pointer' }}
+            onClick={() => onSpotClick && onSpotClick(s)}
+          >
+            <title>
+              {s.label}  d={s.dSpacing.toFixed(3)}Å  {precession ? '' : `λ=${s.lambda.toFixed(3)}Å  `}2θ={s.twoTheta.toFixed(1)}°  {s.absent ? 'absent' : `I=${s.relativeIntensity.toFixed(1)}%`}
+            </title>
+          </circle>
+        );
+      })}
+
+      <text x={PAD + 4} y={SVG_W - PAD - 4}
+        fill="rgba(255,255,255,0.25)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        {SINGLE_CRYSTAL_GEOMETRIES[geometry]}
+        {precession ? `  ·  |G| ≤ ${extent.toFixed(2)} Å⁻¹` : `  ·  ±${extent} D`}
+      </text>
+    </svg>
+  );
+}
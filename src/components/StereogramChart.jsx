@@ -0,0 +1,139 @@
+import { wulffNet } from '../data/stereographic';
+
+/**
+ * Stereographic projection of plane poles and directions (see
+ * stereographic.js), upper hemisphere, viewer-facing pole at the centre.
+ *
+ * – Planes: filled dots, larger for lower indices; directions: open squares.
+ * – Faint great circles for the ⟨uvw⟩ zones with indices ≤ 1, and the
+ *   standard triangle for cubic and hexagonal structures.
+ * – The selected plane's trace and the selected direction's zone circle are
+ *   highlighted.
+ * – Click a pole → selects that (hkl) or [uvw] in the 3D view.
+ */
+
+const SIZE = 284;   // primitive diameter (px)
+const PAD  = 8;
+const SVG_W = SIZE + 2 * PAD;
+const SVG_H = SIZE + 2 * PAD + 12;
+const PLANE_COLOR = '#60dfff';
+const DIRECTION_COLOR = '#fbbf24';
+const ZONE_COLOR = 'rgba(96,223,255,0.18)';
+const NET_COLOR = 'rgba(255,255,255,0.07)';
+const TRIANGLE_COLOR = '#f0abfc';
+
+/** Dot radius by largest index. */
+const POLE_RADIUS = { 1: 3.4, 2: 2.5, 3: 1.8 };
+
+/** The net is the same for every structure and orientation. */
+const NET = wulffNet(10);
+
+/** Parallel index triples (the same plane or line). */
+function sameLine(a, b) {
+  if (!b) return false;
+  const c = [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  return c.every(x => x === 0);
+}
+
+
+export default function StereogramChart({
+  projection, options, centreLabel, activePlane, activeDirection, onPlaneClick, onDirectionClick,
+}) {
+  const { planes, directions, zones, triangle, planeTrace, directionZone } = projection;
+  const { showDirections, showZones, showNet, showLabels } = options;
+  const centre = PAD + SIZE / 2;
+  const R = SIZE / 2;
+  const toPx = x => centre + x * R;
+  const toPy = y => centre - y * R;
+  const pathOf = segments => segments
+    .map(seg => seg.map(([x, y], i) => `${i ? 'L' : 'M'}${toPx(x).toFixed(1)},${toPy(y).toFixed(1)}`).join(''))
+    .join('');
+  const label = (text, x, y, color) => (
+    <text x={toPx(x) + 4} y={toPy(y) - 3} fill={color} fontSize="7"
+      fontFamily="JetBrains Mono, monospace" pointerEvents="none">
+      {text}
+    </text>
+  );
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_H}`} className="xrd-chart-svg" xmlns="http://www.w3.org/2000/svg">
+      <circle cx={centre} cy={centre} r={R} fill="rgba(0,0,0,0.25)" />
+
+      {showNet && (
+        <g pointerEvents="none">
+          {[...NET.meridians, ...NET.parallels].map((curve, i) => (
+            <path key={i} d={pathOf(curve)} fill="none" stroke={NET_COLOR} />
+          ))}
+        </g>
+      )}
+      <line x1={centre - R} y1={centre} x2={centre + R} y2={centre} stroke="rgba(255,255,255,0.12)" pointerEvents="none" />
+      <line x1={centre} y1={centre - R} x2={centre} y2={centre + R} stroke="rgba(255,255,255,0.12)" pointerEvents="none" />
+
+      {showZones && zones.map(zone => (
+        <path key={zone.label} d={pathOf(zone.path)} fill="none" stroke={ZONE_COLOR}>
+          <title>{`zone ${zone.label}`}</title>
+        </path>
+      ))}
+
+      {triangle && (
+        <g pointerEvents="none">
+          <path d={pathOf(triangle.path)} fill="none" stroke={TRIANGLE_COLOR} strokeWidth="1.2" opacity="0.8" />
+          {!showLabels && triangle.corners.filter(c => c.visible)
+            .map(c => <g key={c.label}>{label(c.label, c.x, c.y, TRIANGLE_COLOR)}</g>)}
+        </g>
+      )}
+
+      {planeTrace && (
+        <path d={pathOf(planeTrace)} fill="none" stroke={PLANE_COLOR} strokeWidth="1.3" pointerEvents="none" />
+      )}
+      {directionZone && (
+        <path d={pathOf(directionZone)} fill="none" stroke={DIRECTION_COLOR} strokeWidth="1.3"
+          strokeDasharray="4 3" pointerEvents="none" />
+      )}
+
+      <circle cx={centre} cy={centre} r={R} fill="none" stroke="rgba(255,255,255,0.3)" pointerEvents="none" />
+
+      {showDirections && directions.map(d => {
+        const isActive = sameLine(d.uvw, activeDirection);
+        const half = isActive ? 4 : (POLE_RADIUS[d.order] ?? 1.8) + 0.4;
+        return (
+          <g key={d.uvw.join(',')}>
+            <rect
+              x={toPx(d.x) - half} y={toPy(d.y) - half} width={2 * half} height={2 * half}
+              fill={isActive ? DIRECTION_COLOR : 'rgba(0,0,0,0.01)'}
+              stroke={DIRECTION_COLOR} strokeWidth="0.8"
+              opacity={isActive ? 1 : 0.75}
+              style={{ cursor: 'pointer' }}
+              onClick={() => onDirectionClick && onDirectionClick(d)}
+            >
+              <title>{d.label}</title>
+            </rect>
+          </g>
+        );
+      })}
+
+      {planes.map(p => {
+        const isActive = sameLine(p.hkl, activePlane);
+        const r = POLE_RADIUS[p.order] ?? 1.8;
+        return (
+          <g key={p.hkl.join(',')}>
+            <circle
+              cx={toPx(p.x)} cy={toPy(p.y)} r={isActive ? r + 1.5 : r}
+              fill={isActive ? '#fff' : PLANE_COLOR}
+              opacity={isActive ? 1 : 0.5 + 0.5 / p.order}
+              style={{ cursor: 'pointer' }}
+              onClick={() => onPlaneClick && onPlaneClick(p)}
+            >
+              <title>{p.label}</title>
+            </circle>
+            {showLabels && label(p.label, p.x, p.y, isActive ? '#fff' : 'rgba(255,255,255,0.45)')}
+          </g>
+        );
+      })}
+
+      <text x={PAD} y={SVG_H - 3} fill="rgba(255,255,255,0.25)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        {`Stereographic · upper hemisphere · ${centreLabel} at centre`}
+      </text>
+    </svg>
+  );
+}
@@ -0,0 +1,107 @@
+/**
+ * Williamson–Hall plot: β·cosθ against 4sinθ for each fitted reflection,
+ * with the least-squares line.  Intercept → crystallite size, slope →
+ * microstrain (see williamsonHall.js).
+ *
+ * – Click a point → selects that Miller plane, like a peak in XRDChart.
+ * – Hover tooltip shows the fitted and instrumental FWHM.
+ */
+
+const CHART_W = 272;
+const CHART_H = 120;
+const PAD_L   = 34;
+const PAD_R   = 6;
+const PAD_T   = 10;
+const PAD_B   = 22;
+const SVG_W   = CHART_W + PAD_L + PAD_R;
+const SVG_H   = CHART_H + PAD_T + PAD_B;
+const Y_UNIT  = 1e3;  // plot β·cosθ in mrad
+
+/** Round a positive range up to 1, 2 or 5 × 10ⁿ. */
+function niceCeil(v) {
+  const p = 10 ** Math.floor(Math.log10(v));
+  return [1, 2, 5, 10].find(m => m * p >= v) * p;
+}
+
+
+export default function WilliamsonHallChart({ analysis, activeMiller, onPointClick, accentColor = '#60dfff' }) {
+  const { points, widths, slope, intercept } = analysis;
+
+  if (points.length < 2) {
+    return (
+      <div className="xrd-chart-empty">
+        <span>Too few isolated reflections to fit</span>
+      </div>
+    );
+  }
+
+  const xMax = niceCeil(Math.max(...points.map(p => p.x), 0.5));
+  const yMax = niceCeil(Math.max(...points.map(p => p.y * Y_UNIT), intercept * Y_UNIT, 0.1) * 1.1);
+  const toX = x => PAD_L + (x / xMax) * CHART_W;
+  const toY = y => PAD_T + CHART_H - (y * Y_UNIT / yMax) * CHART_H;
+  const xTicks = [0, 0.25, 0.5, 0.75, 1].map(f => f * xMax);
+  const yTicks = [0, 0.5, 1].map(f => f * yMax);
+
+  // Fitted line, clipped to β·cosθ ≥ 0
+  const lineStart = intercept < 0 && slope > 0 ? -intercept / slope : 0;
+  const lineEnd = slope < 0 && intercept > 0 ? Math.min(xMax, -intercept / slope) : xMax;
+
+  return (
+    <svg viewBox={`0 0 ${SVG_W} ${SVG_H}`} className="xrd-chart-svg" xmlns="http://www.w3.org/2000/svg">
+      <line x1={PAD_L} y1={PAD_T} x2={PAD_L} y2={PAD_T + CHART_H}
+        stroke="rgba(255,255,255,0.12)" strokeWidth="1" />
+      <line x1={PAD_L} y1={PAD_T + CHART_H} x2={PAD_L + CHART_W} y2={PAD_T + CHART_H}
+        stroke="rgba(255,255,255,0.12)" strokeWidth="1" />
+
+      {xTicks.map(t => (
+        <g key={`x${t}`}>
+          <line x1={toX(t)} y1={PAD_T} x2={toX(t)} y2={PAD_T + CHART_H}
+            stroke="rgba(255,255,255,0.04)" strokeWidth="1" />
+          <text x={toX(t)} y={PAD_T + CHART_H + 11} textAnchor="middle"
+            fill="rgba(255,255,255,0.25)" fontSize="8" fontFamily="JetBrains Mono, monospace">
+            {+t.toFixed(2)}
+          </text>
+        </g>
+      ))}
+      {yTicks.map(t => (
+        <text key={`y${t}`} x={PAD_L - 3} y={toY(t / Y_UNIT) + 3} textAnchor="end"
+          fill="rgba(255,255,255,0.25)" fontSize="8" fontFamily="JetBrains Mono, monospace">
+          {+t.toPrecision(2)}
+        </text>
+      ))}
+
+      <text x={PAD_L + CHART_W / 2} y={SVG_H - 1} textAnchor="middle"
+        fill="rgba(255,255,255,0.2)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        4 sin&theta;
+      </text>
+      <text x={8} y={PAD_T + CHART_H / 2} textAnchor="middle"
+        transform={`rotate(-90 8 ${PAD_T + CHART_H / 2})`}
+        fill="rgba(255,255,255,0.2)" fontSize="7" fontFamily="DM Sans, sans-serif">
+        &beta; cos&theta; (mrad)
+      </text>
+
+      <line x1={toX(lineStart)} y1={toY(intercept + slope * lineStart)} x2={toX(lineEnd)} y2={toY(intercept + slope * lineEnd)}
+        stroke={accentColor} strokeWidth="1" strokeDasharray="4 3" opacity="0.7" />
+
+      {points.map((pt, i) => {
+        const w = widths[i];
+        const isActive = activeMiller &&
+          Math.abs(w.hkl[0]) === Math.abs(activeMiller.h) &&
+          Math.abs(w.hkl[1]) === Math.abs(activeMiller.k) &&
+          Math.abs(w.hkl[2]) === Math.abs(activeMiller.l);
+        return (
+          <circle
+            key={i}
+            cx={toX(pt.x)} cy={toY(pt.y)} r={isActive ? 3.5 : 2.5}
+            fill={isActive ? '#fff' : accentColor}
+            opacity={isActive ? 1 : 0.8}
+            style={{ cursor: 'pointer' }}
+            onClick={() => onPointClick && onPointClick(w)}
+          >
+            <title>{pt.label}  2θ={w.twoTheta.toFixed(2)}°  FWHM={w.fwhm.toFixed(3)}°  inst={w.instrumental.toFixed(3)}°  β={w.beta.toFixed(3)}°</title>
+          </circle>
+        );
+      })}
+    </svg>
+  );
+}
@@ -1,12 +1,22 @@
 import { useMemo, useRef } from 'react';
+import { profileAt, tofProfileAt, DEFAULT_PROFILE } from '../data/powderProfile';
 
 /**
  * Interactive SVG powder-XRD chart.
  *
- * – Peaks rendered as Gaussian profiles (not just sticks) for a realistic look.
- * – Top peaks labelled with (hkl).
+ * – Peaks rendered as instrument profiles (pseudo-Voigt, Caglioti widths,
+ *   optional Kα doublet — see powderProfile.js), scaled so the tallest is 100.
+ * – Top peaks labelled with (hkl); families that coincide in 2θ share one
+ *   label, e.g. (333)/(511), and each stick's tooltip gives its multiplicity.
  * – Click a peak → selects that Miller plane in the 3D view.
  * – Hover tooltip shows d-spacing and intensity.
+ * – Optional measured pattern overlaid on the same axes (zero-corrected,
+ *   background-subtracted and divided by the scale factor), with the
+ *   difference curve in a strip below.
+ * – Time-of-flight axis: peaks from generateTOFPattern plotted against d,
+ *   with the bank's flight times in the tooltip.
+ * – Multi-phase mixtures (multiPhase.js): sticks and labels coloured by
+ *   phase, with a legend; only the first phase's peaks select a plane.
  */
 
 const CHART_W  = 272;   // inner plot width (px)
@@ -15,75 +25,123 @@ const PAD_L    = 28;    // left axis padding
 const PAD_R    = 6;
 const PAD_T    = 18;    // top (for labels)
 const PAD_B    = 22;    // bottom axis
+const DIFF_H   = 36;    // height of the difference strip (overlay only)
+const DIFF_GAP = 6;
 const SVG_W    = CHART_W + PAD_L + PAD_R;
-const SVG_H    = CHART_H + PAD_T + PAD_B;
-const SIGMA    = 0.35;  // Gaussian half-width in 2θ degrees
-const CURVE_PTS = 400;  // resolution of the continuous curve
-const MIN_2TH  = 10;
-const MAX_2TH  = 140;
+const CURVE_PTS = 2000; // resolution of the continuous curve
+const OBS_COLOR  = '#fbbf24';  // measured pattern
+const DIFF_COLOR = '#f472b6';  // obs − calc
 
 
-function toX(twoTheta) {
-  return PAD_L + ((twoTheta - MIN_2TH) / (MAX_2TH - MIN_2TH)) * CHART_W;
+/**
+ * Horizontal axis: 2θ (fixed 10–140°) or d for time of flight (0.5 Å up to
+ * just past the longest d-spacing).
+ */
+function buildAxis(axis, peaks) {
+  if (axis === 'tof') {
+    const max = Math.min(Math.ceil(Math.max(...peaks.map(p => p.dSpacing), 1) * 2 + 0.5) / 2, 12);
+    const step = max > 6 ? 2 : max > 3 ? 1 : 0.5;
+    const ticks = [];
+    for (let t = step; t <= max + 1e-9; t += step) ticks.push(t);
+    return { min: 0.5, max, ticks, unit: '', label: 'd (Å)', position: p => p.dSpacing };
+  }
+  return {
+    min: 10, max: 140, ticks: [20, 40, 60, 80, 100, 120, 140],
+    unit: '°', label: '2θ (degrees)', position: p => p.twoTheta,
+  };
+}
+
+function toX(value, { min, max }) {
+  return PAD_L + ((value - min) / (max - min)) * CHART_W;
 }
 function toY(relIntensity) {
   return PAD_T + CHART_H - (relIntensity / 105) * CHART_H;
 }
 
 /** Build a continuous broadened profile from discrete peaks. */
-function buildProfile(peaks) {
-  const step = (MAX_2TH - MIN_2TH) / CURVE_PTS;
-  const inv2Sigma2 = 1 / (2 * SIGMA * SIGMA);
-  const pts = new Float64Array(CURVE_PTS + 1);
-
-  for (const pk of peaks) {
-    const amp = pk.relativeIntensity;
-    const centre = pk.twoTheta;
-    // Only compute within ±5σ of peak centre
-    const loIdx = Math.max(0, Math.floor((centre - 5 * SIGMA - MIN_2TH) / step));
-    const hiIdx = Math.min(CURVE_PTS, Math.ceil((centre + 5 * SIGMA - MIN_2TH) / step));
-    for (let i = loIdx; i <= hiIdx; i++) {
-      const th = MIN_2TH + i * step;
-      const d = th - centre;
-      pts[i] += amp * Math.exp(-d * d * inv2Sigma2);
-    }
-  }
+function buildProfile(peaks, profile, lines, ax, tof) {
+  const step = (ax.max - ax.min) / CURVE_PTS;
+  const grid = Float64Array.from({ length: CURVE_PTS + 1 }, (_, i) => ax.min + i * step);
+  const raw = tof
+    ? tofProfileAt(peaks, grid, tof.resolution, profile.eta)
+    : profileAt(peaks, grid, profile, lines);
+  // Tallest point → 100; clamp to 105 (leave a little headroom)
+  const norm = 100 / Math.max(...raw, 1e-12);
+  const pts = raw.map(y => Math.min(y * norm, 105));
+  return { pts, step, norm };
+}
 
-  // Clamp to 105 (leave a little headroom)
-  for (let i = 0; i <= CURVE_PTS; i++) {
-    if (pts[i] > 105) pts[i] = 105;
+/** Polyline path through (x, y) pairs inside the plotted range. */
+function linePath(xs, ys, yToPx, ax) {
+  let d = '';
+  for (let i = 0; i < xs.length; i++) {
+    if (xs[i] < ax.min || xs[i] > ax.max) continue;
+    d += `${d ? ' L' : 'M'} ${toX(xs[i], ax).toFixed(1)} ${yToPx(ys[i]).toFixed(1)}`;
   }
-  return { pts, step };
+  return d;
 }
 
 
-export default function XRDChart({ peaks, activeMiller, onPeakClick, accentColor = '#60dfff' }) {
+export default function XRDChart({
+  peaks, activeMiller, onPeakClick, comparison: measured = null,
+  profile = DEFAULT_PROFILE, lines = null, axis = 'twoTheta', tof = null, phases = null, accentColor = '#60dfff',
+}) {
+  const colorOf = pk => (phases ? phases[pk.phase].color : accentColor);
   const svgRef = useRef();
+  const isTOF = axis === 'tof' && tof !== null;
+  const comparison = isTOF ? null : measured;  // measured scans are on a 2θ axis
+  const plotBottom = PAD_T + CHART_H + (comparison ? DIFF_GAP + DIFF_H : 0);
+  const svgH = plotBottom + PAD_B;
+  const ax = useMemo(() => buildAxis(isTOF ? 'tof' : 'twoTheta', peaks || []), [isTOF, peaks]);
+
+  // Broadened profile, normalised to a tallest point of 100
+  const curve = useMemo(
+    () => (peaks && peaks.length > 0 ? buildProfile(peaks, profile, lines, ax, isTOF ? tof : null) : null),
+    [peaks, profile, lines, ax, isTOF, tof]
+  );
 
-  // Broadened profile path
   const profilePath = useMemo(() => {
-    if (!peaks || peaks.length === 0) return '';
-    const { pts, step } = buildProfile(peaks);
-    let d = `M ${toX(MIN_2TH)} ${toY(0)}`;
+    if (!curve) return '';
+    const { pts, step } = curve;
+    let d = `M ${toX(ax.min, ax)} ${toY(0)}`;
     for (let i = 0; i <= CURVE_PTS; i++) {
-      const th = MIN_2TH + i * step;
-      d += ` L ${toX(th).toFixed(1)} ${toY(pts[i]).toFixed(1)}`;
+      const x = ax.min + i * step;
+      d += ` L ${toX(x, ax).toFixed(1)} ${toY(pts[i]).toFixed(1)}`;
     }
-    d += ` L ${toX(MAX_2TH)} ${toY(0)} Z`;
+    d += ` L ${toX(ax.max, ax)} ${toY(0)} Z`;
     return d;
-  }, [peaks]);
+  }, [curve, ax]);
+
+  // Measured pattern and difference curve, in the plotted profile's units
+  const overlay = useMemo(() => {
+    if (!comparison || !curve) return null;
+    const { twoTheta, difference, scale, background } = comparison;
+    const k = curve.norm / scale;
+    const obs = comparison.calc.map((c, i) => Math.min((c + difference[i] - background) * k, 105));
+    const diff = difference.map(d => d * k);
+    const diffRange = diff.reduce((m, d) => Math.max(m, Math.abs(d)), 1);
+    const diffMid = PAD_T + CHART_H + DIFF_GAP + DIFF_H / 2;
+    const diffY = v => diffMid - (v / diffRange) * (DIFF_H / 2);
+    return {
+      obsPath: linePath(twoTheta, obs, toY, ax),
+      diffPath: linePath(twoTheta, diff, diffY, ax),
+      diffMid,
+    };
+  }, [comparison, curve, ax]);
 
   // Decide which peaks get (hkl) labels — top 8 by intensity
   const labelledPeaks = useMemo(() => {
     if (!peaks) return [];
-    return [...peaks]
-      .sort((a, b) => b.relativeIntensity - a.relativeIntensity)
-      .slice(0, 8);
+    // One label per position: coincident families share it
+    const labelled = [];
+    for (const pk of [...peaks].sort((a, b) => b.relativeIntensity - a.relativeIntensity)) {
+      if (labelled.length === 8) break;
+      if (labelled.some(q => q.phase === pk.phase && q.overlaps.includes(pk.label))) continue;
+      labelled.push(pk);
+    }
+    return labelled;
   }, [peaks]);
 
-  // 2θ axis ticks
-  const ticks = [20, 40, 60, 80, 100, 120, 140];
-
   if (!peaks || peaks.length === 0) {
     return (
       <div className="xrd-chart-empty">
@@ -95,7 +153,7 @@ export default function XRDChart({ peaks, activeMiller, onPeakClick, accentColor
   return (
     <svg
       ref={svgRef}
-      viewBox={`0 0 ${SVG_W} ${SVG_H}`}
+      viewBox={`0 0 ${SVG_W} ${svgH}`}
       className="xrd-chart-svg"
       xmlns="http://www.w3.org/2000/svg"
     >
@@ -108,31 +166,30 @@ export default function XRDChart({ peaks, activeMiller, onPeakClick, accentColor
       </defs>
 
       {/* Axis lines */}
-      <line x1={PAD_L} y1={PAD_T} x2={PAD_L} y2={PAD_T + CHART_H}
+      <line x1={PAD_L} y1={PAD_T} x2={PAD_L} y2={plotBottom}
         stroke="rgba(255,255,255,0.08)" strokeWidth="1" />
       <line x1={PAD_L} y1={PAD_T + CHART_H} x2={PAD_L + CHART_W} y2={PAD_T + CHART_H}
         stroke="rgba(255,255,255,0.12)" strokeWidth="1" />
 
       {/* Grid + tick labels */}
-      {ticks.map(t => {
-        if (t > MAX_2TH) return null;
-        const x = toX(t);
+      {ax.ticks.map(t => {
+        const x = toX(t, ax);
         return (
           <g key={t}>
-            <line x1={x} y1={PAD_T} x2={x} y2={PAD_T + CHART_H}
+            <line x1={x} y1={PAD_T} x2={x} y2={plotBottom}
               stroke="rgba(255,255,255,0.04)" strokeWidth="1" />
-            <text x={x} y={PAD_T + CHART_H + 14} textAnchor="middle"
+            <text x={x} y={plotBottom + 14} textAnchor="middle"
               fill="rgba(255,255,255,0.25)" fontSize="8" fontFamily="JetBrains Mono, monospace">
-              {t}°
+              {t}{ax.unit}
             </text>
           </g>
         );
       })}
 
       {/* Axis label */}
-      <text x={PAD_L + CHART_W / 2} y={SVG_H - 1} textAnchor="middle"
+      <text x={PAD_L + CHART_W / 2} y={svgH - 1} textAnchor="middle"
         fill="rgba(255,255,255,0.2)" fontSize="7" fontFamily="DM Sans, sans-serif">
-        2θ (degrees)
+        {ax.label}{isTOF && `  ·  TOF = ${tof.difc.toFixed(0)} µs/Å × d`}
       </text>
 
 
@@ -141,49 +198,74 @@ export default function XRDChart({ peaks, activeMiller, onPeakClick, accentColor
       {/* Broadened profile stroke */}
       <path d={profilePath} fill="none" stroke={accentColor} strokeWidth="1.2" opacity="0.8" />
 
+      {/* Measured pattern + difference strip */}
+      {overlay && (
+        <g pointerEvents="none">
+          <path d={overlay.obsPath} fill="none" stroke={OBS_COLOR} strokeWidth="0.8" opacity="0.9" />
+          <line x1={PAD_L} y1={overlay.diffMid} x2={PAD_L + CHART_W} y2={overlay.diffMid}
+            stroke="rgba(255,255,255,0.1)" strokeWidth="0.5" />
+          <path d={overlay.diffPath} fill="none" stroke={DIFF_COLOR} strokeWidth="0.7" opacity="0.85" />
+          <text x={PAD_L + 3} y={overlay.diffMid - DIFF_H / 2 + 7}
+            fill="rgba(255,255,255,0.25)" fontSize="6" fontFamily="JetBrains Mono, monospace">
+            obs − calc
+          </text>
+        </g>
+      )}
+
       {/* Stick markers for each peak (clickable) */}
       {peaks.map((pk, i) => {
-        const x = toX(pk.twoTheta);
+        const x = toX(ax.position(pk), ax);
         const yTop = toY(pk.relativeIntensity);
         const yBot = toY(0);
-        const isActive = activeMiller &&
-          pk.hkl[0] === Math.abs(activeMiller.h) &&
-          pk.hkl[1] === Math.abs(activeMiller.k) &&
-          pk.hkl[2] === Math.abs(activeMiller.l);
+        const isActive = activeMiller && !pk.phase &&
+          Math.abs(pk.hkl[0]) === Math.abs(activeMiller.h) &&
+          Math.abs(pk.hkl[1]) === Math.abs(activeMiller.k) &&
+          Math.abs(pk.hkl[2]) === Math.abs(activeMiller.l);
 
         return (
           <line
             key={i}
             x1={x} y1={yTop} x2={x} y2={yBot}
-            stroke={isActive ? '#fff' : accentColor}
+            stroke={isActive ? '#fff' : colorOf(pk)}
             strokeWidth={isActive ? 1.6 : 0.7}
-            opacity={isActive ? 1 : 0.45}
+            opacity={isActive ? 1 : phases ? 0.75 : 0.45}
             style={{ cursor: 'pointer' }}
             onClick={() => onPeakClick && onPeakClick(pk)}
           >
-            <title>{pk.label}  2θ={pk.twoTheta.toFixed(2)}°  d={pk.dSpacing.toFixed(3)}Å  I={pk.relativeIntensity.toFixed(1)}%</title>
+            <title>
+              {phases && `${phases[pk.phase].name}  `}{pk.label}  m={pk.multiplicity}{pk.overlaps.length > 0 && `  overlaps ${pk.overlaps.join(' ')}`}  {isTOF ? `t=${pk.tof.toFixed(0)}µs` : `2θ=${pk.twoTheta.toFixed(2)}°`}  d={pk.dSpacing.toFixed(3)}Å  I={pk.relativeIntensity.toFixed(1)}%
+            </title>
           </line>
         );
       })}
 
       {/* (hkl) labels on top peaks */}
       {labelledPeaks.map((pk, i) => {
-        const x = toX(pk.twoTheta);
+        const x = toX(ax.position(pk), ax);
         const y = toY(pk.relativeIntensity) - 4;
         return (
           <text
             key={`lbl-${i}`}
             x={x} y={y}
             textAnchor="middle"
-            fill="rgba(255,255,255,0.55)"
+            fill={phases ? colorOf(pk) : 'rgba(255,255,255,0.55)'}
             fontSize="7"
             fontFamily="JetBrains Mono, monospace"
             style={{ cursor: 'pointer', pointerEvents: 'none' }}
           >
-            {pk.label}
+            {[pk.label, ...pk.overlaps].join('/')}
           </text>
         );
       })}
+
+      {/* Phase legend */}
+      {phases && phases.map((ph, i) => (
+        <g key={`ph-${i}`} transform={`translate(${PAD_L + CHART_W - 4}, ${PAD_T + 8 + i * 9})`}>
+          <text textAnchor="end" fill={ph.color} fontSize="7" fontFamily="JetBrains Mono, monospace">
+            {ph.name} {(ph.weightFraction * 100).toFixed(0)}%
+          </text>
+        </g>
+      ))}
     </svg>
   );
 }
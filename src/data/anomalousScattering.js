@@ -0,0 +1,194 @@
+/**
+ * Anomalous Dispersion and X-Ray Absorption
+ *
+ * Near an absorption edge the atomic scattering factor becomes complex,
+ *
+ *   f = f⁰(s) + f′(λ) + i f″(λ),
+ *
+ * with f′ (real, mostly negative below an edge) and f″ (always positive,
+ * jumping at each edge) independent of angle.  f″ is the photoabsorption
+ * of the atom — by the optical theorem
+ *
+ *   f″ = σ_a / (2 r_e λ),   σ_a = (μ/ρ) · A / N_A,
+ *
+ * so one table of mass attenuation coefficients gives both f″ and the
+ * sample's linear absorption coefficient μ = ρ Σ wᵢ (μ/ρ)ᵢ.  (The table is
+ * total attenuation; scattering adds a few percent for the lightest
+ * elements only, where f″ is tiny anyway.)
+ *
+ * An imaginary part breaks Friedel's law: in a non-centrosymmetric crystal
+ * (zinc blende, wurtzite) |F(hkl)| ≠ |F(h̄k̄l̄)|.
+ *
+ * An anode whose line lies just above an absorption edge of a sample
+ * element is strongly absorbed and re-emitted as that element's
+ * fluorescence — the familiar high background of Cu Kα on Fe, Co or Mn.
+ *
+ * f′ and μ/ρ are tabulated for the four anodes of the app (Kα, weighted
+ * mean); other wavelengths get no dispersion correction and no μ.
+ *
+ * Sources: International Tables for Crystallography Vol. C (2004),
+ * Tables 4.2.4.3 (μ/ρ) and 4.2.6.8 (f′, Cromer & Liberman), rounded;
+ * Bearden & Burr, Rev. Mod. Phys. 39, 125 (1967) (edge energies).
+ */
+
+import { ATOMIC_MASSES } from './lattices';
+
+/** Anode Kα wavelengths (Å) of the table columns — as WAVELENGTHS in diffraction.js. */
+const ANODES = { 'Cr Kα': 2.2910, 'Co Kα': 1.7890, 'Cu Kα': 1.5406, 'Mo Kα': 0.7107 };
+const ANODE_ORDER = Object.keys(ANODES);
+
+/** Relative λ tolerance for matching an anode (covers Kα1 / Kα2 / Kα-mean). */
+const ANODE_TOLERANCE = 0.01;
+
+/** hc (keV·Å). */
+const HC = 12.39842;
+
+/** 2 r_e N_A in units that give f″ = (μ/ρ) A / (λ · OPTICAL_THEOREM) for μ/ρ in cm²/g, λ in Å. */
+const OPTICAL_THEOREM = 3393.99;
+
+/** Edges up to this far below the anode line count as fluorescing (keV). */
+const FLUORESCENCE_WINDOW = 2.5;
+
+/**
+ * Per element, in ANODE_ORDER (Cr, Co, Cu, Mo Kα):
+ *   mu  — mass attenuation coefficient μ/ρ (cm²/g)
+ *   f1  — f′ (electrons)
+ */
+const DISPERSION = {
+  H:  { mu: [0.57, 0.48, 0.44, 0.37], f1: [0, 0, 0, 0] },
+  Li: { mu: [2.0, 1.05, 0.72, 0.20], f1: [0, 0, 0, 0] },
+  Be: { mu: [4.3, 2.2, 1.50, 0.26], f1: [0.01, 0, 0, 0] },
+  B:  { mu: [7.0, 3.6, 2.39, 0.39], f1: [0.01, 0.01, 0.01, 0] },
+  C:  { mu: [12.7, 6.4, 4.22, 0.63], f1: [0.03, 0.02, 0.02, 0] },
+  N:  { mu: [22.9, 11.5, 7.52, 0.92], f1: [0.05, 0.04, 0.03, 0.01] },
+  O:  { mu: [35.3, 17.6, 11.5, 1.31], f1: [0.08, 0.06, 0.05, 0.01] },
+  F:  { mu: [50, 25, 16.4, 1.7], f1: [0.12, 0.09, 0.07, 0.02] },
+  Na: { mu: [88, 45.5, 30.1, 3.0], f1: [0.21, 0.16, 0.13, 0.03] },
+  Mg: { mu: [113, 58.5, 38.6, 4.0], f1: [0.26, 0.20, 0.17, 0.04] },
+  Al: { mu: [142, 73.4, 48.6, 5.2], f1: [0.31, 0.25, 0.20, 0.06] },
+  Si: { mu: [189, 98.8, 65.3, 6.6], f1: [0.35, 0.29, 0.24, 0.07] },
+  P:  { mu: [224, 117, 77.3, 7.9], f1: [0.38, 0.33, 0.28, 0.09] },
+  S:  { mu: [271, 141, 93.3, 9.6], f1: [0.40, 0.36, 0.32, 0.11] },
+  Cl: { mu: [305, 160, 106, 11.4], f1: [0.39, 0.38, 0.35, 0.13] },
+  K:  { mu: [418, 222, 147, 16.2], f1: [0.30, 0.36, 0.37, 0.18] },
+  Ca: { mu: [459, 245, 162, 18.8], f1: [0.12, 0.29, 0.34, 0.20] },
+  Sc: { mu: [520, 279, 184, 21], f1: [-0.19, 0.17, 0.29, 0.23] },
+  Ti: { mu: [580, 306, 202, 24], f1: [-1.23, -0.02, 0.22, 0.25] },
+  V:  { mu: [77, 337, 222, 27], f1: [-4.45, -0.34, 0.04, 0.27] },
+  Cr: { mu: [87, 383, 252, 30], f1: [-2.20, -0.80, -0.20, 0.29] },
+  Mn: { mu: [97, 413, 272, 34], f1: [-1.73, -1.60, -0.57, 0.30] },
+  Fe: { mu: [115, 59.5, 308, 37.6], f1: [-1.35, -3.37, -1.18, 0.31] },
+  Co: { mu: [124, 66, 313, 42.5], f1: [-1.12, -2.06, -2.46, 0.30] },
+  Ni: { mu: [141, 71, 45.7, 47.2], f1: [-0.97, -1.57, -2.96, 0.29] },
+  Cu: { mu: [158, 80, 52.9, 49.7], f1: [-0.85, -1.30, -2.02, 0.26] },
+  Zn: { mu: [171, 87, 59.5, 55.4], f1: [-0.76, -1.12, -1.61, 0.22] },
+  Ga: { mu: [190, 97, 67.9, 60.1], f1: [-0.69, -0.99, -1.35, 0.17] },
+  Ge: { mu: [214, 110, 75.6, 64.8], f1: [-0.63, -0.88, -1.16, 0.10] },
+  As: { mu: [230, 119, 83.4, 69.5], f1: [-0.57, -0.79, -1.01, 0.05] },
+  Se: { mu: [243, 125, 89.1, 72.1], f1: [-0.53, -0.72, -0.88, -0.09] },
+  Br: { mu: [260, 134, 99.6, 77.6], f1: [-0.49, -0.66, -0.77, -0.29] },
+  Rb: { mu: [315, 163, 117, 90], f1: [-0.43, -0.56, -0.57, -0.97] },
+  Sr: { mu: [345, 178, 125, 95], f1: [-0.40, -0.51, -0.47, -1.53] },
+  Zr: { mu: [396, 204, 143, 15.9], f1: [-0.32, -0.39, -0.19, -2.96] },
+  Nb: { mu: [414, 213, 149, 17.1], f1: [-0.30, -0.34, -0.25, -2.10] },
+  Mo: { mu: [448, 231, 158, 18.8], f1: [-0.27, -0.28, -0.19, -1.68] },
+  Pd: { mu: [570, 295, 206, 24.4], f1: [-0.24, -0.10, 0.01, -1.12] },
+  Ag: { mu: [596, 310, 218, 26.4], f1: [-0.36, -0.15, -0.06, -0.90] },
+  Cd: { mu: [618, 323, 229, 27.7], f1: [-0.57, -0.22, -0.08, -0.81] },
+  In: { mu: [652, 340, 243, 29.3], f1: [-0.73, -0.30, -0.13, -0.73] },
+  Sn: { mu: [681, 356, 256, 31.1], f1: [-0.92, -0.40, -0.19, -0.66] },
+  Sb: { mu: [707, 371, 270, 33.1], f1: [-1.17, -0.53, -0.29, -0.59] },
+  Te: { mu: [722, 381, 282, 35.0], f1: [-1.52, -0.71, -0.42, -0.53] },
+  I:  { mu: [765, 406, 294, 37.1], f1: [-2.03, -0.95, -0.58, -0.47] },
+  Cs: { mu: [823, 432, 325, 41.3], f1: [-4.00, -1.63, -1.02, -0.37] },
+  Ba: { mu: [790, 505, 330, 43.5], f1: [-7.00, -2.10, -1.33, -0.33] },
+  Ta: { mu: [375, 230, 162, 95], f1: [-3.60, -4.30, -5.05, -0.71] },
+  W:  { mu: [386, 240, 172, 99], f1: [-3.50, -4.10, -4.76, -0.85] },
+  Pt: { mu: [440, 280, 200, 113], f1: [-3.40, -3.90, -4.59, -1.70] },
+  Au: { mu: [455, 290, 208, 115], f1: [-3.30, -3.80, -4.70, -2.01] },
+  Tl: { mu: [480, 305, 220, 120], f1: [-3.20, -3.60, -4.36, -2.74] },
+  Pb: { mu: [500, 320, 232, 120], f1: [-3.20, -3.60, -4.08, -3.39] },
+  Bi: { mu: [510, 330, 240, 123], f1: [-3.20, -3.50, -4.01, -4.11] },
+  Po: { mu: [530, 340, 248, 126], f1: [-3.30, -3.50, -3.94, -5.00] },
+  Th: { mu: [640, 440, 327, 143], f1: [-8.00, -6.20, -5.80, -7.20] },
+  U:  { mu: [680, 460, 352, 153], f1: [-7.50, -6.00, -5.40, -9.70] },
+};
+
+/** K and L3 absorption edges (keV); L3 only where it can meet an anode line. */
+const EDGES = {
+  Li: { K: 0.055 }, Be: { K: 0.112 }, B: { K: 0.188 }, C: { K: 0.284 }, N: { K: 0.410 },
+  O: { K: 0.543 }, F: { K: 0.697 }, Na: { K: 1.072 }, Mg: { K: 1.305 }, Al: { K: 1.560 },
+  Si: { K: 1.839 }, P: { K: 2.146 }, S: { K: 2.472 }, Cl: { K: 2.822 }, K: { K: 3.607 },
+  Ca: { K: 4.038 }, Sc: { K: 4.492 }, Ti: { K: 4.966 }, V: { K: 5.465 }, Cr: { K: 5.989 },
+  Mn: { K: 6.539 }, Fe: { K: 7.112 }, Co: { K: 7.709 }, Ni: { K: 8.333 }, Cu: { K: 8.979 },
+  Zn: { K: 9.659 }, Ga: { K: 10.367 }, Ge: { K: 11.103 }, As: { K: 11.867 }, Se: { K: 12.658 },
+  Br: { K: 13.474 }, Rb: { K: 15.200, L3: 1.804 }, Sr: { K: 16.105, L3: 1.940 },
+  Zr: { K: 17.998, L3: 2.223 }, Nb: { K: 18.986, L3: 2.371 }, Mo: { K: 20.000, L3: 2.520 },
+  Pd: { K: 24.350, L3: 3.173 }, Ag: { K: 25.514, L3: 3.351 }, Cd: { K: 26.711, L3: 3.538 },
+  In: { K: 27.940, L3: 3.730 }, Sn: { K: 29.200, L3: 3.929 }, Sb: { K: 30.491, L3: 4.132 },
+  Te: { K: 31.814, L3: 4.341 }, I: { K: 33.169, L3: 4.557 }, Cs: { K: 35.985, L3: 5.012 },
+  Ba: { K: 37.441, L3: 5.247 }, Ta: { K: 67.417, L3: 9.881 }, W: { K: 69.525, L3: 10.207 },
+  Pt: { K: 78.395, L3: 11.564 }, Au: { K: 80.725, L3: 11.919 }, Tl: { K: 85.530, L3: 12.658 },
+  Pb: { K: 88.005, L3: 13.035 }, Bi: { K: 90.526, L3: 13.419 }, Po: { K: 93.105, L3: 13.814 },
+  Th: { K: 109.651, L3: 16.300 }, U: { K: 115.606, L3: 17.166 },
+};
+
+/** Column of the tables for λ, or -1 when λ is not one of the anodes. */
+function anodeIndex(lambda) {
+  return ANODE_ORDER.findIndex(name => Math.abs(lambda / ANODES[name] - 1) < ANODE_TOLERANCE);
+}
+
+/**
+ * Dispersion corrections of one element at λ.
+ *
+ * @param {string} element
+ * @param {number} lambda - Å
+ * @returns {{ fPrime: number, fDoublePrime: number }} both 0 for untabulated
+ *   elements or wavelengths
+ */
+export function anomalousFactors(element, lambda) {
+  const column = anodeIndex(lambda);
+  const row = DISPERSION[element];
+  if (column < 0 || !row) return { fPrime: 0, fDoublePrime: 0 };
+  const mass = ATOMIC_MASSES[element];
+  return {
+    fPrime: row.f1[column],
+    fDoublePrime: (row.mu[column] * mass) / (lambda * OPTICAL_THEOREM),
+  };
+}
+
+/**
+ * Absorption of a sample and any fluorescence it will give.
+ *
+ * @param {string[]} species - element on each basis site
+ * @param {number} density - g/cm³
+ * @param {number} lambda - Å
+ * @returns {{ massAttenuation: number|null, mu: number|null, depth: number|null,
+ *   fluorescence: Array<{ element, edge, edgeEnergy }>, energy: number }}
+ *   μ/ρ (cm²/g), μ (cm⁻¹), depth = 1/μ (µm) — null off the anode lines;
+ *   fluorescence lists edges within FLUORESCENCE_WINDOW below the line
+ *   energy (keV)
+ */
+export function sampleAbsorption(species, density, lambda) {
+  const energy = HC / lambda;
+  const column = anodeIndex(lambda);
+
+  const masses = species.map(el => ATOMIC_MASSES[el] ?? ATOMIC_MASSES.Si);
+  const total = masses.reduce((s, m) => s + m, 0);
+  const known = species.every(el => DISPERSION[el]);
+  const massAttenuation = column >= 0 && known
+    ? species.reduce((s, el, i) => s + (masses[i] / total) * DISPERSION[el].mu[column], 0)
+    : null;
+  const mu = massAttenuation === null ? null : massAttenuation * density;
+
+  const fluorescence = [];
+  for (const element of new Set(species)) {
+    for (const [edge, edgeEnergy] of Object.entries(EDGES[element] || {})) {
+      if (edgeEnergy < energy && energy - edgeEnergy <= FLUORESCENCE_WINDOW) {
+        fluorescence.push({ element, edge, edgeEnergy });
+      }
+    }
+  }
+
+  return { massAttenuation, mu, depth: mu ? 1e4 / mu : null, fluorescence, energy };
+}
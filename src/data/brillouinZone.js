@@ -0,0 +1,170 @@
+/**
+ * First Brillouin Zone
+ *
+ * The Wigner–Seitz cell of the reciprocal lattice: the region of k-space
+ * closer to the origin than to any other reciprocal-lattice point, bounded by
+ * the perpendicular-bisector planes  G·k = |G|² / 2.
+ *
+ * The zone belongs to the Bravais lattice, not the conventional cell, so the
+ * lattice's centring translations are found from the basis first (every
+ * vector t that maps the structure onto itself).  Only G with h·t ∈ ℤ for all
+ * t are reciprocal-lattice points of the primitive lattice — e.g. fcc keeps
+ * all-odd / all-even (hkl), giving the truncated octahedron.  Basis
+ * extinctions such as diamond (200) do not change the zone.
+ *
+ * Reference: Ashcroft & Mermin, "Solid State Physics" (1976), ch. 5
+ */
+
+import { resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { siteSpecies } from './diffraction';
+import { add, scale, dot, cross, magnitude, normalize, sub } from './vectorMath';
+
+const POSITION_TOLERANCE = 1e-3;
+
+/** Wrap a fractional coordinate into [0, 1). */
+function wrap(x) {
+  const w = x - Math.floor(x);
+  return w > 1 - POSITION_TOLERANCE ? 0 : w;
+}
+
+function samePosition(p, q) {
+  return p.every((v, i) => {
+    const d = Math.abs(wrap(v) - wrap(q[i]));
+    return d < POSITION_TOLERANCE || d > 1 - POSITION_TOLERANCE;
+  });
+}
+
+/**
+ * Pure lattice translations of a structure (fractional), including [0, 0, 0]:
+ * vectors t with every site r + t occupied by the same species.
+ */
+export function latticeTranslations(structure) {
+  const { basis } = structure;
+  const species = siteSpecies(structure);
+  const translations = [[0, 0, 0]];
+
+  for (let j = 1; j < basis.length; j++) {
+    if (species[j] !== species[0]) continue;
+    const t = basis[j].map((x, i) => wrap(x - basis[0][i]));
+    if (translations.some(u => samePosition(u, t))) continue;
+    const maps = basis.every((r, i) =>
+      basis.some((q, k) => species[k] === species[i] && samePosition(r.map((x, a) => x + t[a]), q)));
+    if (maps) translations.push(t);
+  }
+  return translations;
+}
+
+/** Is (hkl) a point of the primitive reciprocal lattice (h·t integral for every centring t)? */
+export function isLatticePoint([h, k, l], translations) {
+  return translations.every(([x, y, z]) => {
+    const p = h * x + k * y + l * z;
+    return Math.abs(p - Math.round(p)) < 1e-6;
+  });
+}
+
+const SYSTEM_LETTERS = {
+  cubic: 'c', tetragonal: 't', orthorhombic: 'o', hexagonal: 'h',
+  trigonal: 'h', monoclinic: 'm', triclinic: 'a',
+};
+
+/**
+ * Bravais lattice in Pearson notation (cP, cI, cF, tP, oC, hP, hR, …):
+ * the crystal system's letter plus the centring found from the basis.
+ */
+export function bravaisLattice(structure) {
+  const letter = SYSTEM_LETTERS[structure.crystalSystem || 'cubic'];
+  const t = latticeTranslations(structure);
+  const has = v => t.some(u => samePosition(u, v));
+
+  let centring = 'P';
+  if (t.length === 4 && has([0.5, 0.5, 0]) && has([0, 0.5, 0.5])) centring = 'F';
+  else if (t.length === 3 && (has([2 / 3, 1 / 3, 1 / 3]) || has([1 / 3, 2 / 3, 1 / 3]))) centring = 'R';
+  else if (t.length === 2 && has([0.5, 0.5, 0.5])) centring = 'I';
+  else if (t.length === 2 && has([0.5, 0.5, 0])) centring = 'C';
+  else if (t.length === 2 && has([0, 0.5, 0.5])) centring = 'A';
+  else if (t.length === 2 && has([0.5, 0, 0.5])) centring = 'B';
+  else if (t.length > 1) centring = '?';
+  return `${letter}${centring}`;
+}
+
+function solve3(n1, n2, n3, d) {
+  const det = dot(n1, cross(n2, n3));
+  if (Math.abs(det) < 1e-12) return null;
+  return scale(add(add(scale(cross(n2, n3), d[0]), scale(cross(n3, n1), d[1])), scale(cross(n1, n2), d[2])), 1 / det);
+}
+
+/**
+ * First Brillouin zone of a structure's lattice.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @returns {{ vertices: number[][], faces: Array<{ normal, hkl, vertices: number[] }>, edges: number[][] }}
+ *   Cartesian k-space coordinates (Å⁻¹, no 2π); faces list vertex indices
+ *   in order around the face; hkl is the reciprocal-lattice point whose
+ *   bisector forms the face
+ */
+export function brillouinZone(structure, cell) {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolveCell(structure, cell)));
+  const translations = latticeTranslations(structure);
+
+  // Bisector planes of the nearest reciprocal-lattice points
+  const candidates = [];
+  for (let h = -3; h <= 3; h++) {
+    for (let k = -3; k <= 3; k++) {
+      for (let l = -3; l <= 3; l++) {
+        if ((h === 0 && k === 0 && l === 0) || !isLatticePoint([h, k, l], translations)) continue;
+        const G = add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
+        candidates.push({ hkl: [h, k, l], G, offset: dot(G, G) / 2 });
+      }
+    }
+  }
+  candidates.sort((p, q) => p.offset - q.offset);
+  const planes = candidates.slice(0, 50);
+  const eps = 1e-6 * planes[0].offset;
+  const inside = x => planes.every(({ G, offset }) => dot(G, x) <= offset + eps);
+
+  // Vertices: triple intersections of bisectors inside every half-space
+  const vertices = [];
+  for (let i = 0; i < planes.length; i++) {
+    for (let j = i + 1; j < planes.length; j++) {
+      for (let m = j + 1; m < planes.length; m++) {
+        const x = solve3(planes[i].G, planes[j].G, planes[m].G, [planes[i].offset, planes[j].offset, planes[m].offset]);
+        if (!x || !inside(x)) continue;
+        if (!vertices.some(v => magnitude(sub(v, x)) < 1e-6 * Math.sqrt(planes[0].offset))) vertices.push(x);
+      }
+    }
+  }
+
+  // Faces: planes touched by ≥ 3 vertices, vertices sorted around the centroid
+  const faces = [];
+  for (const { G, offset, hkl } of planes) {
+    const on = vertices
+      .map((v, idx) => ({ v, idx }))
+      .filter(({ v }) => Math.abs(dot(G, v) - offset) < 1e-5 * offset + eps);
+    if (on.length < 3) continue;
+    const normal = normalize(G);
+    const centre = scale(on.reduce((s, { v }) => add(s, v), [0, 0, 0]), 1 / on.length);
+    const u = normalize(sub(on[0].v, centre));
+    const w = cross(normal, u);
+    on.sort((p, q) => {
+      const dp = sub(p.v, centre), dq = sub(q.v, centre);
+      return Math.atan2(dot(dp, w), dot(dp, u)) - Math.atan2(dot(dq, w), dot(dq, u));
+    });
+    faces.push({ normal, hkl, vertices: on.map(({ idx }) => idx) });
+  }
+
+  const edgeKeys = new Set();
+  const edges = [];
+  for (const { vertices: loop } of faces) {
+    loop.forEach((a, n) => {
+      const b = loop[(n + 1) % loop.length];
+      const key = a < b ? `${a}-${b}` : `${b}-${a}`;
+      if (!edgeKeys.has(key)) {
+        edgeKeys.add(key);
+        edges.push([a, b]);
+      }
+    });
+  }
+
+  return { vertices, faces, edges };
+}
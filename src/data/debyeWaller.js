@@ -0,0 +1,87 @@
+/**
+ * Debye–Waller Factors from the Debye Model
+ *
+ * Thermal vibration damps each site's scattering factor by exp(−B s²),
+ * s = sinθ/λ.  For an atom of mass m in a Debye solid of temperature Θ the
+ * isotropic displacement parameter B = 8π²⟨u²⟩ is
+ *
+ *   B(T) = (6h² / m k_B Θ) [φ(x)/x + 1/4],   x = Θ/T,
+ *   φ(x) = (1/x) ∫₀ˣ t / (eᵗ − 1) dt,
+ *
+ * where the 1/4 is zero-point motion: B(0) = 3h² / (2 m k_B Θ), and at high
+ * T, B → 6h²T / (m k_B Θ²).  A compound's Θ (from the materials database)
+ * is shared by all of its sites, which then differ through their masses —
+ * light O in a perovskite vibrates further than Ba, so its scattering falls
+ * off faster with angle and temperature.  Elsewhere each species uses the Θ
+ * of its elemental solid.
+ *
+ * References:
+ *  - Willis & Pryor, "Thermal Vibrations in Crystallography" (1975), ch. 4
+ *  - International Tables for Crystallography Vol. C (2004), §6.1.1.3
+ */
+
+import { ATOMIC_MASSES, DEBYE_TEMPERATURES } from './lattices';
+
+/** 6h² / (u · k_B) in Å²·K, for m in atomic mass units. */
+const DEBYE_CONSTANT = 11490.2;
+
+/** Θ_D (K) for species with neither a material nor an elemental value. */
+export const DEFAULT_DEBYE_TEMPERATURE = 300;
+
+/** Simpson intervals for the Debye integral. */
+const INTEGRAL_STEPS = 64;
+
+/** ∫₀ˣ t / (eᵗ − 1) dt; the integrand is 1 at t = 0 and the tail beyond 40 is negligible. */
+function debyeIntegral(x) {
+  const upper = Math.min(x, 40);
+  const dt = upper / INTEGRAL_STEPS;
+  const f = t => (t < 1e-8 ? 1 : t / Math.expm1(t));
+  let sum = f(0) + f(upper);
+  for (let i = 1; i < INTEGRAL_STEPS; i++) sum += (i % 2 ? 4 : 2) * f(i * dt);
+  return (sum * dt) / 3;
+}
+
+/**
+ * Isotropic displacement parameter of one species.
+ *
+ * @param {number} temperatureK - T (K), ≥ 0
+ * @param {number} debyeTemperature - Θ_D (K)
+ * @param {number} mass - atomic mass (u)
+ * @returns {number} B (Å²)
+ */
+export function debyeB(temperatureK, debyeTemperature, mass) {
+  const thermal = temperatureK > 0
+    ? (debyeIntegral(debyeTemperature / temperatureK) * temperatureK * temperatureK) / (debyeTemperature * debyeTemperature)
+    : 0;  // φ(x)/x = ∫₀ˣ … / x² → 0
+  return (DEBYE_CONSTANT / (mass * debyeTemperature)) * (thermal + 0.25);
+}
+
+/** Θ_D used for a species: the material's, else the element's own, else the default. */
+export function speciesDebyeTemperature(element, materialDebyeTemperature) {
+  return materialDebyeTemperature ?? DEBYE_TEMPERATURES[element] ?? DEFAULT_DEBYE_TEMPERATURE;
+}
+
+/**
+ * B of each distinct species.
+ *
+ * @param {string[]} species - element symbols (duplicates allowed)
+ * @param {number} temperatureK
+ * @param {number} [materialDebyeTemperature] - structure.debyeTemperature, if any
+ * @returns {Map<string, { B, debyeTemperature, mass }>} untabulated masses count as Si
+ */
+export function speciesDisplacements(species, temperatureK, materialDebyeTemperature) {
+  const result = new Map();
+  for (const el of species) {
+    if (result.has(el)) continue;
+    const debyeTemperature = speciesDebyeTemperature(el, materialDebyeTemperature);
+    const mass = ATOMIC_MASSES[el] ?? ATOMIC_MASSES.Si;
+    result.set(el, { B: debyeB(temperatureK, debyeTemperature, mass), debyeTemperature, mass });
+  }
+  return result;
+}
+
+/** Per-site B (Å²), parallel to `species`. */
+export function siteBFactors(species, temperatureK, materialDebyeTemperature) {
+  const bySpecies = speciesDisplacements(species, temperatureK, materialDebyeTemperature);
+  return species.map(el => bySpecies.get(el).B);
+}
@@ -1,32 +1,39 @@
 /**
- * X-Ray Diffraction & Structure Factor Computation
+ * X-Ray & Neutron Diffraction, Structure Factor Computation
  *
  * Computes:
- *  - Geometric structure factor F(hkl) from basis positions
+ *  - Structure factor F(hkl) from basis positions and per-site species
  *  - d-spacings via reciprocal-lattice vectors
- *  - Full powder XRD pattern (2θ, intensity, multiplicity, LP correction)
+ *  - Full powder pattern (2θ, intensity, multiplicity, LP correction) for
+ *    X-rays (form factors, polarization) or constant-wavelength neutrons
+ *    (scattering lengths, no polarization)
+ *  - Reflection families from the structure's own Laue symmetry (see
+ *    laueSymmetry.js), with unrelated families at the same 2θ kept apart
+ *  - Neutron time-of-flight pattern for a fixed detector bank (t = DIFC·d)
+ *  - Per-site Debye–Waller damping from the Debye model (see debyeWaller.js)
+ *  - X-ray anomalous dispersion f′ + i f″ (see anomalousScattering.js), so
+ *    Friedel pairs of non-centrosymmetric structures differ
+ *  - March–Dollase preferred-orientation correction for textured samples
  *
  * References:
  *  - Warren, "X-Ray Diffraction" (1990)
  *  - Cullity & Stock, "Elements of X-Ray Diffraction" (2001)
+ *  - Kisi & Howard, "Applications of Neutron Powder Diffraction" (2008)
+ *  - Dollase, J. Appl. Cryst. 19, 267 (1986) — March–Dollase function
  */
 
-import { cross, dot, scale, add, magnitude } from './vectorMath';
+import { scale, add, magnitude, dot, normalize } from './vectorMath';
+import { resolveCell, latticeVectors, reciprocalVectors, reflectionsInSphere } from './unitCell';
+import { atomicFormFactor, neutronScatteringLength, electronScatteringFactor } from './scatteringFactors';
+import { siteBFactors } from './debyeWaller';
+import { anomalousFactors } from './anomalousScattering';
+import { laueGroup, reflectionFamily } from './laueSymmetry';
+import { planeLabel } from './millerIndices';
 
 
-/* ── Atomic form-factor coefficients (Cromer-Mann 4-Gaussian + c) ──
- * f(s) = Σ aᵢ·exp(-bᵢ·s²) + c,  where s = sinθ / λ
- * Source: International Tables for Crystallography, Vol C (1992)
- */
-const FORM_FACTORS = {
-  Po: { a: [16.290, 12.154, 8.561, 2.714], b: [0.099, 6.487, 0.885, 30.573], c: 1.281 },
-  Fe: { a: [11.770, 7.357, 3.522, 2.305], b: [4.761, 0.307, 15.354, 76.881], c: 1.037 },
-  Cu: { a: [13.338, 7.168, 5.616, 1.674], b: [3.583, 0.247, 11.397, 64.813], c: 1.191 },
-  Si: { a: [6.292, 3.035, 1.989, 1.541], b: [2.439, 32.334, 0.679, 81.694], c: 1.141 },
-  Ti: { a: [9.760, 7.356, 1.699, 1.902], b: [7.851, 0.500, 35.634, 116.105], c: 1.281 },
-};
+/* ── Scattering species ── */
 
-/** Map each lattice type to a representative element */
+/** Map each single-element lattice type to a representative element */
 const STRUCTURE_ELEMENTS = {
   sc: 'Po', bcc: 'Fe', fcc: 'Cu', diamond: 'Si', hcp: 'Ti',
 };
@@ -35,38 +42,126 @@ export function getStructureElement(structureId) {
   return STRUCTURE_ELEMENTS[structureId] || 'Si';
 }
 
-function atomicFormFactor(sinThetaOverLambda, structureId) {
-  const el = STRUCTURE_ELEMENTS[structureId] || 'Si';
-  const { a, b, c } = FORM_FACTORS[el];
-  const s2 = sinThetaOverLambda * sinThetaOverLambda;
-  return a.reduce((sum, ai, i) => sum + ai * Math.exp(-b[i] * s2), 0) + c;
+/**
+ * Scattering species at each basis site — the structure's own atomTypes
+ * where present, otherwise its representative element on every site.
+ */
+export function siteSpecies(structure) {
+  return structure.atomTypes || structure.basis.map(() => getStructureElement(structure.id));
+}
+
+/** Distinct scattering species, in order of first appearance. */
+export function getScatteringSpecies(structure) {
+  return [...new Set(siteSpecies(structure))];
+}
+
+/** Radiation types for the powder pattern. */
+export const RADIATIONS = {
+  xray: 'X-ray',
+  neutron: 'Neutron',
+};
+
+/** Scattering factor of one species for a radiation type. */
+const SCATTERING_FACTOR = {
+  xray: atomicFormFactor,
+  neutron: el => neutronScatteringLength(el),
+  electron: electronScatteringFactor,
+};
+
+/**
+ * Per-site scattering factors, parallel to structure.basis: X-ray form
+ * factors fⱼ(s) in electrons, neutron scattering lengths bⱼ in fm
+ * (independent of s), or electron scattering factors in Å.
+ * @param {number} sinThetaOverLambda - s = sinθ/λ (Å⁻¹)
+ * @param {string} [radiation='xray'] - key into RADIATIONS, or 'electron'
+ */
+export function siteFormFactors(structure, sinThetaOverLambda, radiation = 'xray') {
+  const factor = SCATTERING_FACTOR[radiation] || atomicFormFactor;
+  const cache = new Map();
+  return siteSpecies(structure).map((el) => {
+    if (!cache.has(el)) cache.set(el, factor(el, sinThetaOverLambda));
+    return cache.get(el);
+  });
 }
 
 
 /* ── Structure factor ── */
 
 /**
- * Compute the geometric structure factor for (hkl).
- * F(hkl) = Σⱼ exp(2πi (h·xⱼ + k·yⱼ + l·zⱼ))
+ * Compute the structure factor for (hkl).
+ * F(hkl) = Σⱼ fⱼ · exp(2πi (h·xⱼ + k·yⱼ + l·zⱼ))
+ *
+ * Without `weights` every fⱼ = 1, giving the purely geometric factor.
+ * With `imagWeights` each fⱼ is complex, fⱼ + i f″ⱼ (anomalous scattering).
  *
+ * @param {Array} basis - Fractional coordinates
+ * @param {number[]} [weights] - Per-site scattering factors fⱼ, parallel to basis
+ * @param {number[]} [imagWeights] - Per-site imaginary parts f″ⱼ
  * @returns {{ real, imag, magnitude, magnitudeSquared }}
  */
-export function structureFactor(h, k, l, basis) {
+export function structureFactor(h, k, l, basis, weights = null, imagWeights = null) {
   let re = 0, im = 0;
-  for (const [x, y, z] of basis) {
+  for (let j = 0; j < basis.length; j++) {
+    const [x, y, z] = basis[j];
+    const f = weights ? weights[j] : 1;
+    const fi = imagWeights ? imagWeights[j] : 0;
     const phase = 2 * Math.PI * (h * x + k * y + l * z);
-    re += Math.cos(phase);
-    im += Math.sin(phase);
+    const cos = Math.cos(phase), sin = Math.sin(phase);
+    re += f * cos - fi * sin;
+    im += f * sin + fi * cos;
   }
   const mag2 = re * re + im * im;
   return { real: re, imag: im, magnitude: Math.sqrt(mag2), magnitudeSquared: mag2 };
 }
 
 /**
- * Is a reflection systematically absent?  (|F|² ≈ 0)
+ * |F|² evaluator for many reflections of one basis: per-site phase factors
+ * exp(2πi n xⱼ) are tabulated once for |n| ≤ nMax along each axis, so each
+ * F(hkl) = Σ fⱼ e^{2πi h xⱼ} e^{2πi k yⱼ} e^{2πi l zⱼ} costs products
+ * rather than trig calls — what keeps large cells interactive.
+ *
+ * @param {Array} basis - fractional coordinates
+ * @param {number[]} nMax - [hMax, kMax, lMax]
+ * @returns {(h: number, k: number, l: number, weights: number[]) => number} |F|²
  */
-export function isAbsent(h, k, l, basis) {
-  return structureFactor(h, k, l, basis).magnitudeSquared < 0.01;
+function phaseTable(basis, nMax) {
+  const n = basis.length;
+  const tables = nMax.map((max, axis) => {
+    const width = 2 * max + 1;
+    const cos = new Float64Array(n * width), sin = new Float64Array(n * width);
+    basis.forEach((pos, j) => {
+      for (let i = -max; i <= max; i++) {
+        const phase = 2 * Math.PI * i * pos[axis];
+        cos[j * width + i + max] = Math.cos(phase);
+        sin[j * width + i + max] = Math.sin(phase);
+      }
+    });
+    return { cos, sin, width, max };
+  });
+  const [H, K, L] = tables;
+
+  return (h, k, l, weights) => {
+    let re = 0, im = 0;
+    for (let j = 0; j < n; j++) {
+      const ih = j * H.width + h + H.max, ik = j * K.width + k + K.max, il = j * L.width + l + L.max;
+      const c1 = H.cos[ih], s1 = H.sin[ih], c2 = K.cos[ik], s2 = K.sin[ik], c3 = L.cos[il], s3 = L.sin[il];
+      const c12 = c1 * c2 - s1 * s2, s12 = c1 * s2 + s1 * c2;
+      re += weights[j] * (c12 * c3 - s12 * s3);
+      im += weights[j] * (c12 * s3 + s12 * c3);
+    }
+    return re * re + im * im;
+  };
+}
+
+/** Relative |F|² below which a reflection counts as absent. */
+const ABSENCE_TOLERANCE = 1e-4;
+
+/**
+ * Is a reflection systematically absent?  (|F|² ≈ 0 relative to (Σfⱼ)²)
+ */
+export function isAbsent(h, k, l, basis, weights = null) {
+  const total = weights ? weights.reduce((sum, f) => sum + Math.abs(f), 0) : basis.length;
+  return structureFactor(h, k, l, basis, weights).magnitudeSquared < ABSENCE_TOLERANCE * total * total;
 }
 
 
@@ -81,159 +176,314 @@ export const WAVELENGTHS = {
 };
 export const DEFAULT_WAVELENGTH = 'Cu Kα';
 
+/** Default constant-wavelength neutron λ (Å), a typical Ge(115) monochromator. */
+export const DEFAULT_NEUTRON_WAVELENGTH = 1.594;
+
 /**
  * Lorentz-polarization correction factor.
  * LP = (1 + cos²2θ) / (sin²θ · sin2θ)
+ * Neutrons are unpolarized by the sample, so only the Lorentz term remains
+ * (scaled by 2 to match the X-ray value at 2θ → 0).
  */
-function lorentzPolarization(twoThetaDeg) {
+function lorentzPolarization(twoThetaDeg, radiation = 'xray') {
   const thetaRad = (twoThetaDeg / 2) * Math.PI / 180;
   const twoThetaRad = twoThetaDeg * Math.PI / 180;
   const sinTheta = Math.sin(thetaRad);
   const sin2Theta = Math.sin(twoThetaRad);
   const cos2Theta = Math.cos(twoThetaRad);
   if (sinTheta < 1e-10 || Math.abs(sin2Theta) < 1e-10) return 0;
-  return (1 + cos2Theta * cos2Theta) / (sinTheta * sinTheta * sin2Theta);
+  const polarization = radiation === 'neutron' ? 2 : 1 + cos2Theta * cos2Theta;
+  return polarization / (sinTheta * sinTheta * sin2Theta);
 }
 
 /**
- * Normalise an (hkl) triple to its "canonical positive" form.
- * Prefers h ≥ k ≥ l ≥ 0 for labelling.
+ * Per-site X-ray dispersion corrections at λ, parallel to structure.basis,
+ * or null for other radiations.
+ * @returns {{ fPrime: number[], fDoublePrime: number[] } | null}
  */
-function canonicalHKL(h, k, l) {
-  let arr = [Math.abs(h), Math.abs(k), Math.abs(l)];
-  arr.sort((a, b) => b - a);
-  return arr;
+export function siteDispersion(structure, lambda, radiation = 'xray') {
+  if (radiation !== 'xray') return null;
+  const factors = siteSpecies(structure).map(el => anomalousFactors(el, lambda));
+  return { fPrime: factors.map(f => f.fPrime), fDoublePrime: factors.map(f => f.fDoublePrime) };
 }
 
-
 /**
- * Generate a complete powder XRD pattern.
- *
- * Enumerates all (hkl) from -maxIndex to +maxIndex, computes d-spacing
- * via reciprocal-lattice vectors, groups equivalent reflections by 2θ,
- * and returns peaks with correct relative intensities.
- *
- * @param {Object} structure - from lattices.js
- * @param {number} [latticeConstant] - override lattice constant (Å)
- * @param {string} [wavelengthKey] - key into WAVELENGTHS
- * @param {number} [maxIndex=6] - max |h|,|k|,|l| to enumerate
- * @param {number} [maxTwoTheta=140] - upper 2θ bound (degrees)
- * @returns {Array<Object>} sorted array of peaks
+ * Per-site scattering factors (f + f′ + i f″) damped by each site's
+ * Debye–Waller factor exp(−Bⱼ s²).
+ * @param {number[]} B - per-site B (Å²) from structureBFactors
+ * @param {Object|null} dispersion - from siteDispersion
+ * @returns {{ real: number[], imag: number[] | null }}
  */
+function thermalFormFactors(structure, sinThetaOverLambda, radiation, B, dispersion = null) {
+  const s2 = sinThetaOverLambda * sinThetaOverLambda;
+  const damping = B.map(b => Math.exp(-b * s2));
+  const real = siteFormFactors(structure, sinThetaOverLambda, radiation)
+    .map((f, j) => (f + (dispersion ? dispersion.fPrime[j] : 0)) * damping[j]);
+  const imag = dispersion && dispersion.fDoublePrime.map((f, j) => f * damping[j]);
+  return { real, imag };
+}
+
+/** Per-site B (Å²) of a structure at temperatureK. */
+function structureBFactors(structure, temperatureK) {
+  return siteBFactors(siteSpecies(structure), temperatureK, structure.debyeTemperature);
+}
+
+/** No preferred orientation: texture axis (hkl) and March–Dollase r = 1. */
+export const DEFAULT_TEXTURE = { axis: [0, 0, 1], r: 1 };
+
 /**
- * Debye-Waller factor: exp(-2M) where M = B * (sinθ/λ)²
- * B = 8π² <u²> is the isotropic displacement parameter.
- * We estimate B from temperature using a simple Debye model:
- *   B ≈ (3hbar²T) / (m·k_B·Θ_D²) simplified to B ≈ 0.005 * T (Å²)
- * This is a pedagogical approximation; real B values are element-specific.
+ * March–Dollase preferred-orientation factor
+ *   P(α) = (r² cos²α + sin²α / r)^(−3/2)
+ * for a scattering vector at angle α to the texture axis.  In symmetric
+ * reflection the scattering vector lies along the specimen normal, so P is
+ * the relative number of crystallites in diffracting position: r < 1 for
+ * platelets lying flat on the texture-axis planes, r > 1 for needles along
+ * it, r = 1 random.  P averages to 1 over all directions.
  */
-function debyeWallerFactor(sinThetaOverLambda, temperatureK) {
-  if (temperatureK <= 0) return 1;
-  const B = 0.005 * temperatureK; // approximate isotropic B-factor (Å²)
-  return Math.exp(-2 * B * sinThetaOverLambda * sinThetaOverLambda);
+export function marchDollase(cosAlpha, r) {
+  const cos2 = cosAlpha * cosAlpha;
+  return (r * r * cos2 + (1 - cos2) / r) ** -1.5;
 }
 
-export function generateXRDPattern(
-  structure,
-  latticeConstant,
-  wavelengthOrKey = 1.5406,
-  maxIndex = 6,
-  maxTwoTheta = 140,
-  temperatureK = 0
-) {
-  const a = latticeConstant || structure.defaultA;
-  const lambda = typeof wavelengthOrKey === 'string'
-    ? (WAVELENGTHS[wavelengthOrKey] || 1.5406)
-    : wavelengthOrKey;
-  const { basis, vectors } = structure;
-
-  // Real-space lattice vectors (Å)
-  const a1 = vectors[0].map(v => v * a);
-  const a2 = vectors[1].map(v => v * a);
-  const a3 = vectors[2].map(v => v * a);
-
-  // Reciprocal-lattice vectors (Å⁻¹)
-  const a2xa3 = cross(a2, a3);
-  const vol = dot(a1, a2xa3);
-  const b1 = scale(cross(a2, a3), 1 / vol);
-  const b2 = scale(cross(a3, a1), 1 / vol);
-  const b3 = scale(cross(a1, a2), 1 / vol);
-
-  // Accumulate peaks keyed by rounded 2θ
-  const peakMap = new Map();
-
-  for (let h = -maxIndex; h <= maxIndex; h++) {
-    for (let k = -maxIndex; k <= maxIndex; k++) {
-      for (let l = -maxIndex; l <= maxIndex; l++) {
-        if (h === 0 && k === 0 && l === 0) continue;
-
-        // Reciprocal-lattice vector G = h·b1 + k·b2 + l·b3
-        const G = add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
-        const Gmag = magnitude(G);
-        const d = 1 / Gmag;
-
-        // Bragg's law: λ = 2d sinθ  →  sinθ = λ/(2d)
-        const sinTheta = lambda / (2 * d);
-        if (sinTheta >= 1 || sinTheta <= 0) continue;
-        const twoTheta = 2 * Math.asin(sinTheta) * 180 / Math.PI;
-        if (twoTheta > maxTwoTheta || twoTheta < 5) continue;
-
-        // Geometric structure factor
-        const { magnitudeSquared: F2 } = structureFactor(h, k, l, basis);
-        if (F2 < 0.01) continue;  // systematically absent
-
-        // Group by 2θ (0.01° resolution)
-        const key = Math.round(twoTheta * 100);
-
-        if (peakMap.has(key)) {
-          const p = peakMap.get(key);
-          p.totalF2 += F2;
-          p.count += 1;
-        } else {
-          const [ch, ck, cl] = canonicalHKL(h, k, l);
-          peakMap.set(key, {
-            hkl: [ch, ck, cl],
-            twoTheta,
-            dSpacing: d,
-            F2,                 // single-reflection |F|²
-            totalF2: F2,        // accumulated (multiplicity × |F|²)
-            count: 1,           // multiplicity counter
-            sinThetaOverLambda: sinTheta / lambda,
-          });
-        }
-      }
-    }
+/**
+ * Enumerate every (hkl) inside the 2θ window — the limiting sphere
+ * |G| ≤ 2 sin θmax / λ (see reflectionsInSphere in unitCell.js) — group
+ * them into families under the structure's Laue group (see
+ * laueSymmetry.js) and drop systematic absences.  Each family is one
+ * record with multiplicity = orbit size, so unrelated families at the
+ * same 2θ stay separate.  |F|² includes each site's Debye–Waller factor;
+ * with dispersion it is the mean of |F(h)|² and |F(−h)|², which between
+ * them cover every member; with a texture each member carries its own
+ * March–Dollase factor.
+ *
+ * @returns {Array<{ hkl, twoTheta, dSpacing, F2, totalF2, count, sinThetaOverLambda }>}
+ */
+function collectReflections(structure, cell, lambda, maxTwoTheta, { radiation, temperatureK, texture = null }) {
+  const { basis } = structure;
+  const B = structureBFactors(structure, temperatureK);
+  const dispersion = siteDispersion(structure, lambda, radiation);
+  const { operations } = laueGroup(structure, cell);
+
+  // Reciprocal-lattice vectors (Å⁻¹) from the real-space cell
+  const resolved = resolveCell(structure, cell);
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolved));
+  const toG = (h, k, l) => add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
+
+  // Unit normal of the texture-axis planes (null = random powder)
+  const textureAxis = texture && texture.r !== 1 && texture.axis.some(x => x !== 0)
+    ? normalize(toG(...texture.axis))
+    : null;
+
+  // Bragg's law: λ = 2d sinθ, so 2θ ≤ 2θmax ⇔ |G| = 1/d ≤ 2 sin θmax / λ
+  const gMax = (2 * Math.sin(Math.min(maxTwoTheta, 180) * Math.PI / 360)) / lambda;
+  const packed = ([h, k, l]) => ((h + 512) * 1024 + (k + 512)) * 1024 + (l + 512);
+  const F2Of = phaseTable(basis, [resolved.a, resolved.b, resolved.c].map(length => Math.floor(gMax * length) + 1));
+  const visited = new Set();
+  const reflections = [];
+
+  for (const { hkl, gSquared } of reflectionsInSphere(resolved, gMax)) {
+    if (visited.has(packed(hkl))) continue;  // family already collected
+
+    const d = 1 / Math.sqrt(gSquared);
+    const sinTheta = lambda / (2 * d);
+    if (sinTheta >= 1) continue;
+    const twoTheta = 2 * Math.asin(sinTheta) * 180 / Math.PI;
+    if (twoTheta < 5) continue;
+
+    const { representative: [rh, rk, rl], members } = reflectionFamily(hkl, operations);
+    for (const m of members) visited.add(packed(m));
+
+    // Structure factor with each site's own species: F = Σ fⱼ(s)·exp(2πi G·rⱼ)
+    const s = sinTheta / lambda;
+    const { real: weights, imag } = thermalFormFactors(structure, s, radiation, B, dispersion);
+    const realF2 = F2Of(rh, rk, rl, weights);
+    const total = weights.reduce((sum, f) => sum + Math.abs(f), 0);
+    if (realF2 < ABSENCE_TOLERANCE * total * total) continue;  // systematically absent (as isAbsent)
+    // F(±h) = F′(±h) + i F″(±h), with F″ the sum over f″ alone; the cross
+    // terms cancel in the mean, leaving |F′|² + |F″|²
+    const F2 = imag ? realF2 + F2Of(rh, rk, rl, imag) : realF2;
+    const orientation = textureAxis
+      ? members.reduce((sum, m) => sum + marchDollase(dot(toG(...m), textureAxis) * d, texture.r), 0)
+      : members.length;
+
+    reflections.push({
+      hkl: [rh, rk, rl],
+      twoTheta,
+      dSpacing: d,
+      F2,                          // single-reflection |F|²
+      totalF2: F2 * orientation,   // multiplicity × |F|², texture-weighted
+      count: members.length,       // multiplicity
+      sinThetaOverLambda: s,
+    });
   }
+  return reflections;
+}
 
-  // Compute final intensities
-  const peaks = [];
-  for (const [, p] of peakMap) {
-    const LP = lorentzPolarization(p.twoTheta);
-    const f = atomicFormFactor(p.sinThetaOverLambda, structure.id);
-    const DW = debyeWallerFactor(p.sinThetaOverLambda, temperatureK);
-    const intensity = p.totalF2 * f * f * LP * DW;
+/** Relative d tolerance for families that share a peak position. */
+const OVERLAP_TOLERANCE = 1e-6;
 
+/**
+ * Peak records with intensities normalised so the strongest is 100,
+ * labelled (hkl) or, for hexagonal cells, (hkil); each lists the labels
+ * of other families at the same position in `overlaps`.
+ */
+function normalisedPeaks(structure, reflections, intensityOf) {
+  const peaks = reflections.map((p) => {
     const [h, k, l] = p.hkl;
-    peaks.push({
+    return {
       hkl: [h, k, l],
-      label: `(${h}${k}${l})`,
+      label: planeLabel([h, k, l], structure),
       twoTheta: p.twoTheta,
       dSpacing: p.dSpacing,
       F2: p.F2,
       multiplicity: p.count,
-      intensity,
+      intensity: intensityOf(p),
       relativeIntensity: 0,   // filled below
-    });
-  }
-
-  // Sort by 2θ
-  peaks.sort((a, b) => a.twoTheta - b.twoTheta);
+    };
+  });
 
-  // Normalise to 100
   const maxI = Math.max(...peaks.map(p => p.intensity), 1e-20);
   for (const p of peaks) {
     p.relativeIntensity = (p.intensity / maxI) * 100;
   }
 
+  // Unrelated families that coincide in d (e.g. {333} and {511})
+  for (const p of peaks) {
+    p.overlaps = peaks
+      .filter(q => q !== p && Math.abs(q.dSpacing - p.dSpacing) <= OVERLAP_TOLERANCE * p.dSpacing)
+      .map(q => q.label);
+  }
   return peaks;
 }
+
+/**
+ * Generate a complete powder diffraction pattern.
+ *
+ * Enumerates every (hkl) inside the limiting sphere of the 2θ window —
+ * complete for any wavelength, cell or 2θ limit — computes d-spacing
+ * via reciprocal-lattice vectors, groups symmetry-equivalent reflections
+ * into families, and returns one peak per family with correct relative
+ * intensities.
+ *
+ * @param {Object} structure - from lattices.js
+ * @param {Object|number} [cell] - cell parameters {a, b, c, alpha, beta, gamma}
+ *   (partial overrides allowed), or just the lattice constant a (Å)
+ * @param {string|number} [wavelengthOrKey] - key into WAVELENGTHS, or λ in Å
+ * @param {number} [maxTwoTheta=140] - upper 2θ bound (degrees)
+ * @param {number} [temperatureK=0] - Debye-Waller temperature (0 K keeps zero-point motion)
+ * @param {string} [radiation='xray'] - key into RADIATIONS
+ * @param {Object|null} [texture=null] - preferred orientation { axis: [h, k, l], r }
+ *   (March–Dollase, symmetric reflection); null or r = 1 for a random powder
+ * @returns {Array<Object>} peaks sorted by ascending 2θ
+ */
+export function generateXRDPattern(
+  structure,
+  cell,
+  wavelengthOrKey = 1.5406,
+  maxTwoTheta = 140,
+  temperatureK = 0,
+  radiation = 'xray',
+  texture = null
+) {
+  const lambda = typeof wavelengthOrKey === 'string'
+    ? (WAVELENGTHS[wavelengthOrKey] || 1.5406)
+    : wavelengthOrKey;
+
+  const reflections = collectReflections(structure, cell, lambda, maxTwoTheta, { radiation, temperatureK, texture });
+  const peaks = normalisedPeaks(structure, reflections, p => p.totalF2 * lorentzPolarization(p.twoTheta, radiation));
+
+  // Sort by 2θ
+  return peaks.sort((a, b) => a.twoTheta - b.twoTheta);
+}
+
+/**
+ * Debye–Waller damping of one reflection against temperature,
+ * |F(T)|² / |F_static|², with every site at its own B(T) (thermal expansion
+ * ignored).  Zero-point motion keeps the ratio below 1 at 0 K.
+ *
+ * @param {Object} structure - from lattices.js
+ * @param {Object|number} [cell]
+ * @param {number[]} hkl - (h, k, l)
+ * @param {Object} [options]
+ * @param {string} [options.radiation='xray'] - key into RADIATIONS
+ * @param {number} [options.maxT=1500] - highest temperature (K)
+ * @param {number} [options.step=10] - temperature step (K)
+ * @returns {{ points: Array<{ T, ratio }>, sinThetaOverLambda: number, absent: boolean }}
+ *   ratio is 0 throughout for an absent reflection
+ */
+export function intensityVsTemperature(structure, cell, [h, k, l], { radiation = 'xray', maxT = 1500, step = 10 } = {}) {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolveCell(structure, cell)));
+  const s = magnitude(add(add(scale(b1, h), scale(b2, k)), scale(b3, l))) / 2;
+  const staticWeights = siteFormFactors(structure, s, radiation);
+  const absent = isAbsent(h, k, l, structure.basis, staticWeights);
+  const staticF2 = structureFactor(h, k, l, structure.basis, staticWeights).magnitudeSquared;
+
+  const points = [];
+  for (let T = 0; T <= maxT; T += step) {
+    const { real: weights } = thermalFormFactors(structure, s, radiation, structureBFactors(structure, T));
+    const F2 = structureFactor(h, k, l, structure.basis, weights).magnitudeSquared;
+    points.push({ T, ratio: absent ? 0 : F2 / staticF2 });
+  }
+  return { points, sinThetaOverLambda: s, absent };
+}
+
+
+/* ── Neutron time of flight ── */
+
+/** Neutron t/λ per metre of flight path, m_n/h (µs·Å⁻¹·m⁻¹). */
+const TOF_PER_ANGSTROM_METRE = 252.778;
+
+/** Default detector bank: backscattering, as on most high-resolution TOF diffractometers. */
+export const DEFAULT_TOF_BANK = { twoTheta: 150, flightPath: 15 };
+
+/**
+ * Diffractometer constant DIFC (µs/Å) of a bank: t = DIFC · d,
+ * DIFC = 2 (m_n/h) · L · sinθ.
+ * @param {number} flightPath - total moderator → sample → detector path L (m)
+ */
+export function tofConstant({ twoTheta, flightPath }) {
+  return 2 * TOF_PER_ANGSTROM_METRE * flightPath * Math.sin((twoTheta / 2) * Math.PI / 180);
+}
+
+/**
+ * Resolution Δd/d (FWHM) of a bank, from the detector angular spread and the
+ * moderator pulse width:  Δd/d = √((Δθ·cotθ)² + (Δt/t)²).  Backscattering
+ * banks (cotθ → 0) are the sharpest.
+ */
+export function tofResolution({ twoTheta }) {
+  const dTheta = 0.004;   // rad
+  const dtOverT = 0.001;
+  const cot = 1 / Math.tan((twoTheta / 2) * Math.PI / 180);
+  return Math.sqrt((dTheta * cot) ** 2 + dtOverT ** 2);
+}
+
+/**
+ * Time-of-flight neutron powder pattern for one detector bank.
+ *
+ * All reflections with d ≥ dMin are recorded at once; intensity follows the
+ * TOF Lorentz factor, I ∝ m·|F|²·d⁴ (fixed bank angle; flux spectrum,
+ * absorption and extinction ignored).
+ *
+ * @param {Object} structure - from lattices.js
+ * @param {Object|number} [cell]
+ * @param {Object} [options]
+ * @param {Object} [options.bank] - { twoTheta (degrees), flightPath (m) }
+ * @param {number} [options.dMin=0.5] - shortest d recorded (Å)
+ * @param {number} [options.temperatureK=0]
+ * @returns {Array<Object>} peaks as from generateXRDPattern plus tof (µs),
+ *   sorted by ascending d; twoTheta is the bank angle
+ */
+export function generateTOFPattern(structure, cell, {
+  bank = DEFAULT_TOF_BANK, dMin = 0.5, temperatureK = 0,
+} = {}) {
+  // λ = 2·dMin reaches every d ≥ dMin below 2θ = 180°
+  const reflections = collectReflections(structure, cell, 2 * dMin, 180, { radiation: 'neutron', temperatureK });
+  const difc = tofConstant(bank);
+  const peaks = normalisedPeaks(structure, reflections, p => p.totalF2 * p.dSpacing ** 4);
+
+  for (const p of peaks) {
+    p.tof = difc * p.dSpacing;
+    p.twoTheta = bank.twoTheta;
+  }
+  return peaks.sort((a, b) => a.dSpacing - b.dSpacing);
+}
@@ -0,0 +1,147 @@
+/**
+ * Selected-Area Electron Diffraction (SAED)
+ *
+ * Kinematic zone-axis spot patterns as recorded in a TEM:
+ *
+ *   λ = h / √(2m₀eV (1 + eV / 2m₀c²))             relativistic wavelength
+ *   s_g = −(g_z + κ·|g|² λ / 2)                    excitation error (beam ∥ +z)
+ *   I_g ∝ |F_g|² · sinc²(π t s_g)                  thin-foil relrod, thickness t
+ *   R = L λ |g⊥|                                   spot radius on the screen
+ *
+ * F_g uses Mott–Bethe electron scattering factors.  κ scales the Ewald
+ * sphere's curvature: 1 is the true sphere of radius 1/λ, 0 a flat plane
+ * (the usual "zero-layer only" idealisation); larger values exaggerate the
+ * curvature so the Laue circle and higher-order zones appear sooner.
+ *
+ * Kinematically forbidden reflections that are excited are flagged as
+ * double-diffraction spots when they are the sum of two allowed, excited
+ * reflections (g = g₁ + g₂), e.g. Si (002) from (111) + (11̄1) on [110].
+ *
+ * References:
+ *  - Williams & Carter, "Transmission Electron Microscopy" (2009), ch. 11–18
+ *  - Peng, Micron 30, 625 (1999)
+ */
+
+import { resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { structureFactor, isAbsent, siteFormFactors } from './diffraction';
+import { crystalFrame } from './singleCrystal';
+import { planeLabel } from './millerIndices';
+import { add, scale, magnitude } from './vectorMath';
+
+/** Default microscope settings. */
+export const DEFAULT_SAED = {
+  voltage: 200,         // kV
+  cameraLength: 1000,   // mm
+  thickness: 20,        // nm
+  ewaldCurvature: 1,    // κ (1 = true sphere, 0 = flat)
+};
+
+/** Half-width of the simulated screen (mm). */
+export const SCREEN_HALF_WIDTH = 40;
+
+/** Relrod intensity below which a reflection is not drawn. */
+const MIN_SHAPE_FACTOR = 1e-3;
+
+/** Largest index enumerated. */
+const MAX_INDEX = 12;
+
+/** Relativistic electron wavelength (Å) for an accelerating voltage (kV). */
+export function electronWavelength(voltageKV) {
+  const V = voltageKV * 1e3;
+  return 12.2643 / Math.sqrt(V * (1 + 0.97848e-6 * V));
+}
+
+/** sinc²(π t s) — kinematic shape factor of a foil of thickness t (Å). */
+function shapeFactor(thickness, s) {
+  const x = Math.PI * thickness * s;
+  return Math.abs(x) < 1e-8 ? 1 : (Math.sin(x) / x) ** 2;
+}
+
+/**
+ * Simulate a SAED pattern.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @param {Object} [options] - orientation { zoneAxis, rotation, tiltX, tiltY }
+ *   and DEFAULT_SAED fields
+ * @returns {{ spots: Array<{ hkl, label, x, y, intensity, relativeIntensity, excitationError, dSpacing, kind }>,
+ *   extent, wavelength, cameraConstant }}
+ *   x, y in mm on the screen; kind is 'allowed' or 'double' (forbidden, reached by
+ *   double diffraction); cameraConstant Lλ in mm·Å
+ */
+export function saedPattern(structure, cell, options = {}) {
+  const {
+    zoneAxis = [0, 0, 1], rotation = 0, tiltX = 0, tiltY = 0,
+  } = options;
+  const { voltage, cameraLength, thickness, ewaldCurvature } = { ...DEFAULT_SAED, ...options };
+  const { basis } = structure;
+  const lambda = electronWavelength(voltage);
+  const cameraConstant = cameraLength * lambda;
+  const t = thickness * 10;  // Å
+
+  const vectors = latticeVectors(resolveCell(structure, cell));
+  const { b1, b2, b3 } = reciprocalVectors(vectors);
+  const toLab = crystalFrame(vectors, zoneAxis, { rotation, tiltX, tiltY });
+
+  // Reflections out to the screen corner
+  const gMax = (SCREEN_HALF_WIDTH * Math.SQRT2) / cameraConstant;
+  const maxIndex = Math.min(MAX_INDEX, Math.ceil(gMax * Math.max(...vectors.map(magnitude))));
+  const sMax = 3 / t;  // beyond the third relrod subsidiary maximum
+
+  const excited = [];
+  for (let h = -maxIndex; h <= maxIndex; h++) {
+    for (let k = -maxIndex; k <= maxIndex; k++) {
+      for (let l = -maxIndex; l <= maxIndex; l++) {
+        if (h === 0 && k === 0 && l === 0) continue;
+        const G = add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
+        const gMag = magnitude(G);
+        if (gMag > gMax) continue;
+        const g = toLab(G);
+        const excitationError = -(g[2] + (ewaldCurvature * gMag * gMag * lambda) / 2);
+        if (Math.abs(excitationError) > sMax) continue;
+        const x = cameraConstant * g[0], y = cameraConstant * g[1];
+        if (Math.abs(x) > SCREEN_HALF_WIDTH || Math.abs(y) > SCREEN_HALF_WIDTH) continue;
+        const shape = shapeFactor(t, excitationError);
+        if (shape < MIN_SHAPE_FACTOR) continue;
+
+        const weights = siteFormFactors(structure, gMag / 2, 'electron');
+        const absent = isAbsent(h, k, l, basis, weights);
+        excited.push({
+          hkl: [h, k, l], x, y, excitationError, shape, absent,
+          F2: absent ? 0 : structureFactor(h, k, l, basis, weights).magnitudeSquared,
+          dSpacing: 1 / gMag,
+        });
+      }
+    }
+  }
+
+  // Double diffraction: forbidden g = g₁ + g₂ with g₁, g₂ allowed and excited
+  const allowed = new Map(excited.filter(r => !r.absent).map(r => [r.hkl.join(','), r]));
+  const spots = [];
+  for (const r of excited) {
+    let kind = 'allowed';
+    if (r.absent) {
+      const [h, k, l] = r.hkl;
+      const reached = [...allowed.values()].some(({ hkl: [h1, k1, l1] }) =>
+        allowed.has(`${h - h1},${k - k1},${l - l1}`));
+      if (!reached) continue;
+      kind = 'double';
+    }
+    spots.push({
+      hkl: r.hkl,
+      label: planeLabel(r.hkl, structure),
+      x: r.x,
+      y: r.y,
+      intensity: r.F2 * r.shape,
+      relativeIntensity: 0,
+      excitationError: r.excitationError,
+      dSpacing: r.dSpacing,
+      kind,
+    });
+  }
+
+  const maxI = Math.max(...spots.map(s => s.intensity), 1e-20);
+  for (const s of spots) s.relativeIntensity = (s.intensity / maxI) * 100;
+
+  return { spots, extent: SCREEN_HALF_WIDTH, wavelength: lambda, cameraConstant };
+}
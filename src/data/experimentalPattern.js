@@ -0,0 +1,159 @@
+/**
+ * Experimental Powder Patterns
+ *
+ * Reads measured diffractometer scans and compares them with the simulated
+ * profile.  Accepted formats are all "columns of numbers":
+ *  - two-column 2θ / intensity text (.txt, .dat, .xy)
+ *  - three-column 2θ / intensity / esd (.xye)
+ *  - CSV or semicolon-separated exports, with or without a header row;
+ *    where ; separates the fields, a comma is the decimal mark (10,02;345)
+ * Lines starting with #, !, ; or // and any non-numeric lines are skipped,
+ * as is a semicolon line with a field that is not one decimal number.
+ *
+ * Goodness of fit (Young, "The Rietveld Method" (1993), ch. 1):
+ *   Rwp = √( Σ wᵢ (yᵢ,obs − yᵢ,calc)² / Σ wᵢ yᵢ,obs² ),   wᵢ = 1/σᵢ²
+ *   Rexp = √( (N − P) / Σ wᵢ yᵢ,obs² ),   χ² = (Rwp / Rexp)²
+ */
+
+import { profileAt, DEFAULT_PROFILE } from './powderProfile';
+
+const COMMENT_RE = /^\s*(#|!|;|\/\/)/;
+const SEPARATOR_RE = /[\s,]+/;
+
+/**
+ * Numeric fields of a data line.  Semicolon-separated lines come from
+ * decimal-comma locales, so their commas are decimal marks, not separators;
+ * such a line with any field that is not a number gives null rather than
+ * being read as different numbers.
+ */
+function lineFields(line) {
+  const trimmed = line.trim();
+  if (!trimmed.includes(';')) return trimmed.split(SEPARATOR_RE).map(Number);
+  const fields = trimmed.split(/\s*;\s*/);
+  while (fields.length && fields[fields.length - 1] === '') fields.pop();  // trailing ;
+  const values = fields.map(f => (f === '' ? NaN : Number(f.replace(',', '.'))));
+  return values.every(Number.isFinite) ? values : null;
+}
+
+/**
+ * Parse a measured pattern.
+ *
+ * @param {string} text - File contents
+ * @param {string} [fileName]
+ * @returns {{ name, twoTheta: Float64Array, intensity: Float64Array, sigma: Float64Array, hasEsd: boolean }}
+ *   sorted by 2θ; sigma is the file's esd column or √I (counting statistics)
+ */
+export function parseDiffractionData(text, fileName = 'pattern.xy') {
+  const rows = [];
+  let hasEsd = true;
+
+  for (const line of text.split(/\r?\n/)) {
+    if (!line.trim() || COMMENT_RE.test(line)) continue;
+    const fields = lineFields(line);
+    if (!fields || fields.length < 2 || !Number.isFinite(fields[0]) || !Number.isFinite(fields[1])) continue;
+    const esd = fields.length >= 3 && Number.isFinite(fields[2]) && fields[2] > 0 ? fields[2] : null;
+    if (esd === null) hasEsd = false;
+    rows.push([fields[0], fields[1], esd]);
+  }
+
+  if (rows.length < 2) {
+    throw new Error('No 2θ / intensity data found (expected at least two numeric columns)');
+  }
+  rows.sort((p, q) => p[0] - q[0]);
+
+  const n = rows.length;
+  const twoTheta = new Float64Array(n);
+  const intensity = new Float64Array(n);
+  const sigma = new Float64Array(n);
+  rows.forEach(([x, y, esd], i) => {
+    twoTheta[i] = x;
+    intensity[i] = y;
+    sigma[i] = hasEsd ? esd : Math.sqrt(Math.max(Math.abs(y), 1));
+  });
+
+  return { name: fileName, twoTheta, intensity, sigma, hasEsd };
+}
+
+/** Measured 2θ corrected for the instrument zero shift. */
+export function correctedTwoTheta(experiment, zeroShift = 0) {
+  return experiment.twoTheta.map(x => x - zeroShift);
+}
+
+/**
+ * Weighted least squares for y_obs ≈ s·y_sim + b.  With `scale` given only
+ * the flat background b is fitted.
+ */
+function fitScaleAndBackground({ intensity, sigma }, sim, scale = null) {
+  let sw = 0, sy = 0, ss = 0, syy = 0, sys = 0;
+  for (let i = 0; i < sim.length; i++) {
+    const w = 1 / (sigma[i] * sigma[i]);
+    sw += w;
+    sy += w * intensity[i];
+    ss += w * sim[i];
+    syy += w * sim[i] * sim[i];
+    sys += w * intensity[i] * sim[i];
+  }
+  if (scale === null) {
+    const det = sw * syy - ss * ss;
+    const s = det > 0 ? (sw * sys - ss * sy) / det : 0;
+    if (s > 0) return { scale: s, background: (sy - s * ss) / sw };
+    scale = 1;
+  }
+  return { scale, background: (sy - scale * ss) / sw };
+}
+
+/**
+ * Least-squares scale factor and flat background minimising
+ * Σ w (y_obs − s·y_sim − b)².
+ * @returns {{ scale, background }}
+ */
+export function optimalScale(experiment, peaks, { zeroShift = 0, profile = DEFAULT_PROFILE, lines = null } = {}) {
+  return fitScaleAndBackground(experiment, profileAt(peaks, correctedTwoTheta(experiment, zeroShift), profile, lines));
+}
+
+/**
+ * Compare a measured pattern with the simulated peaks.
+ *
+ * y_calc = scale · profile(2θ_obs − zeroShift) + background
+ *
+ * The flat background is always the least-squares value for the chosen
+ * scale.
+ *
+ * @param {Object} experiment - from parseDiffractionData
+ * @param {Array} peaks - from generateXRDPattern
+ * @param {Object} [options]
+ * @param {number} [options.scale] - counts per unit of simulated profile (default: least-squares optimum)
+ * @param {number} [options.zeroShift=0] - 2θ zero error (degrees)
+ * @param {Object} [options.profile] - peak-shape parameters (see powderProfile.js)
+ * @param {Array|null} [options.lines] - emission lines from emissionLines()
+ * @param {number} [options.parameters=3] - refined parameters P, for Rexp
+ * @returns {{ twoTheta, calc, difference, scale, autoScale, background, zeroShift, rwp, rexp, chi2 }}
+ *   twoTheta is zero-corrected; calc and difference are in counts;
+ *   autoScale is the least-squares scale at this zero shift
+ */
+export function comparePattern(experiment, peaks, {
+  scale = null, zeroShift = 0, profile = DEFAULT_PROFILE, lines = null, parameters = 3,
+} = {}) {
+  const twoTheta = correctedTwoTheta(experiment, zeroShift);
+  const sim = profileAt(peaks, twoTheta, profile, lines);
+  const autoScale = fitScaleAndBackground(experiment, sim).scale;
+  const { scale: s, background } = fitScaleAndBackground(experiment, sim, scale);
+  const calc = sim.map(y => s * y + background);
+  const difference = experiment.intensity.map((y, i) => y - calc[i]);
+
+  let resid = 0, total = 0;
+  for (let i = 0; i < difference.length; i++) {
+    const w = 1 / (experiment.sigma[i] * experiment.sigma[i]);
+    resid += w * difference[i] * difference[i];
+    total += w * experiment.intensity[i] * experiment.intensity[i];
+  }
+  const rwp = total > 0 ? Math.sqrt(resid / total) : 0;
+  const rexp = total > 0 ? Math.sqrt(Math.max(difference.length - parameters, 1) / total) : 0;
+
+  return {
+    twoTheta, calc, difference,
+    scale: s, autoScale, background, zeroShift,
+    rwp, rexp,
+    chi2: rexp > 0 ? (rwp / rexp) ** 2 : 0,
+  };
+}
@@ -0,0 +1,395 @@
+/**
+ * Powder Pattern Indexing
+ *
+ * Suggests which known structure, at which cell, explains a list of observed
+ * peak positions.  Working in Q = 1/d², every reflection of a cubic,
+ * tetragonal or hexagonal cell is linear in the metric parameters:
+ *
+ *   cubic        Q = (h² + k² + l²) / a²
+ *   tetragonal   Q = (h² + k²) / a² + l² / c²
+ *   hexagonal    Q = 4/3 (h² + hk + k²) / a² + l² / c²
+ *
+ * For each structure the allowed forms (hkl) come from isAbsent, so the
+ * structure's own extinctions decide which 1/d² ratios are possible — the
+ * cubic ratio test.  Trial cells are solved by assigning low-angle lines to
+ * low-index forms: one line at a time for cubic, pairs of lines for the
+ * two-parameter systems (the zone-pair idea behind Ito / Visser).  Every
+ * trial is matched against the first ≤ 20 lines, refined by linear least
+ * squares and scored with de Wolff's figure of merit
+ *
+ *   M_N = Q_N / (2 ε̄ N_calc)
+ *
+ * (ε̄ mean |Q_obs − Q_calc|, N_calc allowed distinct lines up to Q_N).  Two
+ * corrections keep extra freedom from looking like a better fit: each error
+ * is floored at the precision of a typed position (rounding noise is not
+ * evidence), and ε̄ is scaled by N / (N − n) for n fitted parameters, so a
+ * two-parameter trial cell pays for absorbing more of the error.  Unindexed
+ * lines scale the merit by the indexed fraction and by 1 / (1 + their number).
+ *
+ * The best cell per structure is then compared with its own pattern from
+ * generateXRDPattern (with the nearest material's species, if any):
+ *  - the merit is scaled by the square of the fraction of calculated
+ *    intensity that falls on observed lines, so a cell predicting strong
+ *    lines that were never seen (a sub-cell, or a spurious two-parameter
+ *    fit) drops out;
+ *  - with observed intensities, by the fourth power of their overlap with
+ *    the calculated ones.  Positions alone cannot tell bcc from the
+ *    half-size sc cell, or rock salt from fcc, zinc blende and fluorite;
+ *    intensities can.
+ *
+ * References:
+ *  - de Wolff, J. Appl. Cryst. 1, 108 (1968) — M20
+ *  - Visser, J. Appl. Cryst. 2, 89 (1969); Ito, Nature 164, 755 (1949)
+ *  - Cullity & Stock, "Elements of X-Ray Diffraction" (2001), ch. 10
+ */
+
+import { STRUCTURES, STRUCTURE_ORDER, applyInternalParameters } from './lattices';
+import { generateXRDPattern, isAbsent, siteFormFactors } from './diffraction';
+import { MATERIALS, materialsForStructure, applyMaterial } from './materials';
+import { solveLinear } from './leastSquares';
+
+/** Lines used for the figure of merit (M20). */
+export const MAX_LINES = 20;
+
+/** Relative Q window for a line to count as indexed (Δd/d ≈ 0.15 %). */
+const TOLERANCE = 0.003;
+
+/** Largest |h|, |k|, |l| enumerated for the allowed forms. */
+const FORM_INDEX = 10;
+
+/** Observed lines tried as the seeds of a trial cell. */
+const TRIAL_LINES = 5;
+
+/** Forms with every |index| ≤ this seed the trials … */
+const SEED_INDEX = 2;
+
+/** … at most this many of them, lowest first. */
+const MAX_SEEDS = 12;
+
+/** Lines that may stay unindexed, as a fraction of those used. */
+const MAX_UNINDEXED = 0.1;
+
+/** Calculated reflections at least this strong (%) are reported as missing if not observed. */
+const STRONG_LINE = 20;
+
+/** Calculated reflections weaker than this (%) need not have been observed. */
+const DETECTION_LIMIT = 1;
+
+/**
+ * Smallest relative error counted on a line's Q (Δd/d = 10⁻⁴, about 0.005°
+ * 2θ at 45°): below it a difference is rounding of the typed value.
+ */
+const Q_ERROR_FLOOR = 2e-4;
+
+/** Metric coefficients per crystal system: Q = Σ pᵢ Xᵢ(hkl), p = (1/a², 1/c²). */
+const METRICS = {
+  cubic: ([h, k, l]) => [h * h + k * k + l * l],
+  tetragonal: ([h, k, l]) => [h * h + k * k, l * l],
+  hexagonal: ([h, k, l]) => [(4 / 3) * (h * h + h * k + k * k), l * l],
+};
+
+/** Systems the indexer can handle. */
+export const INDEXABLE_SYSTEMS = Object.keys(METRICS);
+
+/** Preferred representative of a form: fewest negative indices, then largest. */
+function isNicer(hkl, than) {
+  const negatives = v => v.filter(x => x < 0).length;
+  if (negatives(hkl) !== negatives(than)) return negatives(hkl) < negatives(than);
+  for (let i = 0; i < 3; i++) {
+    if (hkl[i] !== than[i]) return hkl[i] > than[i];
+  }
+  return false;
+}
+
+/** Distinct allowed forms of a structure: { hkl, X } with X the metric coefficients. */
+function allowedForms(structure, metric) {
+  const { basis } = structure;
+  const weights = siteFormFactors(structure, 0);
+  const forms = new Map();
+  for (let h = -FORM_INDEX; h <= FORM_INDEX; h++) {
+    for (let k = -FORM_INDEX; k <= FORM_INDEX; k++) {
+      for (let l = -FORM_INDEX; l <= FORM_INDEX; l++) {
+        if (h === 0 && k === 0 && l === 0) continue;
+        if (isAbsent(h, k, l, basis, weights)) continue;
+        const X = metric([h, k, l]);
+        const key = X.map(x => x.toFixed(6)).join(',');
+        const existing = forms.get(key);
+        if (!existing) forms.set(key, { hkl: [h, k, l], X });
+        else if (isNicer([h, k, l], existing.hkl)) existing.hkl = [h, k, l];
+      }
+    }
+  }
+  return [...forms.values()];
+}
+
+function dotP(p, X) {
+  let q = 0;
+  for (let i = 0; i < X.length; i++) q += X[i] * p[i];
+  return q;
+}
+
+/** Index of the largest element of a sorted array ≤ x (or 0). */
+function nearestIndex(sorted, x) {
+  let lo = 0, hi = sorted.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (sorted[mid] <= x) lo = mid;
+    else hi = mid - 1;
+  }
+  return lo;
+}
+
+/**
+ * Match observed Q (ascending) to a trial cell's allowed lines.
+ * @returns {{ matches: Array<{ obs, form, calc } | null>, calcQ: number[] }}
+ *   calcQ lists the allowed lines up to the last observed one
+ */
+function matchLines(forms, p, observedQ) {
+  const qMax = observedQ[observedQ.length - 1] * (1 + TOLERANCE);
+  const calc = [];
+  for (const form of forms) {
+    const Q = dotP(p, form.X);
+    if (Q <= qMax) calc.push({ form, Q });
+  }
+  if (calc.length === 0) return { matches: observedQ.map(() => null), calcQ: [] };
+  calc.sort((a, b) => a.Q - b.Q);
+  const calcQ = calc.map(c => c.Q);
+  const matches = observedQ.map(obs => {
+    const i = nearestIndex(calcQ, obs);
+    const best = [calc[i], calc[i + 1]]
+      .filter(Boolean)
+      .reduce((a, b) => (Math.abs(b.Q - obs) < Math.abs(a.Q - obs) ? b : a));
+    return Math.abs(best.Q - obs) <= TOLERANCE * obs ? { obs, form: best.form, calc: best.Q } : null;
+  });
+  return { matches, calcQ };
+}
+
+/** Linear least-squares metric parameters from the indexed lines. */
+function refineMetric(matches, nParams) {
+  const A = Array.from({ length: nParams }, () => new Array(nParams).fill(0));
+  const b = new Array(nParams).fill(0);
+  for (const m of matches) {
+    if (!m) continue;
+    const { X } = m.form;
+    for (let i = 0; i < nParams; i++) {
+      b[i] += X[i] * m.obs;
+      for (let j = 0; j < nParams; j++) A[i][j] += X[i] * X[j];
+    }
+  }
+  return solveLinear(A, b);
+}
+
+/**
+ * de Wolff M_N for a trial with nParams fitted metric parameters, penalised
+ * for unindexed lines; null if too many lines are unexplained.
+ */
+function figureOfMerit(matches, calcQ, nParams) {
+  const indexed = matches.filter(Boolean);
+  const unindexed = matches.length - indexed.length;
+  if (unindexed > Math.floor(matches.length * MAX_UNINDEXED) || indexed.length <= nParams) return null;
+
+  const qN = matches[matches.length - 1]?.calc ?? Math.max(...indexed.map(m => m.obs));
+  const distinct = new Set(calcQ.filter(q => q <= qN * (1 + TOLERANCE)).map(q => q.toPrecision(6)));
+  const errorSum = indexed.reduce((s, m) => s + Math.max(Math.abs(m.obs - m.calc), Q_ERROR_FLOOR * m.obs), 0);
+  const meanError = errorSum / (indexed.length - nParams);
+  const merit = qN / (2 * meanError * distinct.size);
+  return { merit: (merit * (indexed.length / matches.length)) / (1 + unindexed), unindexed };
+}
+
+/**
+ * Compare a candidate's calculated pattern with the observed lines.
+ *
+ * @param {Array<Object>} peaks - from generateXRDPattern
+ * @param {number[]} dObserved - observed d (Å), descending
+ * @param {number[]|null} iObserved - observed intensities, parallel to dObserved
+ * @returns {{ explained: number, agreement: number|null, missing: number }}
+ *   explained: fraction of the calculated intensity (lines above the
+ *   detection limit, d ≥ the shortest observed) lying on an observed line;
+ *   agreement: Σ min(oᵢ, cᵢ) over the observed lines with observed and
+ *   calculated intensities each normalised to unit sum (1 = identical, null
+ *   without iObserved); missing: strong calculated lines not observed, one
+ *   per position
+ */
+function comparePeaks(peaks, dObserved, iObserved) {
+  const dMin = dObserved[dObserved.length - 1] * (1 - TOLERANCE);
+  const onLine = d => dObserved.findIndex(dObs => Math.abs(dObs - d) <= TOLERANCE * dObs);
+  const expected = peaks.filter(pk => pk.relativeIntensity >= DETECTION_LIMIT && pk.dSpacing >= dMin);
+
+  const calcOnLine = dObserved.map(() => 0);
+  let total = 0, seen = 0;
+  for (const pk of expected) {
+    const i = onLine(pk.dSpacing);
+    total += pk.relativeIntensity;
+    if (i < 0) continue;
+    seen += pk.relativeIntensity;
+    calcOnLine[i] += pk.relativeIntensity;
+  }
+
+  let agreement = null;
+  if (iObserved) {
+    const obsSum = iObserved.reduce((s, x) => s + x, 0);
+    const calcSum = calcOnLine.reduce((s, x) => s + x, 0);
+    agreement = obsSum > 0 && calcSum > 0
+      ? iObserved.reduce((s, x, i) => s + Math.min(x / obsSum, calcOnLine[i] / calcSum), 0)
+      : 0;
+  }
+
+  const missing = expected
+    .filter(pk => pk.relativeIntensity >= STRONG_LINE && onLine(pk.dSpacing) < 0)
+    .filter((pk, i, list) => !list.slice(0, i).some(q => q.overlaps.includes(pk.label)))
+    .length;
+
+  return { explained: total > 0 ? seen / total : 0, agreement, missing };
+}
+
+/** Trial parameter vectors from low-angle lines and low-index forms. */
+function trialMetrics(forms, observedQ, nParams) {
+  const seeds = forms
+    .filter(f => f.hkl.every(x => Math.abs(x) <= SEED_INDEX))
+    .sort((a, b) => a.X.reduce((s, x) => s + x, 0) - b.X.reduce((s, x) => s + x, 0))
+    .slice(0, MAX_SEEDS);
+  const lines = observedQ.slice(0, TRIAL_LINES);
+  const trials = new Map();  // keyed by the rounded cell, so repeats are tried once
+  const add = p => trials.set(p.map(x => x.toPrecision(4)).join(','), p);
+
+  if (nParams === 1) {
+    for (const Q of lines.slice(0, 3)) {
+      for (const { X } of seeds) add([Q / X[0]]);
+    }
+    return [...trials.values()];
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    for (let j = i + 1; j < lines.length; j++) {
+      for (const f of seeds) {
+        for (const g of seeds) {
+          if (f === g) continue;
+          const p = solveLinear([f.X, g.X], [lines[i], lines[j]]);
+          if (!p || p[0] <= 0 || p[1] <= 0) continue;
+          const cOverA = Math.sqrt(p[0] / p[1]);
+          if (cOverA < 0.3 || cOverA > 5) continue;
+          add(p);
+        }
+      }
+    }
+  }
+  return [...trials.values()];
+}
+
+/** Closest material of the prototype, if its cell agrees to 2 %. */
+function nearestMaterial(structureId, cell) {
+  let best = null, bestError = 0.02;
+  for (const formula of materialsForStructure(structureId)) {
+    const { a, c } = MATERIALS[formula];
+    const error = Math.max(
+      Math.abs(a - cell.a) / a,
+      c && cell.c ? Math.abs(c - cell.c) / c : 0
+    );
+    if (error < bestError) {
+      best = formula;
+      bestError = error;
+    }
+  }
+  return best;
+}
+
+/**
+ * Parse a peak list: whitespace / comma separated positions, or one
+ * "position intensity" pair per line (every line holding exactly two
+ * numbers).
+ * @returns {{ positions: number[], intensities: number[]|null }} positive
+ *   finite positions; intensities parallel to them when given
+ */
+export function parsePeakList(text) {
+  const numbers = line => line.split(/[\s,;]+/).filter(Boolean).map(Number);
+  const rows = text.split(/\r?\n/).map(numbers).filter(row => row.length > 0);
+  const paired = rows.length >= 2 && rows.every(row => row.length === 2 && row.every(Number.isFinite));
+  if (paired) {
+    const kept = rows.filter(([x, I]) => x > 0 && I >= 0);
+    return { positions: kept.map(([x]) => x), intensities: kept.map(([, I]) => I) };
+  }
+  return { positions: rows.flat().filter(x => Number.isFinite(x) && x > 0), intensities: null };
+}
+
+/**
+ * Index an observed peak list against every known structure.
+ *
+ * @param {number[]} positions - observed 2θ (°) or d (Å) values
+ * @param {Object} [options]
+ * @param {'twoTheta'|'d'} [options.unit='twoTheta']
+ * @param {number} [options.wavelength=1.5406] - λ (Å) for 2θ input and the
+ *   calculated patterns
+ * @param {number[]|null} [options.intensities=null] - observed intensities,
+ *   parallel to positions (any scale)
+ * @returns {Array<{ structureId, name, material, system, cell, merit, lineCount,
+ *   unindexed, missing, explained, agreement, lines }>} best candidate per
+ *   structure, by merit; lines pair each observed d with its indexed (hkl)
+ *   (hkl null if unindexed); explained / agreement as from comparePeaks
+ */
+export function indexPattern(positions, { unit = 'twoTheta', wavelength = 1.5406, intensities = null } = {}) {
+  const observed = positions
+    .map((x, i) => ({
+      d: unit === 'd' ? x : wavelength / (2 * Math.sin((x * Math.PI) / 360)),
+      I: intensities ? intensities[i] : null,
+    }))
+    .filter(({ d }) => Number.isFinite(d) && d > 0)
+    .sort((a, b) => b.d - a.d)
+    .slice(0, MAX_LINES);
+  if (observed.length < 4) throw new Error('At least four peaks are needed');
+  const dObserved = observed.map(o => o.d);
+  const iObserved = intensities ? observed.map(o => o.I) : null;
+  const observedQ = dObserved.map(d => 1 / (d * d));
+
+  const candidates = [];
+  for (const structureId of STRUCTURE_ORDER) {
+    const structure = applyInternalParameters(STRUCTURES[structureId]);
+    const system = structure.crystalSystem || 'cubic';
+    const metric = METRICS[system];
+    if (!metric) continue;
+
+    const forms = allowedForms(structure, metric);
+    const nParams = system === 'cubic' ? 1 : 2;
+    let best = null;
+    for (const trial of trialMetrics(forms, observedQ, nParams)) {
+      const first = matchLines(forms, trial, observedQ);
+      const p = refineMetric(first.matches, nParams);
+      if (!p || p.some(x => x <= 0)) continue;
+      const { matches, calcQ } = matchLines(forms, p, observedQ);
+      const score = figureOfMerit(matches, calcQ, nParams);
+      if (score && (!best || score.merit > best.merit)) best = { ...score, p, matches };
+    }
+    if (!best) continue;
+
+    const a = 1 / Math.sqrt(best.p[0]);
+    const cell = nParams === 1 ? { a } : { a, c: 1 / Math.sqrt(best.p[1]) };
+
+    // The candidate's own pattern over the observed range (short enough λ
+    // to reach the shortest observed d), with the matching material's species
+    const material = nearestMaterial(structureId, cell);
+    const scatterer = material ? applyInternalParameters(applyMaterial(STRUCTURES[structureId], material)) : structure;
+    const lambdaCheck = Math.min(wavelength, dObserved[dObserved.length - 1] * 1.8);
+    const { explained, agreement, missing } = comparePeaks(
+      generateXRDPattern(scatterer, cell, lambdaCheck, 175), dObserved, iObserved);
+
+    candidates.push({
+      structureId,
+      name: structure.name,
+      material,
+      system,
+      cell,
+      merit: best.merit * explained ** 2 * (agreement ?? 1) ** 4,
+      lineCount: dObserved.length,
+      unindexed: best.unindexed,
+      missing,
+      explained,
+      agreement,
+      lines: dObserved.map((d, i) => ({
+        d,
+        hkl: best.matches[i]?.form.hkl ?? null,
+        dCalc: best.matches[i] ? 1 / Math.sqrt(best.matches[i].calc) : null,
+      })),
+    });
+  }
+
+  return candidates.sort((p, q) => q.merit - p.merit);
+}
@@ -0,0 +1,234 @@
+/**
+ * High-Symmetry Points and Band-Structure k-Paths
+ *
+ * Standard labels and paths through the first Brillouin zone following
+ * Setyawan & Curtarolo for the lattices whose zone does not depend on the
+ * cell ratios (cP, cI, cF, tP, oP, hP).  Other lattices fall back to Γ and
+ * the centres of the zone's faces, labelled F1, F2, …, with a path Γ → Fn
+ * for each.
+ *
+ * Coordinates are fractional in the reciprocal basis of the *conventional*
+ * cell — the same cell structureExport.js writes — so an exported path can
+ * be used as-is next to an exported POSCAR / CIF.
+ *
+ * References:
+ *  - Setyawan & Curtarolo, Comput. Mater. Sci. 49, 299 (2010)
+ *  - VASP wiki, "KPOINTS" (line mode); Quantum ESPRESSO pw.x input (crystal_b);
+ *    Wannier90 user guide (kpoint_path)
+ */
+
+import { resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { brillouinZone, bravaisLattice } from './brillouinZone';
+import { add, scale, magnitude, sub } from './vectorMath';
+
+/** Lattice names for the UI. */
+export const BRAVAIS_NAMES = {
+  cP: 'Simple cubic',
+  cI: 'Body-centred cubic',
+  cF: 'Face-centred cubic',
+  tP: 'Simple tetragonal',
+  tI: 'Body-centred tetragonal',
+  oP: 'Simple orthorhombic',
+  oC: 'Base-centred orthorhombic',
+  oI: 'Body-centred orthorhombic',
+  oF: 'Face-centred orthorhombic',
+  hP: 'Hexagonal',
+  hR: 'Rhombohedral',
+  mP: 'Simple monoclinic',
+  mC: 'Base-centred monoclinic',
+  aP: 'Triclinic',
+};
+
+/*
+ * Points in conventional reciprocal coordinates; `path` lists continuous
+ * branches (a "|" in the usual notation starts a new branch).
+ */
+const STANDARD_PATHS = {
+  cP: {
+    points: { Γ: [0, 0, 0], X: [0, 0.5, 0], M: [0.5, 0.5, 0], R: [0.5, 0.5, 0.5] },
+    path: [['Γ', 'X', 'M', 'Γ', 'R', 'X'], ['M', 'R']],
+  },
+  cI: {
+    points: { Γ: [0, 0, 0], H: [0, 0, 1], N: [0, 0.5, 0.5], P: [0.5, 0.5, 0.5] },
+    path: [['Γ', 'H', 'N', 'Γ', 'P', 'H'], ['P', 'N']],
+  },
+  cF: {
+    points: {
+      Γ: [0, 0, 0], X: [0, 1, 0], L: [0.5, 0.5, 0.5], W: [0.5, 1, 0],
+      K: [0.75, 0.75, 0], U: [0.25, 1, 0.25],
+    },
+    path: [['Γ', 'X', 'W', 'K', 'Γ', 'L', 'U', 'W', 'L', 'K'], ['U', 'X']],
+  },
+  tP: {
+    points: {
+      Γ: [0, 0, 0], X: [0, 0.5, 0], M: [0.5, 0.5, 0],
+      Z: [0, 0, 0.5], R: [0, 0.5, 0.5], A: [0.5, 0.5, 0.5],
+    },
+    path: [['Γ', 'X', 'M', 'Γ', 'Z', 'R', 'A', 'Z'], ['X', 'R'], ['M', 'A']],
+  },
+  oP: {
+    points: {
+      Γ: [0, 0, 0], X: [0.5, 0, 0], Y: [0, 0.5, 0], Z: [0, 0, 0.5],
+      S: [0.5, 0.5, 0], U: [0.5, 0, 0.5], T: [0, 0.5, 0.5], R: [0.5, 0.5, 0.5],
+    },
+    path: [['Γ', 'X', 'S', 'Y', 'Γ', 'Z', 'U', 'R', 'T', 'Z'], ['Y', 'T'], ['U', 'X'], ['S', 'R']],
+  },
+  hP: {
+    points: {
+      Γ: [0, 0, 0], M: [0.5, 0, 0], K: [1 / 3, 1 / 3, 0],
+      A: [0, 0, 0.5], L: [0.5, 0, 0.5], H: [1 / 3, 1 / 3, 0.5],
+    },
+    path: [['Γ', 'M', 'K', 'Γ', 'A', 'L', 'H', 'A'], ['L', 'M'], ['K', 'H']],
+  },
+};
+
+/** Γ plus the centres of the zone faces (one of each ± pair). */
+function faceCentrePath(zone) {
+  const points = { Γ: [0, 0, 0] };
+  const path = [];
+  const seen = new Set();
+  zone.faces
+    .map(({ hkl }) => hkl.map(x => x * Math.sign(hkl.find(y => y !== 0))))
+    .filter(hkl => {
+      const key = hkl.join(',');
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .forEach((hkl, n) => {
+      const label = `F${n + 1}`;
+      points[label] = hkl.map(x => x / 2);
+      path.push(['Γ', label]);
+    });
+  return { points, path };
+}
+
+/**
+ * High-symmetry points and standard k-path for a structure.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @returns {{ lattice: string, name: string, standard: boolean,
+ *   points: Array<{ label, frac, position }>, path: string[][], zone }}
+ *   frac in conventional reciprocal coordinates, position Cartesian (Å⁻¹, no 2π);
+ *   standard is false when the face-centre fallback was used
+ */
+export function highSymmetryPath(structure, cell) {
+  const lattice = bravaisLattice(structure);
+  const zone = brillouinZone(structure, cell);
+  const standard = lattice in STANDARD_PATHS;
+  const { points, path } = standard ? STANDARD_PATHS[lattice] : faceCentrePath(zone);
+
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolveCell(structure, cell)));
+  const toCartesian = ([h, k, l]) => add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
+
+  return {
+    lattice,
+    name: BRAVAIS_NAMES[lattice] || lattice,
+    standard,
+    points: Object.entries(points).map(([label, frac]) => ({ label, frac, position: toCartesian(frac) })),
+    path,
+    zone,
+  };
+}
+
+/** "Γ–X–W–K | U–X" */
+export function formatPath(path) {
+  return path.map(branch => branch.join('–')).join(' | ');
+}
+
+
+/* ── Export ── */
+
+export const KPATH_FORMATS = {
+  vasp: { label: 'KPOINTS', fileName: () => 'KPOINTS', mime: 'text/plain' },
+  qe: { label: 'QE', fileName: id => `kpath-${id}.in`, mime: 'text/plain' },
+  wannier: { label: 'Wannier90', fileName: id => `kpath-${id}.win`, mime: 'text/plain' },
+};
+
+/** Points per Å⁻¹ along the path (no 2π) — ~18 from Γ to X in Si. */
+const PATH_DENSITY = 100;
+
+function coords(frac) {
+  return frac.map(x => x.toFixed(6).padStart(10)).join(' ');
+}
+
+/** Segments [from, to] of every branch with their Cartesian lengths. */
+function segments({ points, path }) {
+  const byLabel = Object.fromEntries(points.map(p => [p.label, p]));
+  return path.flatMap(branch => branch.slice(1).map((label, i) => {
+    const from = byLabel[branch[i]], to = byLabel[label];
+    return { from, to, length: magnitude(sub(to.position, from.position)), breakAfter: i === branch.length - 2 };
+  }));
+}
+
+function toKPOINTS(kPath, title) {
+  const segs = segments(kPath);
+  const mean = segs.reduce((s, g) => s + g.length, 0) / segs.length;
+  const label = l => (l === 'Γ' ? '\\Gamma' : l);
+  const lines = [
+    `${title} - ${kPath.name} k-path (reciprocal coordinates of the conventional cell)`,
+    String(Math.max(10, Math.round(mean * PATH_DENSITY))),
+    'Line-mode',
+    'Reciprocal',
+  ];
+  for (const { from, to } of segs) {
+    lines.push(`${coords(from.frac)}   ! ${label(from.label)}`);
+    lines.push(`${coords(to.frac)}   ! ${label(to.label)}`);
+    lines.push('');
+  }
+  return lines.join('\n');
+}
+
+function toQE(kPath, title) {
+  const segs = segments(kPath);
+  const label = l => (l === 'Γ' ? 'G' : l);
+  const rows = [];
+  segs.forEach(({ from, to, length, breakAfter }, i) => {
+    const previous = segs[i - 1];
+    if (i === 0 || previous.breakAfter) {
+      rows.push(`${coords(from.frac)} ${String(Math.max(2, Math.round(length * PATH_DENSITY))).padStart(4)}  ! ${label(from.label)}`);
+    }
+    const next = segs[i + 1];
+    // A weight of 1 jumps straight to the start of the next branch
+    const weight = !next || breakAfter ? 1 : Math.max(2, Math.round(next.length * PATH_DENSITY));
+    rows.push(`${coords(to.frac)} ${String(weight).padStart(4)}  ! ${label(to.label)}`);
+  });
+  return [
+    `! ${title} - ${kPath.name} k-path (reciprocal coordinates of the conventional cell)`,
+    'K_POINTS crystal_b',
+    String(rows.length),
+    ...rows,
+    '',
+  ].join('\n');
+}
+
+function toWannier(kPath, title) {
+  const label = l => (l === 'Γ' ? 'G' : l);
+  return [
+    `! ${title} - ${kPath.name} k-path (reciprocal coordinates of the conventional cell)`,
+    'begin kpoint_path',
+    ...segments(kPath).map(({ from, to }) =>
+      `${label(from.label).padEnd(3)}${coords(from.frac)}   ${label(to.label).padEnd(3)}${coords(to.frac)}`),
+    'end kpoint_path',
+    '',
+  ].join('\n');
+}
+
+const WRITERS = { vasp: toKPOINTS, qe: toQE, wannier: toWannier };
+
+/**
+ * Serialise a k-path for a DFT / Wannier code.
+ *
+ * @param {Object} structure - effective structure (used for the title / file name)
+ * @param {Object} kPath - from highSymmetryPath
+ * @param {string} format - key into KPATH_FORMATS
+ * @returns {{ text: string, fileName: string, mime: string }}
+ */
+export function exportKPath(structure, kPath, format) {
+  const writer = WRITERS[format];
+  if (!writer) throw new Error(`Unknown k-path format "${format}"`);
+  const id = structure.material || structure.id;
+  const { fileName, mime } = KPATH_FORMATS[format];
+  return { text: writer(kPath, structure.name), fileName: fileName(id), mime };
+}
@@ -1,19 +1,24 @@
+import { resolveCell, latticeVectors } from './unitCell';
+
 /**
  * Generates 3D atom positions for a crystal lattice.
  *
  * @param {Object} structure - Structure definition from lattices.js
  * @param {number} repeat - Number of unit cells to repeat in each direction
- * @param {number} latticeConstant - Lattice constant (Å)
- * @returns {Array} Array of {position: [x,y,z], isEdge: boolean, atomType: string|null}
+ * @param {Object|number} cell - Cell parameters {a, b, c, alpha, beta, gamma}
+ *   (partial overrides allowed), or just the lattice constant a (Å)
+ * @returns {Array} Array of {position: [x,y,z], fractional: [u,v,w], isEdge: boolean, atomType: string|null}
+ *   where `fractional` is in units of the conventional cell (0 … repeat)
  */
-export function generateLattice(structure, repeat = 2, latticeConstant = null) {
-  const a = latticeConstant || structure.defaultA;
-  const { basis, vectors, atomTypes } = structure;
+export function generateLattice(structure, repeat = 2, cell = null) {
+  const [v1, v2, v3] = latticeVectors(resolveCell(structure, cell));
+  const { basis, atomTypes } = structure;
   const atoms = [];
   const seen = new Set();
   const tolerance = 0.01;
 
-  const offset = ((repeat - 1) * a) / 2;
+  // Centre the block of cells on the origin
+  const offset = cellCentreOffset([v1, v2, v3], repeat);
 
   for (let i = 0; i < repeat; i++) {
     for (let j = 0; j < repeat; j++) {
@@ -24,18 +29,9 @@ export function generateLattice(structure, repeat = 2, latticeConstant = null) {
           const fracY = b[1] + j;
           const fracZ = b[2] + k;
 
-          const x =
-            fracX * vectors[0][0] * a +
-            fracY * vectors[1][0] * a +
-            fracZ * vectors[2][0] * a - offset;
-          const y =
-            fracX * vectors[0][1] * a +
-            fracY * vectors[1][1] * a +
-            fracZ * vectors[2][1] * a - offset;
-          const z =
-            fracX * vectors[0][2] * a +
-            fracY * vectors[1][2] * a +
-            fracZ * vectors[2][2] * a - offset;
+          const x = fracX * v1[0] + fracY * v2[0] + fracZ * v3[0] - offset[0];
+          const y = fracX * v1[1] + fracY * v2[1] + fracZ * v3[1] - offset[1];
+          const z = fracX * v1[2] + fracY * v2[2] + fracZ * v3[2] - offset[2];
 
           const atomType = atomTypes ? atomTypes[bi] : null;
           const key = `${Math.round(x / tolerance)},${Math.round(y / tolerance)},${Math.round(z / tolerance)}`;
@@ -43,6 +39,7 @@ export function generateLattice(structure, repeat = 2, latticeConstant = null) {
             seen.add(key);
             atoms.push({
               position: [x, y, z],
+              fractional: [fracX, fracY, fracZ],
               isEdge: i === 0 || j === 0 || k === 0 ||
                       i === repeat - 1 || j === repeat - 1 || k === repeat - 1,
               atomType,
@@ -55,11 +52,20 @@ export function generateLattice(structure, repeat = 2, latticeConstant = null) {
   return atoms;
 }
 
+/**
+ * Offset that centres a repeat×repeat×repeat block of lattice points on the
+ * origin — (repeat − 1)·a/2 along each axis for a cubic cell.
+ */
+export function cellCentreOffset([v1, v2, v3], repeat) {
+  const f = (repeat - 1) / 2;
+  return [0, 1, 2].map(i => f * (v1[i] + v2[i] + v3[i]));
+}
+
 /**
  * Generates bonds between nearby atoms.
  */
-export function generateBonds(atoms, structure, latticeConstant = null) {
-  const a = latticeConstant || structure.defaultA;
+export function generateBonds(atoms, structure, cell = null) {
+  const { a, c } = resolveCell(structure, cell);
   let maxBondLength;
 
   switch (structure.id) {
@@ -77,7 +83,9 @@ export function generateBonds(atoms, structure, latticeConstant = null) {
       maxBondLength = a * Math.sqrt(3) / 4 * 1.05;
       break;
     case 'hcp':
-      maxBondLength = a * 1.05;
+      // 6 in-plane neighbours at a, 6 between layers at √(a²/3 + c²/4);
+      // the two shells only coincide at the ideal c/a = √(8/3)
+      maxBondLength = Math.max(a, Math.sqrt(a * a / 3 + c * c / 4)) * 1.05;
       break;
     case 'nacl':
       maxBondLength = a * 0.5 * 1.05;
@@ -91,11 +99,14 @@ export function generateBonds(atoms, structure, latticeConstant = null) {
     case 'fluorite':
       maxBondLength = a * Math.sqrt(3) / 4 * 1.05;
       break;
-    case 'wurtzite':
-      maxBondLength = a * 1.05;
+    case 'wurtzite': {
+      // Tetrahedral bonds: 1 axial at u·c, 3 basal at √(a²/3 + (½ − u)²c²)
+      const u = structure.internal?.u ?? 3 / 8;
+      maxBondLength = Math.max(u * c, Math.sqrt(a * a / 3 + ((0.5 - u) * c) ** 2)) * 1.05;
       break;
+    }
     default:
-      maxBondLength = a * 1.05;
+      maxBondLength = a * (structure.bondLength || 1) * 1.05;
   }
 
   const bonds = [];
@@ -117,13 +128,40 @@ export function generateBonds(atoms, structure, latticeConstant = null) {
 }
 
 /**
- * Generates unit cell wireframe edges.
+ * Nearest-neighbour shell of the first basis site, searching the 3×3×3
+ * block of periodic images.
+ *
+ * @param {Array} basis - Fractional coordinates
+ * @param {Array} vectors - Lattice vectors (any length unit)
+ * @returns {{ distance: number, count: number }} distance in the units of `vectors`
  */
-export function generateUnitCell(structure, latticeConstant = null) {
-  const a = latticeConstant || structure.defaultA;
-  const { vectors } = structure;
+export function nearestNeighborShell(basis, vectors) {
+  const origin = basis[0];
+  const dists = [];
+  for (let i = -1; i <= 1; i++) {
+    for (let j = -1; j <= 1; j++) {
+      for (let k = -1; k <= 1; k++) {
+        for (const b of basis) {
+          const f = [b[0] + i - origin[0], b[1] + j - origin[1], b[2] + k - origin[2]];
+          const x = f[0] * vectors[0][0] + f[1] * vectors[1][0] + f[2] * vectors[2][0];
+          const y = f[0] * vectors[0][1] + f[1] * vectors[1][1] + f[2] * vectors[2][1];
+          const z = f[0] * vectors[0][2] + f[1] * vectors[1][2] + f[2] * vectors[2][2];
+          const d = Math.sqrt(x * x + y * y + z * z);
+          if (d > 1e-6) dists.push(d);
+        }
+      }
+    }
+  }
+  const distance = Math.min(...dists);
+  const count = dists.filter(d => d <= distance * 1.05).length;
+  return { distance, count };
+}
 
-  const v = vectors.map(vec => vec.map(c => c * a));
+/**
+ * Generates unit cell wireframe edges.
+ */
+export function generateUnitCell(structure, cell = null) {
+  const v = latticeVectors(resolveCell(structure, cell));
   const origin = [0, 0, 0];
 
   const corners = [
@@ -5,8 +5,15 @@
  * - name: Display name
  * - description: Brief scientific description
  * - basis: Fractional coordinates of atoms in the unit cell
- * - vectors: Lattice vectors (in units of lattice constant a)
+ * - crystalSystem: Key into CRYSTAL_SYSTEMS (unitCell.js); decides which
+ *   cell parameters are free and how the rest are constrained
  * - defaultA: Default lattice constant in Angstroms
+ * - bOverA / cOverA: Default axial ratios (omit for 1)
+ * - alpha / beta / gamma: Default cell angles in degrees (omit for the
+ *   crystal-system default)
+ * - internalParameters / buildBasis: Optional free positional parameters
+ *   (e.g. wurtzite u) — { key: { label, default, min, max, step } } and a
+ *   function mapping resolved values to a basis (see applyInternalParameters)
  * - properties: Key physical properties
  * - color: Primary atom color (hex)
  * - examples: Real-world materials with this structure
@@ -14,6 +21,10 @@
  * Multi-atom structures also define:
  * - atomTypes: Array parallel to basis, naming the species at each site
  * - secondaryColor / tertiaryColor: Colors for 2nd/3rd species
+ *
+ * Structures imported at runtime (see cifParser.js) additionally carry:
+ * - bondLength: Nearest-neighbour distance (in units of a) for bond drawing
+ * - imported: true
  */
 
 /**
@@ -30,6 +41,47 @@ export const ATOMIC_RADII = {
   // For display we keep all positive
 };
 
+/**
+ * Standard atomic weights (g/mol), for cell masses and densities.
+ * Source: IUPAC, Pure Appl. Chem. 94, 573 (2022) — conventional values.
+ */
+export const ATOMIC_MASSES = {
+  H: 1.008, Li: 6.94, Be: 9.012, B: 10.81, C: 12.011, N: 14.007, O: 15.999, F: 18.998,
+  Na: 22.990, Mg: 24.305, Al: 26.982, Si: 28.085, P: 30.974, S: 32.06, Cl: 35.45,
+  K: 39.098, Ca: 40.078, Sc: 44.956, Ti: 47.867, V: 50.942, Cr: 51.996, Mn: 54.938,
+  Fe: 55.845, Co: 58.933, Ni: 58.693, Cu: 63.546, Zn: 65.38, Ga: 69.723, Ge: 72.630,
+  As: 74.922, Se: 78.971, Br: 79.904, Rb: 85.468, Sr: 87.62, Zr: 91.224, Nb: 92.906,
+  Mo: 95.95, Pd: 106.42, Ag: 107.868, Cd: 112.414, In: 114.818, Sn: 118.710,
+  Sb: 121.760, Te: 127.60, I: 126.904, Cs: 132.905, Ba: 137.327, Ta: 180.948,
+  W: 183.84, Pt: 195.084, Au: 196.967, Tl: 204.38, Pb: 207.2, Bi: 208.980,
+  Po: 209, Th: 232.038, U: 238.029,
+};
+
+/**
+ * Debye temperatures Θ_D (K) of the elemental solids, for Debye–Waller
+ * factors of sites whose structure has no material Θ_D of its own.
+ * Source: Kittel, "Introduction to Solid State Physics" (8th ed.), Table 5.1.
+ */
+export const DEBYE_TEMPERATURES = {
+  Li: 344, Be: 1440, C: 2230, Na: 158, Mg: 400, Al: 428, Si: 645, K: 91, Ca: 230,
+  Sc: 360, Ti: 420, V: 380, Cr: 630, Mn: 410, Fe: 470, Co: 445, Ni: 450, Cu: 343,
+  Zn: 327, Ga: 320, Ge: 374, As: 282, Se: 90, Rb: 56, Sr: 147, Zr: 291, Nb: 275,
+  Mo: 450, Pd: 274, Ag: 225, Cd: 209, In: 108, Sn: 200, Sb: 211, Te: 153, Cs: 38,
+  Ba: 110, Ta: 240, W: 400, Pt: 240, Au: 165, Tl: 78.5, Pb: 105, Bi: 119, Po: 81,
+  Th: 163, U: 207,
+};
+
+function wurtziteBasis({ u }) {
+  return [
+    // Zn sites
+    [0, 0, 0],
+    [1 / 3, 2 / 3, 0.5],
+    // S sites (offset by u·c)
+    [0, 0, u],
+    [1 / 3, 2 / 3, 0.5 + u],
+  ];
+}
+
 export const STRUCTURES = {
   sc: {
     id: 'sc',
@@ -39,11 +91,7 @@ export const STRUCTURES = {
     basis: [
       [0, 0, 0],
     ],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 3.34,
     coordinationNumber: 6,
     packingFraction: 0.524,
@@ -61,11 +109,7 @@ export const STRUCTURES = {
       [0, 0, 0],
       [0.5, 0.5, 0.5],
     ],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 2.87,
     coordinationNumber: 8,
     packingFraction: 0.680,
@@ -85,11 +129,7 @@ export const STRUCTURES = {
       [0.5, 0, 0.5],
       [0, 0.5, 0.5],
     ],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 3.61,
     coordinationNumber: 12,
     packingFraction: 0.740,
@@ -113,11 +153,7 @@ export const STRUCTURES = {
       [0.75, 0.25, 0.75],
       [0.25, 0.75, 0.75],
     ],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 5.43,
     coordinationNumber: 4,
     packingFraction: 0.340,
@@ -135,11 +171,8 @@ export const STRUCTURES = {
       [0, 0, 0],
       [1 / 3, 2 / 3, 0.5],
     ],
-    vectors: [
-      [1, 0, 0],
-      [0.5, Math.sqrt(3) / 2, 0],
-      [0, 0, Math.sqrt(8 / 3)],
-    ],
+    crystalSystem: 'hexagonal',
+    cOverA: Math.sqrt(8 / 3),
     defaultA: 3.21,
     coordinationNumber: 12,
     packingFraction: 0.740,
@@ -166,11 +199,7 @@ export const STRUCTURES = {
       [0.5, 0.5, 0.5],
     ],
     atomTypes: ['Na', 'Na', 'Na', 'Na', 'Cl', 'Cl', 'Cl', 'Cl'],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 5.64,
     coordinationNumber: 6,
     packingFraction: 0.673,
@@ -190,11 +219,7 @@ export const STRUCTURES = {
       [0.5, 0.5, 0.5], // Cl
     ],
     atomTypes: ['Cs', 'Cl'],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 4.12,
     coordinationNumber: 8,
     packingFraction: 0.729,
@@ -222,11 +247,7 @@ export const STRUCTURES = {
       [0.25, 0.75, 0.75],
     ],
     atomTypes: ['Zn', 'Zn', 'Zn', 'Zn', 'S', 'S', 'S', 'S'],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 5.41,
     coordinationNumber: 4,
     packingFraction: 0.340,
@@ -252,11 +273,7 @@ export const STRUCTURES = {
       [0, 0.5, 0.5],
     ],
     atomTypes: ['Ba', 'Ti', 'O', 'O', 'O'],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 4.01,
     coordinationNumber: 6,
     packingFraction: 0.524,
@@ -288,11 +305,7 @@ export const STRUCTURES = {
       [0.25, 0.75, 0.25],
     ],
     atomTypes: ['Ca', 'Ca', 'Ca', 'Ca', 'F', 'F', 'F', 'F', 'F', 'F', 'F', 'F'],
-    vectors: [
-      [1, 0, 0],
-      [0, 1, 0],
-      [0, 0, 1],
-    ],
+    crystalSystem: 'cubic',
     defaultA: 5.46,
     coordinationNumber: 8,
     packingFraction: 0.624,
@@ -307,20 +320,15 @@ export const STRUCTURES = {
     name: 'Wurtzite (ZnS)',
     abbrev: 'Wz',
     description: 'Hexagonal analogue of zinc blende. Two interpenetrating HCP sublattices with tetrahedral coordination. Foundation of III-nitride semiconductors (GaN, AlN).',
-    basis: [
-      // Zn sites
-      [0, 0, 0],
-      [1 / 3, 2 / 3, 0.5],
-      // S sites (offset by ~3/8 c)
-      [0, 0, 3 / 8],
-      [1 / 3, 2 / 3, 7 / 8],
-    ],
+    basis: wurtziteBasis({ u: 3 / 8 }),
+    // S sites sit u·c above Zn; u = 3/8 is ideal for c/a = √(8/3)
+    internalParameters: {
+      u: { label: 'Internal u', default: 3 / 8, min: 0.34, max: 0.41, step: 0.001 },
+    },
+    buildBasis: wurtziteBasis,
     atomTypes: ['Zn', 'Zn', 'S', 'S'],
-    vectors: [
-      [1, 0, 0],
-      [0.5, Math.sqrt(3) / 2, 0],
-      [0, 0, Math.sqrt(8 / 3)],
-    ],
+    crystalSystem: 'hexagonal',
+    cOverA: Math.sqrt(8 / 3),
     defaultA: 3.82,
     coordinationNumber: 4,
     packingFraction: 0.340,
@@ -336,3 +344,40 @@ export const STRUCTURE_ORDER = [
   'nacl', 'cscl', 'zincblende', 'fluorite', 'perovskite',
   'wurtzite',
 ];
+
+/**
+ * Register a runtime structure (e.g. from a CIF import) so it appears in
+ * the structure grid.  An id already taken (a built-in, or an earlier
+ * import such as another polymorph of the same formula) gets a numeric
+ * suffix, so no entry is ever replaced.
+ *
+ * @param {Object} structure - Structure definition in the shape above
+ * @returns {string} the id under which it was registered
+ */
+export function registerStructure(structure) {
+  let id = structure.id;
+  for (let n = 2; STRUCTURES[id]; n++) {
+    id = `${structure.id}-${n}`;
+  }
+  STRUCTURES[id] = { ...structure, id };
+  if (!STRUCTURE_ORDER.includes(id)) STRUCTURE_ORDER.push(id);
+  return id;
+}
+
+/**
+ * Resolve a structure's internal positional parameters and rebuild its
+ * basis from them.  Returns the structure unchanged if it has none, so the
+ * result can be passed anywhere a STRUCTURES entry is expected.
+ *
+ * @param {Object} structure - Structure definition
+ * @param {Object} [overrides] - e.g. { u: 0.382 }
+ * @returns {Object} structure with `internal` (resolved values) and `basis`
+ */
+export function applyInternalParameters(structure, overrides = {}) {
+  if (!structure.internalParameters) return structure;
+  const internal = {};
+  for (const [key, spec] of Object.entries(structure.internalParameters)) {
+    internal[key] = overrides[key] ?? spec.default;
+  }
+  return { ...structure, internal, basis: structure.buildBasis(internal) };
+}
@@ -0,0 +1,211 @@
+/**
+ * Point-Group and Laue Symmetry of a Structure
+ *
+ * The rotational symmetry is derived from the structure itself rather than
+ * tabulated per lattice type.  A candidate operation is an integer matrix R
+ * (entries −1, 0, 1, det ±1) acting on fractional coordinates that preserves
+ * the metric, RᵀGR = G — a symmetry of the bare lattice.  R belongs to the
+ * point group if some translation t maps every site onto a site of the same
+ * species, R·x + t ≡ x′ (mod 1).
+ *
+ * Since F(h) = exp(2πi h·t) F(Rᵀh), reflections related by Rᵀ share |F|²
+ * and d.  Adding the inversion (Friedel's law) gives the Laue class, the
+ * symmetry of a powder pattern: each orbit of (hkl) under it is one
+ * reflection family, and its size is the multiplicity.  Families that are
+ * not related by symmetry, such as {333} and {511} in a cubic cell, stay
+ * separate even when their d-spacings coincide.
+ *
+ * References:
+ *  - International Tables for Crystallography Vol. A (2016), §3.2
+ *  - Giacovazzo et al., "Fundamentals of Crystallography" (2011), ch. 3
+ */
+
+import { resolveCell, latticeVectors } from './unitCell';
+import { dot } from './vectorMath';
+
+/** Relative tolerance on the metric tensor. */
+const METRIC_TOLERANCE = 1e-4;
+
+/** Fractional-coordinate tolerance when matching sites. */
+const POSITION_TOLERANCE = 2e-3;
+
+/**
+ * Laue class symbols by group order; orders shared by two classes are told
+ * apart by the highest rotation present.
+ */
+function laueSymbol(operations) {
+  // Trace of the proper part: 3 → 1-fold, −1 → 2, 0 → 3, 1 → 4, 2 → 6
+  const traces = operations.map(R => {
+    const t = R[0][0] + R[1][1] + R[2][2];
+    return determinant(R) > 0 ? t : -t;
+  });
+  const has6 = traces.includes(2);
+  const has4 = traces.includes(1);
+  switch (operations.length) {
+    case 2: return '1̄';
+    case 4: return '2/m';
+    case 6: return '3̄';
+    case 8: return has4 ? '4/m' : 'mmm';
+    case 12: return has6 ? '6/m' : '3̄m';
+    case 16: return '4/mmm';
+    case 24: return has6 ? '6/mmm' : 'm3̄';
+    case 48: return 'm3̄m';
+    default: return '?';
+  }
+}
+
+function determinant(R) {
+  return R[0][0] * (R[1][1] * R[2][2] - R[1][2] * R[2][1])
+    - R[0][1] * (R[1][0] * R[2][2] - R[1][2] * R[2][0])
+    + R[0][2] * (R[1][0] * R[2][1] - R[1][1] * R[2][0]);
+}
+
+function apply(R, x) {
+  return [0, 1, 2].map(i => R[i][0] * x[0] + R[i][1] * x[1] + R[i][2] * x[2]);
+}
+
+/** Every 3×3 matrix with entries −1, 0, 1 and det ±1 (built on first use). */
+let unimodular = null;
+
+function unimodularMatrices() {
+  if (unimodular) return unimodular;
+  unimodular = [];
+  for (let n = 0; n < 3 ** 9; n++) {
+    const R = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let i = 0, m = n; i < 9; i++, m = Math.floor(m / 3)) R[Math.floor(i / 3)][i % 3] = (m % 3) - 1;
+    if (Math.abs(determinant(R)) === 1) unimodular.push(R);
+  }
+  return unimodular;
+}
+
+/** Integer matrices that leave the metric tensor unchanged (the holohedry). */
+function latticeOperations(cell) {
+  const a = latticeVectors(cell);
+  const G = a.map(u => a.map(v => dot(u, v)));
+  const tol = METRIC_TOLERANCE * Math.max(G[0][0], G[1][1], G[2][2]);
+  const ops = [];
+
+  for (const R of unimodularMatrices()) {
+    // (RᵀGR)ᵢⱼ = Σ Rₖᵢ Gₖₗ Rₗⱼ
+    let preserved = true;
+    for (let i = 0; i < 3 && preserved; i++) {
+      for (let j = i; j < 3 && preserved; j++) {
+        let g = 0;
+        for (let k = 0; k < 3; k++) {
+          for (let l = 0; l < 3; l++) g += R[k][i] * G[k][l] * R[l][j];
+        }
+        preserved = Math.abs(g - G[i][j]) <= tol;
+      }
+    }
+    if (preserved) ops.push(R);
+  }
+  return ops;
+}
+
+/** Whether R (with some translation) maps the sites onto themselves. */
+function preservesSites(R, sites) {
+  const wrapped = d => d - Math.round(d);
+  const matches = (x, site) => x.species === site.species &&
+    x.pos.every((v, i) => Math.abs(wrapped(v - site.pos[i])) < POSITION_TOLERANCE);
+
+  const first = apply(R, sites[0].pos);
+  for (const target of sites) {
+    if (target.species !== sites[0].species) continue;
+    const t = target.pos.map((v, i) => v - first[i]);
+    const mapsAll = sites.every(site => {
+      const moved = { species: site.species, pos: apply(R, site.pos).map((v, i) => v + t[i]) };
+      return sites.some(other => matches(moved, other));
+    });
+    if (mapsAll) return true;
+  }
+  return false;
+}
+
+/**
+ * Per structure object: the last group with the cell it was built for, and
+ * which operations preserve the sites (independent of the cell, so a
+ * cell-slider drag only repeats the cheap metric test).
+ */
+const cache = new WeakMap();
+
+/**
+ * Laue group of a structure in its current cell.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} [cell] - cell parameters (partial overrides allowed)
+ * @returns {{ operations: number[][][], pointGroupOrder: number, symbol: string }}
+ *   operations act on fractional coordinates; pointGroupOrder counts those
+ *   that hold without the added inversion
+ */
+export function laueGroup(structure, cell = {}) {
+  const resolved = resolveCell(structure, cell);
+  const key = ['a', 'b', 'c', 'alpha', 'beta', 'gamma'].map(p => resolved[p]).join(',');
+  const entry = cache.get(structure) || { key: null, group: null, preserved: new Map() };
+  if (entry.key === key) return entry.group;
+
+  const species = structure.atomTypes || structure.basis.map(() => 'X');
+  const sites = structure.basis.map((pos, i) => ({ pos, species: species[i] }));
+  const keyOf = R => R.flat().join(',');
+  const pointGroup = latticeOperations(resolved).filter(R => {
+    const k = keyOf(R);
+    if (!entry.preserved.has(k)) entry.preserved.set(k, preservesSites(R, sites));
+    return entry.preserved.get(k);
+  });
+
+  // Close under inversion
+  const operations = [...pointGroup];
+  const present = new Set(pointGroup.map(keyOf));
+  for (const R of pointGroup) {
+    const inverted = R.map(row => row.map(v => -v || 0));
+    if (!present.has(keyOf(inverted))) {
+      present.add(keyOf(inverted));
+      operations.push(inverted);
+    }
+  }
+
+  const group = { operations, pointGroupOrder: pointGroup.length, symbol: laueSymbol(operations) };
+  cache.set(structure, { ...entry, key, group });
+  return group;
+}
+
+/**
+ * Prefer fewest negative indices, then the lexicographically largest
+ * triple — (hkl) with h ≥ k ≥ l ≥ 0 where the symmetry allows it.
+ */
+function isBetterLabel(candidate, current) {
+  const negatives = ([h, k, l]) => (h < 0) + (k < 0) + (l < 0);
+  const dn = negatives(candidate) - negatives(current);
+  if (dn !== 0) return dn < 0;
+  for (let i = 0; i < 3; i++) {
+    if (candidate[i] !== current[i]) return candidate[i] > current[i];
+  }
+  return false;
+}
+
+/**
+ * Members of the family {hkl}: the orbit of (hkl) under the Laue group,
+ * h′ = Rᵀh.
+ *
+ * @param {number[]} hkl
+ * @param {number[][][]} operations - from laueGroup
+ * @returns {{ representative: number[], members: number[][] }} representative
+ *   is the member used as the family's label
+ */
+export function reflectionFamily([h, k, l], operations) {
+  const seen = new Set();
+  const members = [];
+  let representative = null;
+  for (const R of operations) {
+    // "|| 0" keeps −0 out of the labels
+    const mh = (R[0][0] * h + R[1][0] * k + R[2][0] * l) || 0;
+    const mk = (R[0][1] * h + R[1][1] * k + R[2][1] * l) || 0;
+    const ml = (R[0][2] * h + R[1][2] * k + R[2][2] * l) || 0;
+    const key = ((mh + 512) * 1024 + (mk + 512)) * 1024 + (ml + 512);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    const m = [mh, mk, ml];
+    members.push(m);
+    if (!representative || isBetterLabel(m, representative)) representative = m;
+  }
+  return { representative, members };
+}
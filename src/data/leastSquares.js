@@ -0,0 +1,41 @@
+/**
+ * Small dense linear algebra for the least-squares fitters
+ * (refinement.js, williamsonHall.js).
+ */
+
+/** Solve A·x = b (Gaussian elimination, partial pivoting). Returns null if singular. */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < n; r++) {
+      if (Math.abs(M[r][col]) > Math.abs(M[pivot][col])) pivot = r;
+    }
+    if (Math.abs(M[pivot][col]) < 1e-300) return null;
+    [M[col], M[pivot]] = [M[pivot], M[col]];
+    for (let r = col + 1; r < n; r++) {
+      const f = M[r][col] / M[col][col];
+      for (let c = col; c <= n; c++) M[r][c] -= f * M[col][c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = M[r][n];
+    for (let c = r + 1; c < n; c++) sum -= M[r][c] * x[c];
+    x[r] = sum / M[r][r];
+  }
+  return x;
+}
+
+/** Inverse of a small square matrix, or null if singular. */
+export function invertMatrix(A) {
+  const n = A.length;
+  const columns = [];
+  for (let j = 0; j < n; j++) {
+    const col = solveLinear(A, A.map((_, i) => (i === j ? 1 : 0)));
+    if (!col) return null;
+    columns.push(col);
+  }
+  return A.map((_, i) => columns.map(col => col[i]));
+}
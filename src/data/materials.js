@@ -0,0 +1,142 @@
+/**
+ * Materials Database
+ *
+ * Real materials keyed by formula (with a polytype suffix where one formula
+ * appears in more than one prototype, e.g. ZnS / ZnS-2H).  Each entry names
+ * the prototype structure from lattices.js and the experimental data needed
+ * to turn that prototype into the material:
+ *
+ * - prototype: Key into STRUCTURES
+ * - a / c: Room-temperature lattice parameters (Å); c only for hexagonal
+ * - internal: Internal positional parameters (e.g. wurtzite u)
+ * - species: Element on each distinct prototype site, in the order the
+ *   prototype's atomTypes first list them (one entry for elemental prototypes)
+ * - debyeTemperature: Debye temperature θ_D (K)
+ * - radii: Display radii (Å) per species — metallic radii for elements,
+ *   Shannon ionic radii for ionic compounds, tetrahedral covalent radii for
+ *   zincblende / wurtzite semiconductors
+ *
+ * Sources: Wyckoff, "Crystal Structures" (1963); Kittel, "Introduction to
+ * Solid State Physics" (8th ed.), Tables 1.3 & 5.1; Shannon, Acta Cryst.
+ * A32, 751 (1976); Madelung, "Semiconductors: Data Handbook" (2004).
+ */
+
+export const MATERIALS = {
+  // Simple cubic
+  Po: { name: 'Polonium (α-Po)', prototype: 'sc', a: 3.359, species: ['Po'], debyeTemperature: 81, radii: { Po: 1.68 } },
+
+  // Body-centred cubic
+  Fe: { name: 'Iron (α-Fe)', prototype: 'bcc', a: 2.8665, species: ['Fe'], debyeTemperature: 470, radii: { Fe: 1.26 } },
+  W:  { name: 'Tungsten', prototype: 'bcc', a: 3.1652, species: ['W'], debyeTemperature: 400, radii: { W: 1.39 } },
+  Cr: { name: 'Chromium', prototype: 'bcc', a: 2.8839, species: ['Cr'], debyeTemperature: 630, radii: { Cr: 1.29 } },
+  Mo: { name: 'Molybdenum', prototype: 'bcc', a: 3.1470, species: ['Mo'], debyeTemperature: 450, radii: { Mo: 1.39 } },
+  V:  { name: 'Vanadium', prototype: 'bcc', a: 3.0240, species: ['V'], debyeTemperature: 380, radii: { V: 1.34 } },
+  Nb: { name: 'Niobium', prototype: 'bcc', a: 3.3004, species: ['Nb'], debyeTemperature: 275, radii: { Nb: 1.46 } },
+  Ta: { name: 'Tantalum', prototype: 'bcc', a: 3.3013, species: ['Ta'], debyeTemperature: 240, radii: { Ta: 1.46 } },
+  Na: { name: 'Sodium', prototype: 'bcc', a: 4.2906, species: ['Na'], debyeTemperature: 158, radii: { Na: 1.86 } },
+  K:  { name: 'Potassium', prototype: 'bcc', a: 5.328, species: ['K'], debyeTemperature: 91, radii: { K: 2.27 } },
+  Li: { name: 'Lithium', prototype: 'bcc', a: 3.5093, species: ['Li'], debyeTemperature: 344, radii: { Li: 1.52 } },
+
+  // Face-centred cubic
+  Cu: { name: 'Copper', prototype: 'fcc', a: 3.6149, species: ['Cu'], debyeTemperature: 343, radii: { Cu: 1.28 } },
+  Al: { name: 'Aluminum', prototype: 'fcc', a: 4.0495, species: ['Al'], debyeTemperature: 428, radii: { Al: 1.43 } },
+  Au: { name: 'Gold', prototype: 'fcc', a: 4.0782, species: ['Au'], debyeTemperature: 165, radii: { Au: 1.44 } },
+  Ag: { name: 'Silver', prototype: 'fcc', a: 4.0853, species: ['Ag'], debyeTemperature: 225, radii: { Ag: 1.44 } },
+  Ni: { name: 'Nickel', prototype: 'fcc', a: 3.5240, species: ['Ni'], debyeTemperature: 450, radii: { Ni: 1.24 } },
+  Pt: { name: 'Platinum', prototype: 'fcc', a: 3.9242, species: ['Pt'], debyeTemperature: 240, radii: { Pt: 1.39 } },
+  Pd: { name: 'Palladium', prototype: 'fcc', a: 3.8907, species: ['Pd'], debyeTemperature: 274, radii: { Pd: 1.37 } },
+  Pb: { name: 'Lead', prototype: 'fcc', a: 4.9508, species: ['Pb'], debyeTemperature: 105, radii: { Pb: 1.75 } },
+
+  // Diamond cubic
+  Si: { name: 'Silicon', prototype: 'diamond', a: 5.4310, species: ['Si'], debyeTemperature: 645, radii: { Si: 1.17 } },
+  Ge: { name: 'Germanium', prototype: 'diamond', a: 5.6579, species: ['Ge'], debyeTemperature: 374, radii: { Ge: 1.22 } },
+  C:  { name: 'Diamond', prototype: 'diamond', a: 3.5668, species: ['C'], debyeTemperature: 2230, radii: { C: 0.77 } },
+  Sn: { name: 'Tin (α-Sn)', prototype: 'diamond', a: 6.4892, species: ['Sn'], debyeTemperature: 200, radii: { Sn: 1.40 } },
+
+  // Hexagonal close-packed
+  Ti: { name: 'Titanium', prototype: 'hcp', a: 2.9508, c: 4.6855, species: ['Ti'], debyeTemperature: 420, radii: { Ti: 1.47 } },
+  Mg: { name: 'Magnesium', prototype: 'hcp', a: 3.2094, c: 5.2108, species: ['Mg'], debyeTemperature: 400, radii: { Mg: 1.60 } },
+  Zn: { name: 'Zinc', prototype: 'hcp', a: 2.6649, c: 4.9468, species: ['Zn'], debyeTemperature: 327, radii: { Zn: 1.34 } },
+  Co: { name: 'Cobalt', prototype: 'hcp', a: 2.5071, c: 4.0695, species: ['Co'], debyeTemperature: 445, radii: { Co: 1.25 } },
+  Zr: { name: 'Zirconium', prototype: 'hcp', a: 3.2316, c: 5.1475, species: ['Zr'], debyeTemperature: 291, radii: { Zr: 1.60 } },
+  Cd: { name: 'Cadmium', prototype: 'hcp', a: 2.9793, c: 5.6181, species: ['Cd'], debyeTemperature: 209, radii: { Cd: 1.51 } },
+  Be: { name: 'Beryllium', prototype: 'hcp', a: 2.2858, c: 3.5843, species: ['Be'], debyeTemperature: 1440, radii: { Be: 1.12 } },
+
+  // Rock salt
+  NaCl: { name: 'Halite', prototype: 'nacl', a: 5.6402, species: ['Na', 'Cl'], debyeTemperature: 321, radii: { Na: 1.02, Cl: 1.81 } },
+  KCl:  { name: 'Sylvite', prototype: 'nacl', a: 6.2931, species: ['K', 'Cl'], debyeTemperature: 235, radii: { K: 1.38, Cl: 1.81 } },
+  MgO:  { name: 'Periclase', prototype: 'nacl', a: 4.2112, species: ['Mg', 'O'], debyeTemperature: 946, radii: { Mg: 0.72, O: 1.40 } },
+  LiF:  { name: 'Lithium fluoride', prototype: 'nacl', a: 4.0270, species: ['Li', 'F'], debyeTemperature: 732, radii: { Li: 0.76, F: 1.33 } },
+  CaO:  { name: 'Lime', prototype: 'nacl', a: 4.8105, species: ['Ca', 'O'], debyeTemperature: 648, radii: { Ca: 1.00, O: 1.40 } },
+
+  // Cesium chloride
+  CsCl: { name: 'Cesium chloride', prototype: 'cscl', a: 4.123, species: ['Cs', 'Cl'], debyeTemperature: 175, radii: { Cs: 1.74, Cl: 1.81 } },
+  CsBr: { name: 'Cesium bromide', prototype: 'cscl', a: 4.286, species: ['Cs', 'Br'], debyeTemperature: 137, radii: { Cs: 1.74, Br: 1.96 } },
+  CsI:  { name: 'Cesium iodide', prototype: 'cscl', a: 4.567, species: ['Cs', 'I'], debyeTemperature: 125, radii: { Cs: 1.74, I: 2.20 } },
+
+  // Zincblende
+  ZnS:  { name: 'Sphalerite', prototype: 'zincblende', a: 5.4093, species: ['Zn', 'S'], debyeTemperature: 352, radii: { Zn: 1.31, S: 1.04 } },
+  GaAs: { name: 'Gallium arsenide', prototype: 'zincblende', a: 5.6533, species: ['Ga', 'As'], debyeTemperature: 344, radii: { Ga: 1.26, As: 1.18 } },
+  InP:  { name: 'Indium phosphide', prototype: 'zincblende', a: 5.8687, species: ['In', 'P'], debyeTemperature: 425, radii: { In: 1.44, P: 1.10 } },
+  SiC:  { name: 'Silicon carbide (3C)', prototype: 'zincblende', a: 4.3596, species: ['Si', 'C'], debyeTemperature: 1200, radii: { Si: 1.17, C: 0.77 } },
+
+  // Perovskite
+  SrTiO3: { name: 'Strontium titanate', prototype: 'perovskite', a: 3.9053, species: ['Sr', 'Ti', 'O'], debyeTemperature: 513, radii: { Sr: 1.44, Ti: 0.605, O: 1.40 } },
+  BaTiO3: { name: 'Barium titanate (cubic)', prototype: 'perovskite', a: 4.0060, species: ['Ba', 'Ti', 'O'], debyeTemperature: 430, radii: { Ba: 1.61, Ti: 0.605, O: 1.40 } },
+
+  // Fluorite
+  CaF2: { name: 'Fluorite', prototype: 'fluorite', a: 5.4626, species: ['Ca', 'F'], debyeTemperature: 510, radii: { Ca: 1.12, F: 1.31 } },
+  SrF2: { name: 'Strontium fluoride', prototype: 'fluorite', a: 5.7996, species: ['Sr', 'F'], debyeTemperature: 378, radii: { Sr: 1.26, F: 1.31 } },
+  BaF2: { name: 'Barium fluoride', prototype: 'fluorite', a: 6.2001, species: ['Ba', 'F'], debyeTemperature: 282, radii: { Ba: 1.42, F: 1.31 } },
+  UO2:  { name: 'Uraninite', prototype: 'fluorite', a: 5.4704, species: ['U', 'O'], debyeTemperature: 395, radii: { U: 1.00, O: 1.38 } },
+  ThO2: { name: 'Thorianite', prototype: 'fluorite', a: 5.5997, species: ['Th', 'O'], debyeTemperature: 415, radii: { Th: 1.05, O: 1.38 } },
+
+  // Wurtzite
+  'ZnS-2H': { name: 'Wurtzite (ZnS)', prototype: 'wurtzite', a: 3.8227, c: 6.2607, internal: { u: 0.375 }, species: ['Zn', 'S'], debyeTemperature: 350, radii: { Zn: 1.31, S: 1.04 } },
+  ZnO: { name: 'Zincite', prototype: 'wurtzite', a: 3.2498, c: 5.2066, internal: { u: 0.3819 }, species: ['Zn', 'O'], debyeTemperature: 416, radii: { Zn: 1.31, O: 0.66 } },
+  GaN: { name: 'Gallium nitride', prototype: 'wurtzite', a: 3.1890, c: 5.1850, internal: { u: 0.377 }, species: ['Ga', 'N'], debyeTemperature: 600, radii: { Ga: 1.26, N: 0.70 } },
+  AlN: { name: 'Aluminum nitride', prototype: 'wurtzite', a: 3.1120, c: 4.9820, internal: { u: 0.382 }, species: ['Al', 'N'], debyeTemperature: 950, radii: { Al: 1.26, N: 0.70 } },
+  CdS: { name: 'Greenockite', prototype: 'wurtzite', a: 4.1367, c: 6.7161, internal: { u: 0.3775 }, species: ['Cd', 'S'], debyeTemperature: 219, radii: { Cd: 1.48, S: 1.04 } },
+};
+
+/** Formulas of the materials built on a given prototype, in database order. */
+export function materialsForStructure(structureId) {
+  return Object.keys(MATERIALS).filter(formula => MATERIALS[formula].prototype === structureId);
+}
+
+/**
+ * Specialise a prototype structure to a material: its lattice parameters
+ * and internal parameters become the structure defaults (so sliders centre
+ * on, and reset to, the experimental values) and its species replace the
+ * prototype's atomTypes.
+ *
+ * @param {Object} structure - Prototype from STRUCTURES
+ * @param {string|null} formula - Key into MATERIALS (null returns structure unchanged)
+ * @returns {Object} structure with `material`, `radii` and `debyeTemperature`
+ */
+export function applyMaterial(structure, formula) {
+  const material = formula && MATERIALS[formula];
+  if (!material || material.prototype !== structure.id) return structure;
+
+  const prototypeSpecies = structure.atomTypes ? [...new Set(structure.atomTypes)] : [null];
+  const speciesFor = new Map(prototypeSpecies.map((el, i) => [el, material.species[i]]));
+  const atomTypes = structure.atomTypes
+    ? structure.atomTypes.map(el => speciesFor.get(el))
+    : structure.basis.map(() => material.species[0]);
+
+  const internalParameters = structure.internalParameters && Object.fromEntries(
+    Object.entries(structure.internalParameters).map(([key, spec]) =>
+      [key, { ...spec, default: material.internal?.[key] ?? spec.default }])
+  );
+
+  return {
+    ...structure,
+    defaultA: material.a,
+    ...(material.c && { cOverA: material.c / material.a }),
+    ...(internalParameters && { internalParameters }),
+    atomTypes,
+    material: formula,
+    radii: material.radii,
+    debyeTemperature: material.debyeTemperature,
+  };
+}
@@ -7,22 +7,15 @@
  */
 
 import { cross, dot, scale, add, magnitude, normalize } from './vectorMath';
+import { latticeVectors, reciprocalVectors } from './unitCell';
 
 /**
  * Compute plane normal and d-spacing for given Miller indices.
- * Works for any lattice vector system (cubic, hexagonal, etc.)
+ * Works for any crystal system — the reciprocal vectors are built from
+ * the full cell {a, b, c, alpha, beta, gamma} (see resolveCell).
  */
-export function computePlane(h, k, l, vectors, a) {
-  const a1 = scale(vectors[0], a);
-  const a2 = scale(vectors[1], a);
-  const a3 = scale(vectors[2], a);
-
-  const a2xa3 = cross(a2, a3);
-  const vol = dot(a1, a2xa3);
-
-  const b1 = scale(cross(a2, a3), 1 / vol);
-  const b2 = scale(cross(a3, a1), 1 / vol);
-  const b3 = scale(cross(a1, a2), 1 / vol);
+export function computePlane(h, k, l, cell) {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(cell));
 
   const G = add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
   const Gmag = magnitude(G);
@@ -32,6 +25,47 @@ export function computePlane(h, k, l, vectors, a) {
   return { planeNormal, dSpacing, G };
 }
 
+/**
+ * Real-space vector (Å) of the direction [uvw] = u·a₁ + v·a₂ + w·a₃; its
+ * length is the lattice repeat along the direction.
+ */
+export function directionVector([u, v, w], cell) {
+  const [a1, a2, a3] = latticeVectors(cell);
+  return add(add(scale(a1, u), scale(a2, v)), scale(a3, w));
+}
+
+/**
+ * Angle (degrees, 0–180) between two planes, two directions, or a plane
+ * and a direction.  Planes enter through their normal G = h·b₁ + k·b₂ + l·b₃
+ * and directions through u·a₁ + v·a₂ + w·a₃, so the metric of any crystal
+ * system is respected.  For a plane and a direction this is the angle to
+ * the plane normal: 90° means the direction lies in the plane.
+ *
+ * @param {{ kind: 'plane'|'direction', indices: number[] }} first - three-index form
+ * @param {{ kind: 'plane'|'direction', indices: number[] }} second
+ * @param {Object} cell - full cell parameters
+ * @returns {number|null} null if either is the zero vector
+ */
+export function angleBetween(first, second, cell) {
+  const vectorOf = ({ kind, indices }) =>
+    (kind === 'plane' ? computePlane(...indices, cell).G : directionVector(indices, cell));
+  const p = vectorOf(first), q = vectorOf(second);
+  const norm = magnitude(p) * magnitude(q);
+  if (norm < 1e-12) return null;
+  return Math.acos(Math.max(-1, Math.min(1, dot(p, q) / norm))) * 180 / Math.PI;
+}
+
+/**
+ * Zone axis of two planes: the direction [uvw] common to both, the index
+ * cross product (h₁k₁l₁) × (h₂k₂l₂) in lowest terms (valid in any system,
+ * since b₁ × b₂ ∝ a₃ and cyclically).
+ * @returns {number[]|null} null for parallel planes
+ */
+export function zoneAxis([h1, k1, l1], [h2, k2, l2]) {
+  const axis = [k1 * l2 - l1 * k2, l1 * h2 - h1 * l2, h1 * k2 - k1 * h2];
+  return axis.every(x => x === 0) ? null : reduced(axis);
+}
+
 /**
  * Signed distance from a point to the Miller plane.
  */
@@ -135,6 +169,67 @@ function intersectEdgePlane(a, b, normal, d) {
   ];
 }
 
+/* ── Miller–Bravais (four-index) notation ── */
+
+/**
+ * Hexagonal cells are conventionally indexed with four indices on the axes
+ * a₁, a₂, a₃ = −(a₁ + a₂) and c, which makes symmetry-equivalent planes
+ * and directions look alike: (10-10), (01-10) and (-1100) are all prism
+ * planes.  For planes the third index is just i = −(h + k); directions
+ * [UVW] on a₁, a₂, c become [uvtw] with u = (2U − V)/3, v = (2V − U)/3,
+ * t = −(u + v), w = W, cleared of fractions.  The app stores three indices
+ * throughout and converts for display and input.
+ *
+ * Reference: Kelly & Knowles, "Crystallography and Crystal Defects" (2012), ch. 1
+ */
+
+/** Whether a structure's planes and directions are written with four indices. */
+export function usesMillerBravais(structure) {
+  return structure.crystalSystem === 'hexagonal';
+}
+
+function gcd(a, b) {
+  return b === 0 ? a : gcd(b, a % b);
+}
+
+/** Divide out the common factor of integer indices (sign kept, no −0). */
+function reduced(indices) {
+  const g = indices.reduce((acc, x) => gcd(acc, Math.abs(x)), 0) || 1;
+  return indices.map(x => x / g || 0);
+}
+
+/** Plane (hkl) → (hkil), i = −(h + k). */
+export function toMillerBravais([h, k, l]) {
+  return [h, k, -(h + k) || 0, l];
+}
+
+/** Plane (hkil) → (hkl); i is redundant. */
+export function fromMillerBravais([h, k, , l]) {
+  return [h, k, l];
+}
+
+/** Direction [UVW] → [uvtw], smallest integers. */
+export function directionToMillerBravais([U, V, W]) {
+  return reduced([2 * U - V, 2 * V - U, -(U + V), 3 * W]);
+}
+
+/** Direction [uvtw] → [UVW] = [u − t, v − t, w], smallest integers. */
+export function directionFromMillerBravais([u, v, t, w]) {
+  return reduced([u - t, v - t, w]);
+}
+
+/** "(hkl)", or "(hkil)" for hexagonal structures. */
+export function planeLabel([h, k, l], structure) {
+  const indices = usesMillerBravais(structure) ? toMillerBravais([h, k, l]) : [h, k, l];
+  return `(${indices.join('')})`;
+}
+
+/** "[uvw]", or "[uvtw]" for hexagonal structures. */
+export function directionLabel(uvw, structure) {
+  const indices = usesMillerBravais(structure) ? directionToMillerBravais(uvw) : uvw;
+  return `[${indices.join('')}]`;
+}
+
 /**
  * Common crystallographic planes.
  */
@@ -146,3 +241,21 @@ export const COMMON_PLANES = [
   { h: 2, k: 1, l: 0, label: '(210)', desc: 'Stepped face' },
   { h: 2, k: 1, l: 1, label: '(211)', desc: 'Stepped diagonal' },
 ];
+
+/**
+ * Common planes of hexagonal structures, labelled in four-index form
+ * (h, k, l are the stored three-index values).
+ */
+export const HEXAGONAL_PLANES = [
+  { h: 0, k: 0, l: 1, label: '(0001)', desc: 'Basal plane' },
+  { h: 1, k: 0, l: 0, label: '(10-10)', desc: 'First-order prism' },
+  { h: 1, k: 1, l: 0, label: '(11-20)', desc: 'Second-order prism' },
+  { h: 1, k: 0, l: 1, label: '(10-11)', desc: 'First-order pyramidal' },
+  { h: 1, k: 0, l: 2, label: '(10-12)', desc: 'Pyramidal (twinning plane)' },
+  { h: 1, k: 1, l: 2, label: '(11-22)', desc: 'Second-order pyramidal' },
+];
+
+/** Plane presets for a structure: four-index ones for hexagonal cells. */
+export function commonPlanes(structure) {
+  return usesMillerBravais(structure) ? HEXAGONAL_PLANES : COMMON_PLANES;
+}
@@ -0,0 +1,100 @@
+/**
+ * Pole Figures of a Fibre Texture
+ *
+ * The March–Dollase distribution used for preferred orientation (see
+ * marchDollase in diffraction.js) is read as a fibre orientation
+ * distribution: the texture-axis normal H is spread about the specimen
+ * normal N with density P(β), β = ∠(H, N), and each crystallite may take
+ * any rotation about H.  The poles of a reflection h at angle α to H then
+ * lie on a cone about every H, so the pole density at tilt χ from N is P
+ * averaged around a cone of half-angle α about that direction,
+ *
+ *   R_h(χ) = (1/2π) ∫ P(β) dφ,   cos β = cos χ cos α + sin χ sin α cos φ,
+ *
+ * further averaged over the members of {hkl} (the orbit under the
+ * structure's Laue group, see laueSymmetry.js) with |F|² weights.  R is in
+ * multiples of a random distribution (m.r.d., 1 everywhere for r = 1) and
+ * depends on χ only — the concentric rings of a fibre texture.
+ *
+ * Reference: Bunge, "Texture Analysis in Materials Science" (1982), ch. 4;
+ * Dollase, J. Appl. Cryst. 19, 267 (1986)
+ */
+
+import { resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { structureFactor, siteFormFactors, marchDollase } from './diffraction';
+import { laueGroup, reflectionFamily } from './laueSymmetry';
+import { add, scale, dot, magnitude } from './vectorMath';
+
+/** Tilt χ step of the radial profile (degrees). */
+const CHI_STEP = 1;
+
+/** Azimuth samples around each cone. */
+const CONE_STEPS = 90;
+
+const DEG = Math.PI / 180;
+
+/**
+ * Pole density of one reflection family against tilt from the specimen normal.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @param {number[]} hkl - reflection (h, k, l)
+ * @param {Object} texture - { axis: [h, k, l], r } as for generateXRDPattern
+ * @param {string} [radiation='xray'] - key into RADIATIONS, for the |F|² weights
+ * @returns {{ profile: Array<{ chi, density }>, members: number, absent: boolean,
+ *   alpha: number[], max: number, min: number }} chi in degrees (0–90), density
+ *   in m.r.d.; alpha lists the distinct member angles to the texture axis (°)
+ */
+export function poleFigure(structure, cell, [h, k, l], texture, radiation = 'xray') {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolveCell(structure, cell)));
+  const toG = (i, j, m) => add(add(scale(b1, i), scale(b2, j)), scale(b3, m));
+  const axis = toG(...texture.axis);
+  const axisMag = magnitude(axis);
+  const gMag = magnitude(toG(h, k, l));
+
+  // Members of {hkl} under the structure's Laue group, weighted by |F|²
+  const weights = siteFormFactors(structure, gMag / 2, radiation);
+  const members = reflectionFamily([h, k, l], laueGroup(structure, cell).operations).members.map(m => {
+    const G = toG(...m);
+    return {
+      cosAlpha: axisMag > 0 ? dot(G, axis) / (magnitude(G) * axisMag) : 0,
+      F2: structureFactor(...m, structure.basis, weights).magnitudeSquared,
+    };
+  });
+  const totalF2 = members.reduce((s, x) => s + x.F2, 0);
+  const absent = totalF2 < 1e-8 * members.length;
+  const weightOf = x => (absent ? 1 / members.length : x.F2 / totalF2);
+
+  const random = texture.r === 1 || axisMag === 0;
+  const profile = [];
+  for (let chi = 0; chi <= 90; chi += CHI_STEP) {
+    const cosChi = Math.cos(chi * DEG), sinChi = Math.sin(chi * DEG);
+    let density = 0;
+    for (const x of members) {
+      if (random) {
+        density += weightOf(x);
+        continue;
+      }
+      const sinAlpha = Math.sqrt(Math.max(0, 1 - x.cosAlpha * x.cosAlpha));
+      let cone = 0;
+      for (let s = 0; s < CONE_STEPS; s++) {
+        const cosBeta = cosChi * x.cosAlpha + sinChi * sinAlpha * Math.cos((2 * Math.PI * s) / CONE_STEPS);
+        cone += marchDollase(cosBeta, texture.r);
+      }
+      density += weightOf(x) * (cone / CONE_STEPS);
+    }
+    profile.push({ chi, density });
+  }
+
+  const densities = profile.map(p => p.density);
+  const alpha = [...new Set(members.map(x => Math.round(Math.acos(Math.abs(x.cosAlpha)) / DEG * 10) / 10))]
+    .sort((a, b) => a - b);
+  return {
+    profile,
+    members: members.length,
+    absent,
+    alpha,
+    max: Math.max(...densities),
+    min: Math.min(...densities),
+  };
+}
@@ -0,0 +1,210 @@
+/**
+ * Powder Profile
+ *
+ * Turns the discrete reflections from generateXRDPattern into a continuous
+ * intensity profile y(2θ), for plotting and for point-by-point comparison
+ * with measured scans.
+ *
+ * Each reflection is spread over a pseudo-Voigt of unit area, so a peak's
+ * integrated intensity equals its relativeIntensity:
+ *
+ *   Ω(Δ) = η·L(Δ; H) + (1 − η)·G(Δ; H)
+ *   H_inst² = U·tan²θ + V·tanθ + W           (Caglioti, Paoletti & Ricci 1958)
+ *   β = Kλ / (L·cosθ) + 4ε·tanθ              (Scherrer size + Stokes–Wilson strain)
+ *   H² = H_inst² + β²
+ *   A(Δ) = 1 − P·sign(Δ)·Δ² / tanθ           (Rietveld 1969 asymmetry)
+ *
+ * with Δ = 2θ − 2θ_k in degrees, L the crystallite size and ε the microstrain.
+ * Size and strain broadening add linearly (the Williamson–Hall assumption);
+ * sample and instrument contributions add in quadrature.  With a Kα doublet
+ * every reflection is drawn twice, at the Kα1 and Kα2 Bragg angles, in the
+ * ratio 2 : 1.
+ *
+ * Time-of-flight patterns are drawn against d instead, with a constant
+ * relative width H = (Δd/d)·d set by the detector bank.
+ *
+ * References:
+ *  - Caglioti, Paoletti & Ricci, Nucl. Instrum. 3, 223 (1958)
+ *  - Rietveld, J. Appl. Cryst. 2, 65 (1969)
+ *  - Williamson & Hall, Acta Metall. 1, 22 (1953)
+ *  - Hölzer et al., Phys. Rev. A 56, 4554 (1997) — Kα1/Kα2 wavelengths
+ */
+
+const DEG = Math.PI / 180;
+const LN2 = Math.LN2;
+
+/** Default instrument profile (widths in degrees 2θ). */
+export const DEFAULT_PROFILE = {
+  U: 0.02,             // deg²
+  V: -0.005,           // deg²
+  W: 0.04,             // deg²
+  eta: 0.5,            // Lorentzian fraction (0 = Gaussian, 1 = Lorentzian)
+  asymmetry: 0,        // Rietveld P (deg⁻²·rad, low-angle tail for P > 0)
+  doublet: true,       // draw Kα1 + Kα2
+  crystalliteSize: 0,  // nm (0 = no size broadening)
+  microstrain: 0,      // % (ε × 100)
+};
+
+/** Scherrer constant for FWHM and roughly equiaxed crystallites. */
+export const SCHERRER_K = 0.9;
+
+/** Kα1 / Kα2 wavelengths (Å) for each anode in WAVELENGTHS. */
+export const KALPHA_LINES = {
+  'Cu Kα': [1.540593, 1.544414],
+  'Mo Kα': [0.709317, 0.713607],
+  'Co Kα': [1.788996, 1.792835],
+  'Cr Kα': [2.289760, 2.293663],
+};
+
+/** Kα2 / Kα1 intensity ratio. */
+export const KALPHA2_RATIO = 0.5;
+
+/**
+ * Emission lines to draw for an anode: Kα1 and Kα2 with weights 2/3 and 1/3,
+ * or null (single line at each peak's own 2θ) when the doublet is off or
+ * the source has no tabulated doublet.
+ */
+export function emissionLines(wavelengthKey, doublet = true) {
+  const lines = KALPHA_LINES[wavelengthKey];
+  if (!doublet || !lines) return null;
+  const w1 = 1 / (1 + KALPHA2_RATIO);
+  return [
+    { lambda: lines[0], weight: w1 },
+    { lambda: lines[1], weight: 1 - w1 },
+  ];
+}
+
+/** Instrumental (Caglioti) FWHM H_inst (degrees) at a Bragg angle 2θ. */
+export function instrumentalFWHM(twoTheta, { U, V, W }) {
+  const t = Math.tan((twoTheta / 2) * DEG);
+  return Math.sqrt(Math.max(U * t * t + V * t + W, 1e-6));
+}
+
+/**
+ * Sample broadening β (degrees 2θ) from crystallite size and microstrain.
+ * @param {number} lambda - wavelength of the line (Å)
+ */
+export function sampleBroadening(twoTheta, lambda, { crystalliteSize = 0, microstrain = 0 }) {
+  const theta = (twoTheta / 2) * DEG;
+  const size = crystalliteSize > 0 ? (SCHERRER_K * lambda) / (crystalliteSize * 10 * Math.cos(theta)) : 0;
+  const strain = 4 * (microstrain / 100) * Math.tan(theta);
+  return (size + strain) / DEG;
+}
+
+/** Total FWHM H (degrees): instrument and sample broadening in quadrature. */
+export function fwhmAt(twoTheta, profile, lambda) {
+  const inst = instrumentalFWHM(twoTheta, profile);
+  const beta = lambda ? sampleBroadening(twoTheta, lambda, profile) : 0;
+  return Math.sqrt(inst * inst + beta * beta);
+}
+
+/** Unit-area pseudo-Voigt at offset Δ for FWHM H. */
+function pseudoVoigt(delta, H, eta) {
+  const x = (2 * delta) / H;
+  const gauss = (2 / H) * Math.sqrt(LN2 / Math.PI) * Math.exp(-LN2 * x * x);
+  const lorentz = (2 / (Math.PI * H)) / (1 + x * x);
+  return eta * lorentz + (1 - eta) * gauss;
+}
+
+/**
+ * Profile components of one reflection — one per emission line.
+ * With `lines` the Bragg angle is recomputed from the peak's dSpacing;
+ * without, the peak's own twoTheta is used.
+ *
+ * @returns {Array<{ centre, intensity, fwhm, tanTheta, reach }>}
+ *   reach is the half-range (degrees) beyond which the component is ignored
+ */
+export function peakComponents(peak, profile = DEFAULT_PROFILE, lines = null) {
+  const centres = lines
+    ? lines.map(({ lambda, weight }) => {
+        const sinTheta = lambda / (2 * peak.dSpacing);
+        return sinTheta < 1 ? { centre: 2 * Math.asin(sinTheta) / DEG, weight, lambda } : null;
+      }).filter(Boolean)
+    : [{
+        centre: peak.twoTheta,
+        weight: 1,
+        lambda: 2 * peak.dSpacing * Math.sin((peak.twoTheta / 2) * DEG),
+      }];
+
+  return centres.map(({ centre, weight, lambda }) => {
+    const fwhm = fwhmAt(centre, profile, lambda);
+    return {
+      centre,
+      intensity: peak.relativeIntensity * weight,
+      fwhm,
+      tanTheta: Math.tan((centre / 2) * DEG),
+      // Lorentzian tails decay slowly; a pure Gaussian is negligible past 3H
+      reach: fwhm * (profile.eta > 0 ? 30 : 3),
+    };
+  });
+}
+
+/** Unit-intensity value of a component at 2θ = x (asymmetry included). */
+export function componentShape(component, x, profile = DEFAULT_PROFILE) {
+  const delta = x - component.centre;
+  let y = pseudoVoigt(delta, component.fwhm, profile.eta);
+  if (profile.asymmetry) {
+    y *= Math.max(0, 1 - profile.asymmetry * Math.sign(delta) * delta * delta / component.tanTheta);
+  }
+  return y;
+}
+
+/**
+ * Evaluate the broadened profile at arbitrary 2θ values.
+ *
+ * @param {Array} peaks - from generateXRDPattern (twoTheta, dSpacing, relativeIntensity)
+ * @param {ArrayLike<number>} twoTheta - sample points (degrees), ascending
+ * @param {Object} [profile] - { U, V, W, eta, asymmetry, crystalliteSize, microstrain }
+ *   (see DEFAULT_PROFILE)
+ * @param {Array|null} [lines] - from emissionLines (null = single line)
+ * @returns {Float64Array} intensity per degree at each sample point
+ */
+export function profileAt(peaks, twoTheta, profile = DEFAULT_PROFILE, lines = null) {
+  const n = twoTheta.length;
+  const y = new Float64Array(n);
+
+  for (const pk of peaks) {
+    for (const comp of peakComponents(pk, profile, lines)) {
+      const lo = lowerBound(twoTheta, comp.centre - comp.reach);
+      for (let i = lo; i < n && twoTheta[i] <= comp.centre + comp.reach; i++) {
+        y[i] += comp.intensity * componentShape(comp, twoTheta[i], profile);
+      }
+    }
+  }
+  return y;
+}
+
+/**
+ * Evaluate a time-of-flight profile at arbitrary d values.
+ *
+ * @param {Array} peaks - from generateTOFPattern (dSpacing, relativeIntensity)
+ * @param {ArrayLike<number>} dSpacing - sample points (Å), ascending
+ * @param {number} resolution - Δd/d (FWHM) of the bank
+ * @param {number} [eta=0.5] - Lorentzian fraction
+ * @returns {Float64Array} intensity per Å at each sample point
+ */
+export function tofProfileAt(peaks, dSpacing, resolution, eta = 0.5) {
+  const n = dSpacing.length;
+  const y = new Float64Array(n);
+
+  for (const pk of peaks) {
+    const fwhm = resolution * pk.dSpacing;
+    const reach = fwhm * (eta > 0 ? 30 : 3);
+    const lo = lowerBound(dSpacing, pk.dSpacing - reach);
+    for (let i = lo; i < n && dSpacing[i] <= pk.dSpacing + reach; i++) {
+      y[i] += pk.relativeIntensity * pseudoVoigt(dSpacing[i] - pk.dSpacing, fwhm, eta);
+    }
+  }
+  return y;
+}
+
+/** First index i with xs[i] ≥ x (xs ascending). */
+export function lowerBound(xs, x) {
+  let lo = 0, hi = xs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (xs[mid] < x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
@@ -0,0 +1,61 @@
+/**
+ * Reciprocal Lattice Points
+ *
+ * The nodes G = h·b1 + k·b2 + l·b3 of the reciprocal lattice with their
+ * structure factors, for drawing reciprocal space and the Ewald
+ * construction: a reflection diffracts when G lies on the sphere of radius
+ * 1/λ that passes through the origin, centred at −k₀.
+ *
+ * Only nodes of the primitive lattice are listed — the (hkl) a centred cell
+ * extinguishes (fcc mixed parity, bcc odd h+k+l) are not lattice points at
+ * all.  Extinctions from the basis (diamond 200) are kept, flagged `absent`.
+ */
+
+import { resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { structureFactor, isAbsent, siteFormFactors } from './diffraction';
+import { latticeTranslations, isLatticePoint } from './brillouinZone';
+import { add, scale, magnitude } from './vectorMath';
+
+/**
+ * Reciprocal-lattice nodes inside a sphere |G| ≤ gMax.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @param {Object} options
+ * @param {number} options.gMax - radius of the sphere (Å⁻¹)
+ * @param {number} [options.maxIndex=6] - cap on |h|, |k|, |l|
+ * @param {string} [options.radiation='xray'] - key into RADIATIONS
+ * @returns {{ points: Array<{ hkl, position, F2, absent, relativeIntensity }>, b1, b2, b3 }}
+ *   position is the Cartesian G (Å⁻¹); relativeIntensity is |F|² against the
+ *   strongest node
+ */
+export function reciprocalLatticePoints(structure, cell, { gMax, maxIndex = 6, radiation = 'xray' }) {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolveCell(structure, cell)));
+  const { basis } = structure;
+  const translations = latticeTranslations(structure);
+  const points = [];
+
+  for (let h = -maxIndex; h <= maxIndex; h++) {
+    for (let k = -maxIndex; k <= maxIndex; k++) {
+      for (let l = -maxIndex; l <= maxIndex; l++) {
+        if ((h === 0 && k === 0 && l === 0) || !isLatticePoint([h, k, l], translations)) continue;
+        const G = add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
+        const gMag = magnitude(G);
+        if (gMag > gMax) continue;
+        const weights = siteFormFactors(structure, gMag / 2, radiation);
+        const absent = isAbsent(h, k, l, basis, weights);
+        points.push({
+          hkl: [h, k, l],
+          position: G,
+          F2: absent ? 0 : structureFactor(h, k, l, basis, weights).magnitudeSquared,
+          absent,
+          relativeIntensity: 0,
+        });
+      }
+    }
+  }
+
+  const maxF2 = Math.max(...points.map(p => p.F2), 1e-20);
+  for (const p of points) p.relativeIntensity = (p.F2 / maxF2) * 100;
+  return { points, b1, b2, b3 };
+}
@@ -0,0 +1,300 @@
+/**
+ * Whole-Pattern Refinement
+ *
+ * Levenberg–Marquardt least-squares fit of the simulated powder profile to a
+ * measured scan.  Refined parameters: the structure's free cell parameters,
+ * zero shift, the Caglioti widths U and W, the pseudo-Voigt mixing η, a flat
+ * background and (in structure mode) the scale factor.  V, the asymmetry and
+ * the Kα doublet setting are held at their current values.
+ *
+ * Modes:
+ *  - 'lebail': intensity-free.  Peak intensities are re-extracted from the
+ *    data before every cycle (Le Bail, Duroy & Fourquet, Mat. Res. Bull. 23,
+ *    447 (1988)), so only positions and widths are fitted; the scale is
+ *    absorbed into the extracted intensities and not refined.
+ *  - 'structure': intensities come from generateXRDPattern and the scale is
+ *    refined with everything else.
+ *
+ * ESDs are √diag((JᵀWJ)⁻¹) · √χ²ᵣ, the usual least-squares estimate.
+ *
+ * Reference: Young, "The Rietveld Method" (1993), ch. 1
+ */
+
+import { generateXRDPattern } from './diffraction';
+import { profileAt, peakComponents, componentShape, DEFAULT_PROFILE } from './powderProfile';
+import { freeParameters, resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { add, scale as scaleVec, magnitude } from './vectorMath';
+import { solveLinear, invertMatrix } from './leastSquares';
+
+export const REFINEMENT_MODES = {
+  lebail: 'Le Bail',
+  structure: 'Structure',
+};
+
+const DEG = Math.PI / 180;
+
+/**
+ * Largest cosine between the weighted residual and a Jacobian column at
+ * which a fit whose step search fails still counts as converged (the
+ * MINPACK gtol test).  At the minimum every damped step fails because the
+ * gradient JᵀWr has vanished; a stall leaves it well away from zero.
+ */
+const GRADIENT_TOLERANCE = 0.05;
+
+/** Numerical-derivative step for each kind of parameter. */
+function derivativeStep(key, value) {
+  if (key === 'alpha' || key === 'beta' || key === 'gamma') return 1e-3;
+  if (key === 'a' || key === 'b' || key === 'c') return 1e-4;
+  if (key === 'zeroShift' || key === 'U' || key === 'W' || key === 'eta') return 1e-4;
+  return Math.max(Math.abs(value) * 1e-4, 1e-4);
+}
+
+/** Peaks (d, 2θ, intensity) of the reflection list for a cell; unreachable ones dropped. */
+function reflectionPeaks(structure, cellValues, reflections, intensities, lambda) {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(resolveCell(structure, cellValues)));
+  const peaks = [];
+  reflections.forEach(({ hkl: [h, k, l] }, idx) => {
+    const G = add(add(scaleVec(b1, h), scaleVec(b2, k)), scaleVec(b3, l));
+    const sinTheta = lambda * magnitude(G) / 2;
+    if (sinTheta >= 1) return;
+    peaks.push({
+      index: idx,
+      dSpacing: 1 / magnitude(G),
+      twoTheta: 2 * Math.asin(sinTheta) / DEG,
+      relativeIntensity: intensities[idx],
+    });
+  });
+  return peaks;
+}
+
+/**
+ * Refine a structure's pattern against a measured scan.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} experiment - from parseDiffractionData
+ * @param {Object} options
+ * @param {Object} options.cell - starting cell {a, b, c, alpha, beta, gamma}
+ * @param {number} options.wavelength - λ (Å)
+ * @param {Array|null} [options.lines] - emission lines from emissionLines()
+ * @param {string} [options.mode='lebail'] - key into REFINEMENT_MODES
+ * @param {number} [options.zeroShift=0] - starting zero shift (degrees)
+ * @param {Object} [options.profile] - starting peak shape (see powderProfile.js)
+ * @param {number} [options.scale=1] - starting scale (counts per relative unit)
+ * @param {number} [options.background=0] - starting flat background (counts)
+ * @param {number} [options.temperatureK=0] - Debye–Waller temperature for structure mode
+ * @param {string} [options.radiation='xray'] - key into RADIATIONS, for structure mode
+ * @param {Object|null} [options.texture=null] - preferred orientation, for structure mode
+ * @param {number} [options.maxIterations=40]
+ * @returns {{ mode, parameters, values, esd, cell, profile, rwp, chi2, iterations, converged }}
+ *   values / esd are keyed by parameter (a, c, ..., zeroShift, U, W, eta, scale, background);
+ *   profile is the refined peak-shape object; converged is false when
+ *   maxIterations runs out or the fit stalls away from a minimum
+ */
+export function refinePattern(structure, experiment, {
+  cell, wavelength, lines = null, mode = 'lebail',
+  zeroShift = 0, profile = DEFAULT_PROFILE, scale = 1, background = 0,
+  temperatureK = 0, radiation = 'xray', texture = null, maxIterations = 40,
+}) {
+  const { twoTheta: x, intensity: yObs, sigma: esdObs } = experiment;
+  const n = x.length;
+  const weights = esdObs.map(e => 1 / (e * e));
+
+  // Reflection list (fixed during the fit) from the starting cell
+  const lo = x[0] - 2, hi = Math.min(x[n - 1] + 2, 170);
+  const reflections = generateXRDPattern(structure, cell, wavelength, hi, temperatureK, radiation, texture)
+    .filter(pk => pk.twoTheta >= lo)
+    .map(pk => ({ hkl: pk.hkl, intensity: pk.relativeIntensity }));
+  if (reflections.length === 0) {
+    throw new Error('No reflections fall inside the measured 2θ range');
+  }
+  let intensities = reflections.map(r => r.intensity);
+
+  // Parameter vector
+  const cellKeys = freeParameters(structure);
+  const keys = [
+    ...cellKeys, 'zeroShift', 'U', 'W', 'eta',
+    ...(mode === 'structure' ? ['scale'] : []), 'background',
+  ];
+  const start = { ...cell, ...profile, zeroShift, scale, background };
+  let p = keys.map(k => start[k]);
+
+  const unpack = (vec) => {
+    const v = { ...start };
+    keys.forEach((k, i) => { v[k] = vec[i]; });
+    return v;
+  };
+
+  // Peak shape for a parameter set (η kept inside [0, 1])
+  const shapeOf = v => ({ ...v, eta: Math.min(Math.max(v.eta, 0), 1) });
+
+  const calculate = (vec, I) => {
+    const v = unpack(vec);
+    const peaks = reflectionPeaks(structure, v, reflections, I, wavelength);
+    const shifted = x.map(xi => xi - v.zeroShift);
+    return profileAt(peaks, shifted, shapeOf(v), lines).map(y => v.scale * y + v.background);
+  };
+
+  const chiSquared = (calc) => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += weights[i] * (yObs[i] - calc[i]) ** 2;
+    return sum;
+  };
+
+  // Le Bail extraction: apportion observed counts among overlapping peaks
+  const extractIntensities = (vec, I) => {
+    const v = unpack(vec);
+    const shape = shapeOf(v);
+    const calc = calculate(vec, I);
+    const next = [...I];
+    for (const pk of reflectionPeaks(structure, v, reflections, I, wavelength)) {
+      const Ik = I[pk.index];
+      let num = 0, den = 0;
+      for (const comp of peakComponents({ ...pk, relativeIntensity: 1 }, shape, lines)) {
+        for (let i = 0; i < n; i++) {
+          const xi = x[i] - v.zeroShift;
+          if (Math.abs(xi - comp.centre) > comp.reach) continue;
+          const g = comp.intensity * componentShape(comp, xi, shape);
+          const model = calc[i] - v.background;
+          if (model > 1e-12) num += g * Ik * Math.max(yObs[i] - v.background, 0) / model;
+          den += g;
+        }
+      }
+      if (den > 0) next[pk.index] = num / den;
+    }
+    return next;
+  };
+
+  // Levenberg–Marquardt
+  let lambda = 1e-3;
+  let calc = calculate(p, intensities);
+  let chi2 = chiSquared(calc);
+  let J = null;
+  let iterations = 0;
+  let converged = false;
+
+  const jacobian = (vec, I) => keys.map((k, j) => {
+    const h = derivativeStep(k, vec[j]);
+    const up = [...vec], down = [...vec];
+    up[j] += h;
+    down[j] -= h;
+    const cu = calculate(up, I), cd = calculate(down, I);
+    return cu.map((c, i) => (c - cd[i]) / (2 * h));
+  });
+
+  for (; iterations < maxIterations; iterations++) {
+    if (mode === 'lebail') {
+      for (let cycle = 0; cycle < 3; cycle++) intensities = extractIntensities(p, intensities);
+      calc = calculate(p, intensities);
+      chi2 = chiSquared(calc);
+    }
+
+    J = jacobian(p, intensities);
+    const m = keys.length;
+    const JtWJ = Array.from({ length: m }, () => new Array(m).fill(0));
+    const JtWr = new Array(m).fill(0);
+    for (let i = 0; i < n; i++) {
+      const r = yObs[i] - calc[i];
+      for (let a = 0; a < m; a++) {
+        const wa = weights[i] * J[a][i];
+        JtWr[a] += wa * r;
+        for (let b = a; b < m; b++) JtWJ[a][b] += wa * J[b][i];
+      }
+    }
+    for (let a = 0; a < m; a++) for (let b = 0; b < a; b++) JtWJ[a][b] = JtWJ[b][a];
+
+    let improved = false;
+    for (let attempt = 0; attempt < 8 && !improved; attempt++) {
+      const damped = JtWJ.map((row, a) => row.map((val, b) => (a === b ? val * (1 + lambda) : val)));
+      const delta = solveLinear(damped, JtWr);
+      if (!delta) break;
+      const trial = p.map((val, j) => val + delta[j]);
+      const trialCalc = calculate(trial, intensities);
+      const trialChi2 = chiSquared(trialCalc);
+      if (trialChi2 < chi2) {
+        const gain = (chi2 - trialChi2) / chi2;
+        p = trial;
+        calc = trialCalc;
+        chi2 = trialChi2;
+        lambda = Math.max(lambda / 10, 1e-9);
+        improved = true;
+        if (gain < 1e-7) converged = true;
+      } else {
+        lambda *= 10;
+      }
+    }
+    // No step lowers χ² even with the damping raised 10⁸-fold: converged if
+    // the gradient has vanished (a stationary point), otherwise stalled
+    if (!improved) {
+      converged = JtWr.every((g, a) => JtWJ[a][a] === 0 || Math.abs(g) <= GRADIENT_TOLERANCE * Math.sqrt(JtWJ[a][a] * chi2));
+    }
+    if (converged || !improved) break;
+  }
+
+  // Covariance at the solution
+  const m = keys.length;
+  J = jacobian(p, intensities);
+  const normal = Array.from({ length: m }, (_, a) => Array.from({ length: m }, (_, b) => {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += weights[i] * J[a][i] * J[b][i];
+    return sum;
+  }));
+  const covariance = invertMatrix(normal);
+  const reducedChi2 = chi2 / Math.max(n - m, 1);
+
+  const values = unpack(p);
+  values.eta = Math.min(Math.max(values.eta, 0), 1);
+  const esd = {};
+  keys.forEach((k, j) => {
+    esd[k] = covariance ? Math.sqrt(Math.max(covariance[j][j], 0) * reducedChi2) : null;
+  });
+
+  let total = 0;
+  for (let i = 0; i < n; i++) total += weights[i] * yObs[i] * yObs[i];
+
+  return {
+    mode,
+    parameters: keys,
+    values,
+    esd,
+    cell: resolveCell(structure, values),
+    profile: { ...profile, U: values.U, V: values.V, W: values.W, eta: values.eta },
+    rwp: total > 0 ? Math.sqrt(chi2 / total) : 0,
+    chi2: reducedChi2,
+    iterations,
+    converged,
+  };
+}
+
+/**
+ * Settings patch that applies a refined cell: a goes to latticeConstant,
+ * the other free parameters to cellParams (hexagonal c as c/a, which is how
+ * the c/a slider stores it).
+ */
+export function refinedCellSettings(structure, cell, cellParams = {}) {
+  const next = { ...cellParams };
+  for (const key of freeParameters(structure)) {
+    if (key === 'a') continue;
+    if (key === 'c' && structure.crystalSystem === 'hexagonal') {
+      delete next.c;
+      next.cOverA = cell.c / cell.a;
+    } else {
+      next[key] = cell[key];
+    }
+  }
+  return { latticeConstant: cell.a, cellParams: next };
+}
+
+/**
+ * Crystallographic value(esd) notation, e.g. 3.61492(7).
+ */
+export function formatWithEsd(value, esd) {
+  if (!esd || !Number.isFinite(esd)) return value.toFixed(4);
+  const digits = Math.max(0, Math.min(8, 1 - Math.floor(Math.log10(esd))));
+  let e = Math.round(esd * 10 ** digits);
+  // Use one significant figure in the esd unless it starts with 1 (e.g. 14)
+  if (e >= 20 && digits > 0) {
+    return `${value.toFixed(digits - 1)}(${Math.round(e / 10)})`;
+  }
+  if (e === 0) e = 1;
+  return `${value.toFixed(digits)}(${e})`;
+}
@@ -0,0 +1,149 @@
+/**
+ * Atomic Scattering Factors
+ *
+ * X-ray form factors for neutral atoms in the Cromer-Mann 4-Gaussian
+ * parameterisation:
+ *
+ *   f(s) = Σᵢ aᵢ·exp(-bᵢ·s²) + c,   s = sinθ / λ  (Å⁻¹)
+ *
+ * Valid for s ≲ 2 Å⁻¹.  At s = 0 the sum Σaᵢ + c equals the atomic number Z.
+ *
+ * Electron scattering factors follow from the X-ray ones by the Mott–Bethe
+ * formula,
+ *
+ *   f_e(s) = (m₀e² / 8π ε₀ h²) · (Z − f_x(s)) / s²,   m₀e²/8πε₀h² = 0.023934 Å
+ *
+ * with Z − f_x expanded term by term so the s → 0 limit stays finite.
+ *
+ * Neutron coherent scattering lengths b (fm) are independent of angle and
+ * can be negative (H, Ti, Mn, V, Li), which puts those sites in antiphase
+ * with the rest of the structure.
+ *
+ * Sources: International Tables for Crystallography, Vol C (1992),
+ *          Table 6.1.1.4 (X-ray);
+ *          Sears, Neutron News 3(3), 26 (1992) (neutron, natural abundance);
+ *          Peng, Micron 30, 625 (1999) (Mott–Bethe)
+ */
+
+export const FORM_FACTORS = {
+  H:  { a: [0.489918, 0.262003, 0.196767, 0.049879], b: [20.6593, 7.74039, 49.5519, 2.20159], c: 0.001305 },
+  Li: { a: [1.1282, 0.7508, 0.6175, 0.4653], b: [3.9546, 1.0524, 85.3905, 168.261], c: 0.0377 },
+  Be: { a: [1.5919, 1.1278, 0.5391, 0.7029], b: [43.6427, 1.8623, 103.483, 0.542], c: 0.0385 },
+  B:  { a: [2.0545, 1.3326, 1.0979, 0.7068], b: [23.2185, 1.021, 60.3498, 0.1403], c: -0.1932 },
+  C:  { a: [2.31, 1.02, 1.5886, 0.865], b: [20.8439, 10.2075, 0.5687, 51.6512], c: 0.2156 },
+  N:  { a: [12.2126, 3.1322, 2.0125, 1.1663], b: [0.0057, 9.8933, 28.9975, 0.5826], c: -11.529 },
+  O:  { a: [3.0485, 2.2868, 1.5463, 0.867], b: [13.2771, 5.7011, 0.3239, 32.9089], c: 0.2508 },
+  F:  { a: [3.5392, 2.6412, 1.517, 1.0243], b: [10.2825, 4.2944, 0.2615, 26.1476], c: 0.2776 },
+  Na: { a: [4.7626, 3.1736, 1.2674, 1.1128], b: [3.285, 8.8422, 0.3136, 129.424], c: 0.676 },
+  Mg: { a: [5.4204, 2.1735, 1.2269, 2.3073], b: [2.8275, 79.2611, 0.3808, 7.1937], c: 0.8584 },
+  Al: { a: [6.4202, 1.9002, 1.5936, 1.9646], b: [3.0387, 0.7426, 31.5472, 85.0886], c: 1.1151 },
+  Si: { a: [6.2915, 3.0353, 1.9891, 1.541], b: [2.4386, 32.3337, 0.6785, 81.6937], c: 1.1407 },
+  P:  { a: [6.4345, 4.1791, 1.78, 1.4908], b: [1.9067, 27.157, 0.526, 68.1645], c: 1.1149 },
+  S:  { a: [6.9053, 5.2034, 1.4379, 1.5863], b: [1.4679, 22.2151, 0.2536, 56.172], c: 0.8669 },
+  Cl: { a: [11.4604, 7.1964, 6.2556, 1.6455], b: [0.0104, 1.1662, 18.5194, 47.7784], c: -9.5574 },
+  K:  { a: [8.2186, 7.4398, 1.0519, 0.8659], b: [12.7949, 0.7748, 213.187, 41.6841], c: 1.4228 },
+  Ca: { a: [8.6266, 7.3873, 1.5899, 1.0211], b: [10.4421, 0.6599, 85.7484, 178.437], c: 1.3751 },
+  Sc: { a: [9.189, 7.3679, 1.6409, 1.468], b: [9.0213, 0.5729, 136.108, 51.3531], c: 1.3329 },
+  Ti: { a: [9.7595, 7.3558, 1.6991, 1.9021], b: [7.8508, 0.5, 35.6338, 116.105], c: 1.2807 },
+  V:  { a: [10.2971, 7.3511, 2.0703, 2.0571], b: [6.8657, 0.4385, 26.8938, 102.478], c: 1.2199 },
+  Cr: { a: [10.6406, 7.3537, 3.324, 1.4922], b: [6.1038, 0.392, 20.2626, 98.7399], c: 1.1832 },
+  Mn: { a: [11.2819, 7.3573, 3.0193, 2.2441], b: [5.3409, 0.3432, 17.8674, 83.7543], c: 1.0896 },
+  Fe: { a: [11.7695, 7.3573, 3.5222, 2.3045], b: [4.7611, 0.3072, 15.3535, 76.8805], c: 1.0369 },
+  Co: { a: [12.2841, 7.3409, 4.0034, 2.3488], b: [4.2791, 0.2784, 13.5359, 71.1692], c: 1.0118 },
+  Ni: { a: [12.8376, 7.292, 4.4438, 2.38], b: [3.8785, 0.2565, 12.1763, 66.3421], c: 1.0341 },
+  Cu: { a: [13.338, 7.1676, 5.6158, 1.6735], b: [3.5828, 0.247, 11.3966, 64.8126], c: 1.191 },
+  Zn: { a: [14.0743, 7.0318, 5.1652, 2.41], b: [3.2655, 0.2333, 10.3163, 58.7097], c: 1.3041 },
+  Ga: { a: [15.2354, 6.7006, 4.3591, 2.9623], b: [3.0669, 0.2412, 10.7805, 61.4135], c: 1.7189 },
+  Ge: { a: [16.0816, 6.3747, 3.7068, 3.683], b: [2.8509, 0.2516, 11.4468, 54.7625], c: 2.1313 },
+  As: { a: [16.6723, 6.0701, 3.4313, 4.2779], b: [2.6345, 0.2647, 12.9479, 47.7972], c: 2.531 },
+  Se: { a: [17.0006, 5.8196, 3.9731, 4.3543], b: [2.4098, 0.2726, 15.2372, 43.8163], c: 2.8409 },
+  Br: { a: [17.1789, 5.2358, 5.6377, 3.9851], b: [2.1723, 16.5796, 0.2609, 41.4328], c: 2.9557 },
+  Rb: { a: [17.1784, 9.6435, 5.1399, 1.5292], b: [1.7888, 17.3151, 0.2748, 164.934], c: 3.4873 },
+  Sr: { a: [17.5663, 9.8184, 5.422, 2.6694], b: [1.5564, 14.0988, 0.1664, 132.376], c: 2.5064 },
+  Zr: { a: [17.8765, 10.948, 5.41732, 3.65721], b: [1.27618, 11.916, 0.117622, 87.6627], c: 2.06929 },
+  Nb: { a: [17.6142, 12.0144, 4.04183, 3.53346], b: [1.18865, 11.766, 0.204785, 69.7957], c: 3.75591 },
+  Mo: { a: [3.7025, 17.2356, 12.8876, 3.7429], b: [0.2772, 1.0958, 11.004, 61.6584], c: 4.3875 },
+  Pd: { a: [19.3319, 15.5017, 5.29537, 0.605844], b: [0.698655, 7.98929, 25.2052, 76.8986], c: 5.26593 },
+  Ag: { a: [19.2808, 16.6885, 4.8045, 1.0463], b: [0.6446, 7.4726, 24.6605, 99.8156], c: 5.179 },
+  Cd: { a: [19.2214, 17.6444, 4.461, 1.6029], b: [0.5946, 6.9089, 24.7008, 87.4825], c: 5.0694 },
+  In: { a: [19.1624, 18.5596, 4.2948, 2.0396], b: [0.5476, 6.3776, 25.8499, 92.8029], c: 4.9391 },
+  Sn: { a: [19.1889, 19.1005, 4.4585, 2.4663], b: [5.8303, 0.5031, 26.8909, 83.9571], c: 4.7821 },
+  Sb: { a: [19.6418, 19.0455, 5.0371, 2.6827], b: [5.3034, 0.4607, 27.9074, 75.2825], c: 4.5909 },
+  Te: { a: [19.9644, 19.0138, 6.14487, 2.5239], b: [4.81742, 0.420885, 28.5284, 70.8403], c: 4.352 },
+  I:  { a: [20.1472, 18.9949, 7.5138, 2.2735], b: [4.347, 0.3814, 27.766, 66.8776], c: 4.0712 },
+  Cs: { a: [20.3892, 19.1062, 10.662, 1.4953], b: [3.569, 0.3107, 24.3879, 213.904], c: 3.3352 },
+  Ba: { a: [20.3361, 19.297, 10.888, 2.6959], b: [3.216, 0.2756, 20.2073, 167.202], c: 2.7731 },
+  Ta: { a: [29.2024, 15.2293, 14.5135, 4.76492], b: [1.77333, 9.37046, 0.295977, 63.3644], c: 9.24354 },
+  W:  { a: [29.0818, 15.43, 14.4327, 5.11982], b: [1.72029, 9.2259, 0.321703, 57.056], c: 9.8875 },
+  Pt: { a: [27.0059, 17.7639, 15.7131, 5.7837], b: [1.51293, 8.81174, 0.424593, 38.6103], c: 11.6883 },
+  Au: { a: [16.8819, 18.5913, 25.5582, 5.86], b: [0.4611, 8.6216, 1.4826, 36.3956], c: 12.0658 },
+  Tl: { a: [27.5446, 19.1584, 15.538, 5.52593], b: [0.65515, 8.70751, 1.96347, 45.8149], c: 13.1746 },
+  Pb: { a: [31.0617, 13.0637, 18.442, 5.9696], b: [0.6902, 2.3576, 8.618, 47.2579], c: 13.4118 },
+  Bi: { a: [33.3689, 12.951, 16.5877, 6.4692], b: [0.704, 2.9238, 8.7937, 48.0093], c: 13.5782 },
+  Po: { a: [34.6726, 15.4733, 13.1138, 7.02588], b: [0.700999, 3.55078, 9.55642, 47.0045], c: 13.677 },
+  Th: { a: [35.5645, 23.4219, 12.7473, 4.80703], b: [0.563359, 3.46204, 17.8309, 99.3722], c: 13.4314 },
+  U:  { a: [36.0228, 23.4128, 14.9491, 4.188], b: [0.5293, 3.3253, 16.0927, 100.613], c: 13.3966 },
+};
+
+/** Element used when a species has no tabulated coefficients. */
+const FALLBACK_ELEMENT = 'Si';
+
+/**
+ * X-ray atomic form factor f(s) for a neutral atom.
+ *
+ * @param {string} element - Element symbol (falls back to Si if untabulated)
+ * @param {number} sinThetaOverLambda - s = sinθ/λ (Å⁻¹)
+ * @returns {number} f in electrons
+ */
+export function atomicFormFactor(element, sinThetaOverLambda) {
+  const { a, b, c } = FORM_FACTORS[element] || FORM_FACTORS[FALLBACK_ELEMENT];
+  const s2 = sinThetaOverLambda * sinThetaOverLambda;
+  return a.reduce((sum, ai, i) => sum + ai * Math.exp(-b[i] * s2), 0) + c;
+}
+
+/** Mott–Bethe prefactor m₀e² / (8π ε₀ h²) (Å). */
+const MOTT_BETHE = 0.023934;
+
+/**
+ * Electron scattering factor f_e(s) for a neutral atom (Mott–Bethe, first
+ * Born approximation, non-relativistic mass — multiply by γ for the
+ * relativistic value).
+ *
+ * @param {string} element - Element symbol (falls back to Si if untabulated)
+ * @param {number} sinThetaOverLambda - s = sinθ/λ (Å⁻¹)
+ * @returns {number} f_e in Å
+ */
+export function electronScatteringFactor(element, sinThetaOverLambda) {
+  const { a, b } = FORM_FACTORS[element] || FORM_FACTORS[FALLBACK_ELEMENT];
+  const s2 = sinThetaOverLambda * sinThetaOverLambda;
+  // Z − f_x(s) = Σ aᵢ (1 − e^(−bᵢ s²)) with Z = Σ aᵢ + c; its ratio to s² → Σ aᵢ bᵢ
+  const ratio = s2 < 1e-8
+    ? a.reduce((sum, ai, i) => sum + ai * b[i], 0)
+    : a.reduce((sum, ai, i) => sum + ai * -Math.expm1(-b[i] * s2), 0) / s2;
+  return MOTT_BETHE * ratio;
+}
+
+/**
+ * Bound coherent neutron scattering lengths (fm), natural isotopic mixture.
+ * Po is not tabulated (no stable isotope) and uses the fallback element.
+ */
+export const NEUTRON_SCATTERING_LENGTHS = {
+  H: -3.739, Li: -1.90, Be: 7.79, B: 5.30, C: 6.646, N: 9.36, O: 5.803, F: 5.654,
+  Na: 3.63, Mg: 5.375, Al: 3.449, Si: 4.1491, P: 5.13, S: 2.847, Cl: 9.577,
+  K: 3.67, Ca: 4.70, Sc: 12.29, Ti: -3.438, V: -0.3824, Cr: 3.635, Mn: -3.73,
+  Fe: 9.45, Co: 2.49, Ni: 10.3, Cu: 7.718, Zn: 5.680, Ga: 7.288, Ge: 8.185,
+  As: 6.58, Se: 7.970, Br: 6.795, Rb: 7.09, Sr: 7.02, Zr: 7.16, Nb: 7.054,
+  Mo: 6.715, Pd: 5.91, Ag: 5.922, Cd: 4.87, In: 4.065, Sn: 6.225, Sb: 5.57,
+  Te: 5.80, I: 5.28, Cs: 5.42, Ba: 5.07, Ta: 6.91, W: 4.86, Pt: 9.60,
+  Au: 7.63, Tl: 8.776, Pb: 9.405, Bi: 8.532, Th: 10.31, U: 8.417,
+};
+
+/**
+ * Coherent neutron scattering length b for an element.
+ *
+ * @param {string} element - Element symbol (falls back to Si if untabulated)
+ * @returns {number} b in fm
+ */
+export function neutronScatteringLength(element) {
+  return NEUTRON_SCATTERING_LENGTHS[element] ?? NEUTRON_SCATTERING_LENGTHS[FALLBACK_ELEMENT];
+}
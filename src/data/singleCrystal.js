@@ -0,0 +1,192 @@
+/**
+ * Single-Crystal Diffraction Patterns
+ *
+ * Spot patterns of one oriented crystal on a flat detector, from the same
+ * reciprocal lattice and structure factors as the powder pattern.
+ *
+ * Orientation: the zone axis [uvw] (a real-space direction) is set parallel
+ * to the incident beam (lab z), then the crystal is turned by ψ about the
+ * beam and tilted about the detector axes.
+ *
+ * Geometries:
+ *  - Laue: white beam, λmin ≤ λ ≤ λmax.  Every G with k₀·G < 0 diffracts at
+ *    the wavelength satisfying the Ewald condition, λ = −2 (ẑ·G) / |G|².
+ *    Harmonics nG share a spot; their |F|² are summed.  Spot position is
+ *    where k′ = ẑ/λ + G meets a detector at distance D = 1 (transmission,
+ *    downstream) or D = −1 (back-reflection, on the source side).
+ *  - Precession: monochromatic, undistorted zero layer.  The reflections
+ *    with G ⊥ beam (ZOLZ) are drawn at their reciprocal coordinates (Å⁻¹),
+ *    as a precession camera records them.
+ *
+ * Intensities are |F|² (form factors at s = |G|/2); Lorentz and source
+ * spectrum factors are not applied.
+ *
+ * References:
+ *  - Amorós, Buerger & Amorós, "The Laue Method" (1975)
+ *  - Buerger, "The Precession Method" (1964)
+ */
+
+import { resolveCell, latticeVectors, reciprocalVectors } from './unitCell';
+import { structureFactor, isAbsent, siteFormFactors } from './diffraction';
+import { planeLabel } from './millerIndices';
+import { add, scale, dot, cross, magnitude, normalize } from './vectorMath';
+
+/** Geometries of the single-crystal view ('saed' is computed by electronDiffraction.js). */
+export const SINGLE_CRYSTAL_GEOMETRIES = {
+  laue: 'Laue',
+  laueBack: 'Back-reflection Laue',
+  precession: 'Precession',
+  saed: 'SAED (TEM)',
+};
+
+/** Default orientation and source settings. */
+export const DEFAULT_SINGLE_CRYSTAL = {
+  geometry: 'laue',
+  zoneAxis: [0, 0, 1],
+  rotation: 0,     // ψ about the beam (degrees)
+  tiltX: 0,        // about detector x (degrees)
+  tiltY: 0,        // about detector y (degrees)
+  lambdaMin: 0.4,  // Laue band (Å)
+  lambdaMax: 2.0,
+};
+
+/** Half-width of the flat detector in units of its distance (≈ 2θ ≤ 50°). */
+export const DETECTOR_HALF_WIDTH = 1.2;
+
+/** Largest index enumerated, whatever the band. */
+const MAX_INDEX = 12;
+
+/** |ẑ·G| (Å⁻¹) below which a reflection counts as zero-layer. */
+const LAYER_TOLERANCE = 1e-3;
+
+const DEG = Math.PI / 180;
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function rotateAbout(v, axis, angleDeg) {
+  if (!angleDeg) return v;
+  const c = Math.cos(angleDeg * DEG), s = Math.sin(angleDeg * DEG);
+  // Rodrigues: v cosφ + (k × v) sinφ + k (k·v)(1 − cosφ)
+  return add(add(scale(v, c), scale(cross(axis, v), s)), scale(axis, dot(axis, v) * (1 - c)));
+}
+
+/**
+ * Lab frame for an orientation: beam along lab z = the zone axis [uvw].
+ *
+ * @param {number[][]} vectors - direct lattice vectors [a1, a2, a3]
+ * @param {number[]} zoneAxis - [u, v, w]
+ * @param {Object} [angles] - { rotation, tiltX, tiltY } in degrees
+ * @returns {(v: number[]) => number[]} maps a Cartesian crystal vector to lab coordinates
+ */
+export function crystalFrame(vectors, [u, v, w], { rotation = 0, tiltX = 0, tiltY = 0 } = {}) {
+  const ez = normalize(add(add(scale(vectors[0], u), scale(vectors[1], v)), scale(vectors[2], w)));
+  // Detector x: the cell edge most nearly perpendicular to the beam
+  const ref = [...vectors]
+    .sort((p, q) => Math.abs(dot(normalize(p), ez)) - Math.abs(dot(normalize(q), ez)))[0];
+  const ex = normalize(add(ref, scale(ez, -dot(ref, ez))));
+  const ey = cross(ez, ex);
+
+  return (vec) => {
+    let lab = [dot(vec, ex), dot(vec, ey), dot(vec, ez)];
+    lab = rotateAbout(lab, [0, 0, 1], rotation);
+    lab = rotateAbout(lab, [1, 0, 0], tiltX);
+    return rotateAbout(lab, [0, 1, 0], tiltY);
+  };
+}
+
+/**
+ * Compute a single-crystal spot pattern.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @param {Object} [options] - DEFAULT_SINGLE_CRYSTAL fields plus
+ * @param {number} [options.wavelength=1.5406] - λ for precession (Å)
+ * @param {string} [options.radiation='xray'] - key into RADIATIONS
+ * @returns {{ spots: Array<{ hkl, label, x, y, intensity, relativeIntensity, absent, dSpacing, twoTheta, lambda }>, extent }}
+ *   x, y in detector units (Laue: distance D; precession: Å⁻¹); extent is
+ *   the half-width of the plotted area in the same units
+ */
+export function singleCrystalPattern(structure, cell, options = {}) {
+  const {
+    geometry, zoneAxis, rotation, tiltX, tiltY, lambdaMin, lambdaMax,
+  } = { ...DEFAULT_SINGLE_CRYSTAL, ...options };
+  const { wavelength = 1.5406, radiation = 'xray' } = options;
+  const { basis } = structure;
+
+  const vectors = latticeVectors(resolveCell(structure, cell));
+  const { b1, b2, b3 } = reciprocalVectors(vectors);
+  const toLab = crystalFrame(vectors, zoneAxis, { rotation, tiltX, tiltY });
+
+  const laue = geometry !== 'precession';
+  // Everything inside the limiting sphere |G| ≤ 2/λ (shortest λ for Laue)
+  const gMax = 2 / (laue ? lambdaMin : wavelength);
+  const extent = laue ? DETECTOR_HALF_WIDTH : gMax;
+  const maxIndex = Math.min(MAX_INDEX, Math.ceil(gMax * Math.max(...vectors.map(magnitude))));
+
+  const spotMap = new Map();
+  for (let h = -maxIndex; h <= maxIndex; h++) {
+    for (let k = -maxIndex; k <= maxIndex; k++) {
+      for (let l = -maxIndex; l <= maxIndex; l++) {
+        if (h === 0 && k === 0 && l === 0) continue;
+        const G = add(add(scale(b1, h), scale(b2, k)), scale(b3, l));
+        const gMag = magnitude(G);
+        if (gMag > gMax) continue;
+        const g = toLab(G);
+
+        let x, y, lambda;
+        if (laue) {
+          // Ewald condition for a beam along +z: λ = −2 g_z / |G|²
+          if (g[2] >= 0) continue;
+          lambda = (-2 * g[2]) / (gMag * gMag);
+          if (lambda < lambdaMin || lambda > lambdaMax) continue;
+          const kOut = add([0, 0, 1 / lambda], g);
+          if (geometry === 'laue' ? kOut[2] <= 0 : kOut[2] >= 0) continue;
+          x = kOut[0] / Math.abs(kOut[2]);
+          y = kOut[1] / Math.abs(kOut[2]);
+          if (Math.abs(x) > extent || Math.abs(y) > extent) continue;
+        } else {
+          if (Math.abs(g[2]) > LAYER_TOLERANCE) continue;
+          lambda = wavelength;
+          [x, y] = g;
+        }
+
+        const weights = siteFormFactors(structure, gMag / 2, radiation);
+        const absent = isAbsent(h, k, l, basis, weights);
+        const F2 = absent ? 0 : structureFactor(h, k, l, basis, weights).magnitudeSquared;
+        const sinTheta = (lambda * gMag) / 2;
+        const twoTheta = sinTheta < 1 ? (2 * Math.asin(sinTheta)) / DEG : 180;
+
+        // Laue harmonics nG land on one spot: key by the primitive direction
+        const n = laue ? gcd(gcd(h, k), l) : 1;
+        const key = `${h / n},${k / n},${l / n}`;
+        const spot = spotMap.get(key);
+        if (!spot) {
+          spotMap.set(key, {
+            hkl: [h, k, l], x, y, intensity: F2, absent, order: n,
+            dSpacing: 1 / gMag, twoTheta, lambda,
+          });
+        } else {
+          spot.intensity += F2;
+          // Label with the lowest harmonic that actually diffracts
+          if ((!absent && spot.absent) || (absent === spot.absent && n < spot.order)) {
+            Object.assign(spot, { hkl: [h, k, l], absent, order: n, dSpacing: 1 / gMag, twoTheta, lambda });
+          }
+        }
+      }
+    }
+  }
+
+  const spots = [...spotMap.values()].map((spot) => {
+    const { order: _order, ...rest } = spot;
+    return { ...rest, absent: spot.intensity <= 0, label: planeLabel(spot.hkl, structure), relativeIntensity: 0 };
+  });
+  const maxI = Math.max(...spots.map(s => s.intensity), 1e-20);
+  for (const s of spots) s.relativeIntensity = (s.intensity / maxI) * 100;
+
+  return { spots, extent };
+}
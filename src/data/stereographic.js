@@ -0,0 +1,220 @@
+/**
+ * Stereographic Projection
+ *
+ * Plane poles (normals, from computePlane) and directions [uvw] of the
+ * structure projected onto the plane of the page.  In the view frame z
+ * points at the viewer; a unit vector p on the upper hemisphere (p_z ≥ 0)
+ * lands at
+ *
+ *   (x, y) = (p_x, p_y) / (1 + p_z),
+ *
+ * inside the unit primitive circle.  Angles are preserved, and every great
+ * circle (a zone: all planes containing one direction) projects to a
+ * circular arc.  Since ±p are the same plane or line, the upper hemisphere
+ * shows every pole once (twice on the primitive).
+ *
+ * The crystal is placed in the view frame either by a rotation matrix (the
+ * 3D view's camera, so turning the crystal turns the projection) or as a
+ * standard projection with a zone axis [uvw] at the centre, oriented as in
+ * singleCrystal.js.
+ *
+ * References:
+ *  - Cullity & Stock, "Elements of X-Ray Diffraction" (2001), §2-11
+ *  - Kelly & Knowles, "Crystallography and Crystal Defects" (2012), ch. 1
+ */
+
+import { computePlane, directionVector, planeLabel, directionLabel } from './millerIndices';
+import { resolveCell, latticeVectors } from './unitCell';
+import { crystalFrame } from './singleCrystal';
+import { normalize, cross, dot, add, scale } from './vectorMath';
+
+/** Display options of the stereogram panel. */
+export const DEFAULT_STEREOGRAM = {
+  show: false,
+  centre: 'view',       // 'view' (follows the 3D crystal) | 'direction' (standard, along [uvw])
+  maxIndex: 2,          // largest |h|, |k|, |l| (and |u|, |v|, |w|) plotted
+  showDirections: true,
+  showZones: true,      // great circles of the ⟨uvw⟩ zones with indices ≤ 1
+  showNet: true,        // Wulff net
+  showLabels: true,
+};
+
+/** Below the primitive by more than this, a pole is on the hidden hemisphere. */
+const HEMISPHERE_TOLERANCE = 1e-9;
+
+/** Points per half great circle or triangle edge. */
+const ARC_STEPS = 64;
+
+const DEG = Math.PI / 180;
+
+function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+/** Primitive index triples up to maxIndex, both signs. */
+function primitiveTriples(maxIndex) {
+  const triples = [];
+  for (let h = -maxIndex; h <= maxIndex; h++) {
+    for (let k = -maxIndex; k <= maxIndex; k++) {
+      for (let l = -maxIndex; l <= maxIndex; l++) {
+        if (gcd(gcd(h, k), l) === 1) triples.push([h, k, l]);
+      }
+    }
+  }
+  return triples;
+}
+
+/** Stereographic point of a unit vector on the upper hemisphere. */
+function project([x, y, z]) {
+  return [x / (1 + z), y / (1 + z)];
+}
+
+/**
+ * Project a sampled curve of unit vectors, split into polylines wherever it
+ * dips below the primitive.
+ */
+function projectCurve(points) {
+  const segments = [];
+  let current = [];
+  for (const p of points) {
+    if (p[2] < -HEMISPHERE_TOLERANCE) {
+      if (current.length > 1) segments.push(current);
+      current = [];
+    } else {
+      current.push(project(p));
+    }
+  }
+  if (current.length > 1) segments.push(current);
+  return segments;
+}
+
+/** Upper half of the great circle with unit normal n (view frame). */
+function greatCircle(n) {
+  // Start on the primitive, where the circle crosses z = 0
+  const u = Math.hypot(n[0], n[1]) < 1e-9 ? [1, 0, 0] : normalize([n[1], -n[0], 0]);
+  let v = cross(n, u);
+  if (v[2] < 0) v = scale(v, -1);
+  return projectCurve(Array.from({ length: ARC_STEPS + 1 }, (_, i) => {
+    const t = (Math.PI * i) / ARC_STEPS;
+    return add(scale(u, Math.cos(t)), scale(v, Math.sin(t)));
+  }));
+}
+
+/** Great-circle arc between two unit vectors (view frame). */
+function arc(p, q) {
+  const omega = Math.acos(Math.max(-1, Math.min(1, dot(p, q))));
+  if (omega < 1e-9) return projectCurve([p]);
+  return projectCurve(Array.from({ length: ARC_STEPS + 1 }, (_, i) => {
+    const t = i / ARC_STEPS;
+    return add(scale(p, Math.sin((1 - t) * omega) / Math.sin(omega)), scale(q, Math.sin(t * omega) / Math.sin(omega)));
+  }));
+}
+
+/**
+ * Corners of the standard (unit) triangle as plane indices: 001–101–111
+ * for cubic, 0001–10-10–11-20 for hexagonal.  Other systems have none.
+ */
+const STANDARD_TRIANGLES = {
+  cubic: [[0, 0, 1], [1, 0, 1], [1, 1, 1]],
+  hexagonal: [[0, 0, 1], [1, 0, 0], [1, 1, 0]],
+};
+
+/**
+ * Wulff net in the view frame: meridians through the top and bottom of the
+ * primitive and parallels of latitude about that axis.
+ *
+ * @param {number} [step=10] - spacing in degrees
+ * @returns {{ meridians: number[][][][], parallels: number[][][][] }} each
+ *   curve a list of polylines of [x, y] points
+ */
+export function wulffNet(step = 10) {
+  const meridians = [];
+  const parallels = [];
+  for (let a = step; a < 180; a += step) {
+    if (a === 90) continue;   // the vertical diameter, drawn by the chart
+    meridians.push(greatCircle([Math.cos(a * DEG), 0, Math.sin(a * DEG)]));
+  }
+  for (let lat = -90 + step; lat < 90; lat += step) {
+    if (lat === 0) continue;  // the horizontal diameter
+    const c = Math.cos(lat * DEG), s = Math.sin(lat * DEG);
+    parallels.push(projectCurve(Array.from({ length: ARC_STEPS + 1 }, (_, i) => {
+      const t = (Math.PI * i) / ARC_STEPS;
+      return [c * Math.cos(t), s, c * Math.sin(t)];
+    })));
+  }
+  return { meridians, parallels };
+}
+
+/**
+ * Stereogram of the structure in its current cell.
+ *
+ * @param {Object} structure - effective structure (lattices.js shape)
+ * @param {Object} cell - cell parameters
+ * @param {Object} [options]
+ * @param {number} [options.maxIndex=2] - largest index plotted
+ * @param {number[][]|null} [options.orientation] - rows of the rotation from
+ *   Cartesian crystal axes to the view frame; when absent, a standard
+ *   projection along options.zoneAxis
+ * @param {number[]} [options.zoneAxis=[0, 0, 1]] - [uvw] at the centre
+ * @param {number[]|null} [options.plane] - (hkl) whose trace is drawn
+ * @param {number[]|null} [options.direction] - [uvw] whose zone circle is drawn
+ * @returns {{ planes, directions, zones, triangle, planeTrace, directionZone }}
+ *   planes / directions: [{ hkl | uvw, label, x, y, order }] on the upper
+ *   hemisphere (order = largest |index|); zones: [{ uvw, label, path }];
+ *   triangle: { corners: [{ hkl, label, x, y, visible }], path } or null;
+ *   every path is a list of polylines of [x, y] in units of the primitive
+ *   radius
+ */
+export function stereographicProjection(structure, cell, options = {}) {
+  const {
+    maxIndex = 2, orientation = null, zoneAxis = [0, 0, 1], plane = null, direction = null,
+  } = options;
+  const resolved = resolveCell(structure, cell);
+  const toView = orientation
+    ? v => orientation.map(row => dot(row, v))
+    : crystalFrame(latticeVectors(resolved), zoneAxis);
+
+  const planeNormal = hkl => normalize(toView(computePlane(...hkl, resolved).planeNormal));
+  const directionUnit = uvw => normalize(toView(directionVector(uvw, resolved)));
+  const order = t => Math.max(...t.map(Math.abs));
+  const triples = primitiveTriples(maxIndex);
+
+  const poles = (unitOf, labelOf, key) => triples.flatMap(t => {
+    const p = unitOf(t);
+    if (p[2] < -HEMISPHERE_TOLERANCE) return [];
+    const [x, y] = project(p);
+    return [{ [key]: t, label: labelOf(t, structure), x, y, order: order(t) }];
+  });
+
+  // One of each ±[uvw] pair: first non-zero index positive
+  const zones = primitiveTriples(1)
+    .filter(t => t.find(x => x !== 0) > 0)
+    .map(uvw => ({ uvw, label: directionLabel(uvw, structure), path: greatCircle(directionUnit(uvw)) }));
+
+  const cornerIndices = STANDARD_TRIANGLES[structure.crystalSystem];
+  let triangle = null;
+  if (cornerIndices) {
+    const units = cornerIndices.map(planeNormal);
+    triangle = {
+      corners: cornerIndices.map((hkl, i) => {
+        const [x, y] = project(units[i]);
+        return { hkl, label: planeLabel(hkl, structure), x, y, visible: units[i][2] >= -HEMISPHERE_TOLERANCE };
+      }),
+      path: units.flatMap((p, i) => arc(p, units[(i + 1) % 3])),
+    };
+  }
+
+  const isZero = t => !t || t.every(x => x === 0);
+  return {
+    planes: poles(planeNormal, planeLabel, 'hkl'),
+    directions: poles(directionUnit, directionLabel, 'uvw'),
+    zones,
+    triangle,
+    // The trace of (hkl) is the great circle normal to its pole
+    planeTrace: isZero(plane) ? null : greatCircle(planeNormal(plane)),
+    directionZone: isZero(direction) ? null : greatCircle(directionUnit(direction)),
+  };
+}
@@ -0,0 +1,170 @@
+/**
+ * Structure Export (CIF, VASP POSCAR, extended XYZ)
+ *
+ * Serialises the active structure — either its conventional cell or the
+ * N×N×N supercell produced by generateLattice — for use in DFT and MD codes.
+ * All formats are written in P1 with every site listed explicitly.
+ *
+ * References:
+ *  - Hall, Allen & Brown, Acta Cryst. A47, 655 (1991) — CIF
+ *  - VASP wiki, "POSCAR" — VASP 5 format with species line
+ *  - ASE documentation, "extxyz" — extended XYZ comment-line conventions
+ */
+
+import { generateLattice } from './latticeGenerator';
+import { getStructureElement } from './diffraction';
+import { dot, magnitude } from './vectorMath';
+import { resolveCell, latticeVectors } from './unitCell';
+
+export const EXPORT_FORMATS = {
+  cif: { label: 'CIF', extension: 'cif', mime: 'chemical/x-cif' },
+  poscar: { label: 'POSCAR', extension: 'vasp', mime: 'text/plain' },
+  xyz: { label: 'XYZ', extension: 'xyz', mime: 'chemical/x-xyz' },
+};
+
+const RAD = 180 / Math.PI;
+
+function fmt(x, digits = 8) {
+  const s = x.toFixed(digits);
+  return s.startsWith('-') ? s : ` ${s}`;
+}
+
+/**
+ * Build the cell to export.
+ *
+ * @param {Object} structure - from lattices.js
+ * @param {Object|number} [cell] - cell parameters (partial overrides allowed) or a (Å)
+ * @param {number} [repeat=1] - 1 for the conventional cell, N for N×N×N
+ * @returns {{ lattice: number[][], sites: Array<{species, frac}> }}
+ *   lattice rows are the cell vectors in Å; frac are in [0, 1)
+ */
+export function buildExportCell(structure, cell = null, repeat = 1) {
+  const resolved = resolveCell(structure, cell);
+  const lattice = latticeVectors(resolved).map(v => v.map(c => c * repeat));
+  const fallback = getStructureElement(structure.id);
+
+  const sites = generateLattice(structure, repeat, resolved).map(atom => ({
+    species: atom.atomType || fallback,
+    frac: atom.fractional.map(u => u / repeat),
+  }));
+
+  // Group by species (POSCAR requires contiguous blocks), keep order of first appearance
+  const order = [...new Set(sites.map(s => s.species))];
+  sites.sort((p, q) => order.indexOf(p.species) - order.indexOf(q.species));
+
+  return { lattice, sites };
+}
+
+function cellParameters(lattice) {
+  const [va, vb, vc] = lattice;
+  const a = magnitude(va), b = magnitude(vb), c = magnitude(vc);
+  return {
+    a, b, c,
+    alpha: Math.acos(dot(vb, vc) / (b * c)) * RAD,
+    beta: Math.acos(dot(va, vc) / (a * c)) * RAD,
+    gamma: Math.acos(dot(va, vb) / (a * b)) * RAD,
+  };
+}
+
+function speciesCounts(sites) {
+  const counts = new Map();
+  for (const { species } of sites) counts.set(species, (counts.get(species) || 0) + 1);
+  return counts;
+}
+
+function toCartesian(lattice, [u, v, w]) {
+  return [0, 1, 2].map(i => u * lattice[0][i] + v * lattice[1][i] + w * lattice[2][i]);
+}
+
+
+/* ── Writers ── */
+
+export function toCIF({ lattice, sites }, title) {
+  const { a, b, c, alpha, beta, gamma } = cellParameters(lattice);
+  const counts = speciesCounts(sites);
+  const formula = [...counts].map(([el, n]) => `${el}${n}`).join(' ');
+  const labelIdx = new Map();
+
+  const lines = [
+    `data_${title.replace(/[^\x21-\x7e]+/g, '_')}`,
+    "_audit_creation_method 'Auraeon Crystal Lattice Simulator'",
+    `_chemical_formula_sum '${formula}'`,
+    `_cell_length_a ${a.toFixed(6)}`,
+    `_cell_length_b ${b.toFixed(6)}`,
+    `_cell_length_c ${c.toFixed(6)}`,
+    `_cell_angle_alpha ${alpha.toFixed(4)}`,
+    `_cell_angle_beta ${beta.toFixed(4)}`,
+    `_cell_angle_gamma ${gamma.toFixed(4)}`,
+    "_symmetry_space_group_name_H-M 'P 1'",
+    '_symmetry_Int_Tables_number 1',
+    'loop_',
+    '_symmetry_equiv_pos_as_xyz',
+    "'x, y, z'",
+    'loop_',
+    '_atom_site_label',
+    '_atom_site_type_symbol',
+    '_atom_site_fract_x',
+    '_atom_site_fract_y',
+    '_atom_site_fract_z',
+    '_atom_site_occupancy',
+  ];
+  for (const { species, frac } of sites) {
+    const n = (labelIdx.get(species) || 0) + 1;
+    labelIdx.set(species, n);
+    lines.push(`${species}${n} ${species} ${frac.map(u => u.toFixed(6)).join(' ')} 1.0`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+export function toPOSCAR({ lattice, sites }, title) {
+  const counts = speciesCounts(sites);
+  const lines = [
+    title,
+    '1.0',
+    ...lattice.map(v => `  ${v.map(c => fmt(c, 10)).join('  ')}`),
+    `  ${[...counts.keys()].join('  ')}`,
+    `  ${[...counts.values()].join('  ')}`,
+    'Direct',
+    ...sites.map(({ frac }) => `  ${frac.map(u => fmt(u, 10)).join('  ')}`),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+export function toExtendedXYZ({ lattice, sites }, title) {
+  const latticeStr = lattice.flat().map(c => c.toFixed(8)).join(' ');
+  const lines = [
+    String(sites.length),
+    `Lattice="${latticeStr}" Properties=species:S:1:pos:R:3 pbc="T T T" comment="${title}"`,
+    ...sites.map(({ species, frac }) =>
+      `${species.padEnd(3)} ${toCartesian(lattice, frac).map(c => fmt(c)).join('  ')}`),
+  ];
+  return lines.join('\n') + '\n';
+}
+
+const WRITERS = { cif: toCIF, poscar: toPOSCAR, xyz: toExtendedXYZ };
+
+/**
+ * Serialise a structure.
+ *
+ * @param {Object} structure - from lattices.js
+ * @param {string} format - key into EXPORT_FORMATS
+ * @param {Object} [options]
+ * @param {Object|number} [options.cell] - cell parameters (partial overrides allowed) or a (Å)
+ * @param {number} [options.repeat=1] - supercell size (1 = conventional cell)
+ * @returns {{ text: string, fileName: string, mime: string }}
+ */
+export function exportStructure(structure, format, { cell = null, repeat = 1 } = {}) {
+  const writer = WRITERS[format];
+  if (!writer) throw new Error(`Unknown export format "${format}"`);
+
+  const exportCell = buildExportCell(structure, cell, repeat);
+  const suffix = repeat > 1 ? `_${repeat}x${repeat}x${repeat}` : '';
+  const title = `${structure.name}${repeat > 1 ? ` ${repeat}x${repeat}x${repeat} supercell` : ''}`;
+  const { extension, mime } = EXPORT_FORMATS[format];
+
+  return {
+    text: writer(exportCell, title),
+    fileName: `crystal-${structure.material || structure.id}${suffix}.${extension}`,
+    mime,
+  };
+}
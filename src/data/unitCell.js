@@ -0,0 +1,221 @@
+/**
+ * Unit Cell Geometry
+ *
+ * Builds direct and reciprocal lattice vectors from the six cell parameters
+ * (a, b, c, α, β, γ) and enforces the constraints of each crystal system,
+ * so that every structure — cubic or triclinic — goes through one code path.
+ *
+ * Conventions:
+ *  - a lies along x, b lies in the xy-plane (standard crystallographic setting)
+ *  - lengths in Å, angles in degrees
+ *  - reciprocal vectors without the 2π factor (|G| = 1/d)
+ *
+ * Reference: Giacovazzo et al., "Fundamentals of Crystallography" (2011), ch. 2
+ */
+
+import { cross, dot, scale } from './vectorMath';
+
+const DEG = Math.PI / 180;
+
+/**
+ * Crystal systems: which parameters are free and how the rest are tied.
+ *  - free: parameters the user may vary independently
+ *  - tied: parameter → parameter it must equal
+ *  - fixed: parameter → fixed value (degrees)
+ *
+ * Trigonal uses the rhombohedral setting (a = b = c, α = β = γ); trigonal
+ * structures described on hexagonal axes use the hexagonal system.
+ */
+export const CRYSTAL_SYSTEMS = {
+  cubic: {
+    name: 'Cubic',
+    free: ['a'],
+    tied: { b: 'a', c: 'a' },
+    fixed: { alpha: 90, beta: 90, gamma: 90 },
+  },
+  tetragonal: {
+    name: 'Tetragonal',
+    free: ['a', 'c'],
+    tied: { b: 'a' },
+    fixed: { alpha: 90, beta: 90, gamma: 90 },
+  },
+  orthorhombic: {
+    name: 'Orthorhombic',
+    free: ['a', 'b', 'c'],
+    tied: {},
+    fixed: { alpha: 90, beta: 90, gamma: 90 },
+  },
+  hexagonal: {
+    name: 'Hexagonal',
+    free: ['a', 'c'],
+    tied: { b: 'a' },
+    fixed: { alpha: 90, beta: 90, gamma: 120 },
+  },
+  trigonal: {
+    name: 'Trigonal (R)',
+    free: ['a', 'alpha'],
+    tied: { b: 'a', c: 'a', beta: 'alpha', gamma: 'alpha' },
+    fixed: {},
+  },
+  monoclinic: {
+    name: 'Monoclinic',
+    free: ['a', 'b', 'c', 'beta'],
+    tied: {},
+    fixed: { alpha: 90, gamma: 90 },
+  },
+  triclinic: {
+    name: 'Triclinic',
+    free: ['a', 'b', 'c', 'alpha', 'beta', 'gamma'],
+    tied: {},
+    fixed: {},
+  },
+};
+
+export const CELL_PARAMETERS = ['a', 'b', 'c', 'alpha', 'beta', 'gamma'];
+
+/** Free cell parameters for a structure (defaults to cubic). */
+export function freeParameters(structure) {
+  return CRYSTAL_SYSTEMS[structure.crystalSystem || 'cubic'].free;
+}
+
+/**
+ * Resolve the full cell for a structure.
+ *
+ * Structures carry defaultA plus optional bOverA / cOverA ratios and
+ * alpha / beta / gamma.  Length overrides may be absolute (b, c in Å) or
+ * ratios (bOverA, cOverA); any length that is not overridden keeps the
+ * structure's default ratio to a, so a lone lattice-constant change scales
+ * the whole cell.
+ *
+ * @param {Object} structure - from lattices.js
+ * @param {Object|number} [overrides] - partial {a, b, c, bOverA, cOverA,
+ *   alpha, beta, gamma}, or just a (Å)
+ * @returns {{ a, b, c, alpha, beta, gamma }}
+ */
+export function resolveCell(structure, overrides = {}) {
+  const o = typeof overrides === 'number' ? { a: overrides } : (overrides || {});
+  const system = CRYSTAL_SYSTEMS[structure.crystalSystem || 'cubic'];
+
+  const a = o.a || structure.defaultA;
+  const cell = {
+    a,
+    b: o.b ?? a * (o.bOverA ?? structure.bOverA ?? 1),
+    c: o.c ?? a * (o.cOverA ?? structure.cOverA ?? 1),
+    alpha: o.alpha ?? structure.alpha ?? 90,
+    beta: o.beta ?? structure.beta ?? 90,
+    gamma: o.gamma ?? structure.gamma ?? system.fixed.gamma ?? 90,
+  };
+
+  for (const [param, value] of Object.entries(system.fixed)) cell[param] = value;
+  for (const [param, source] of Object.entries(system.tied)) cell[param] = cell[source];
+  return cell;
+}
+
+/**
+ * Resolve the cell from the app's settings object
+ * (settings.latticeConstant for a, settings.cellParams for the rest).
+ */
+export function cellFromSettings(structure, settings) {
+  return resolveCell(structure, { ...settings.cellParams, a: settings.latticeConstant });
+}
+
+/**
+ * Direct lattice vectors (Å) from cell parameters.
+ * @returns {number[][]} [a1, a2, a3]
+ */
+export function latticeVectors({ a, b, c, alpha, beta, gamma }) {
+  const ca = Math.cos(alpha * DEG), cb = Math.cos(beta * DEG);
+  const cg = Math.cos(gamma * DEG), sg = Math.sin(gamma * DEG);
+
+  const cx = c * cb;
+  const cy = c * (ca - cb * cg) / sg;
+  const cz = Math.sqrt(Math.max(0, c * c - cx * cx - cy * cy));
+
+  // Snap round-off (e.g. cos 90° ≈ 6e-17) so cubic cells stay exactly axis-aligned
+  const snap = v => v.map(x => (Math.abs(x) < 1e-12 ? 0 : x));
+  return [
+    snap([a, 0, 0]),
+    snap([b * cg, b * sg, 0]),
+    snap([cx, cy, cz]),
+  ];
+}
+
+/**
+ * Reciprocal lattice vectors (Å⁻¹, no 2π) from direct vectors.
+ * @returns {{ b1, b2, b3, volume }}
+ */
+export function reciprocalVectors([a1, a2, a3]) {
+  const volume = dot(a1, cross(a2, a3));
+  return {
+    b1: scale(cross(a2, a3), 1 / volume),
+    b2: scale(cross(a3, a1), 1 / volume),
+    b3: scale(cross(a1, a2), 1 / volume),
+    volume: Math.abs(volume),
+  };
+}
+
+/**
+ * Every (hkl) ≠ 0 inside the limiting sphere |G| ≤ gMax (Å⁻¹).
+ *
+ * With the reciprocal metric tensor g*ᵢⱼ = bᵢ·bⱼ, |G|² = hᵀ g* h.  Since
+ * h = G·a₁, |h| ≤ gMax·a (likewise k, l), which bounds the outer loops; for
+ * each (h, k) the l range is the root interval of the quadratic
+ * g*₃₃ l² + 2(g*₁₃ h + g*₂₃ k) l + (rest) ≤ gMax², so the work scales
+ * with the sphere's volume rather than a fixed index cube.
+ *
+ * @param {Object} cell - full cell parameters (see resolveCell)
+ * @param {number} gMax - sphere radius (Å⁻¹, no 2π)
+ * @returns {Array<{ hkl: number[], gSquared: number }>}
+ */
+export function reflectionsInSphere(cell, gMax) {
+  const { b1, b2, b3 } = reciprocalVectors(latticeVectors(cell));
+  const g11 = dot(b1, b1), g22 = dot(b2, b2), g33 = dot(b3, b3);
+  const g12 = dot(b1, b2), g13 = dot(b1, b3), g23 = dot(b2, b3);
+  const limit = gMax * gMax;
+  const hMax = Math.floor(gMax * cell.a);
+  const kMax = Math.floor(gMax * cell.b);
+
+  const result = [];
+  for (let h = -hMax; h <= hMax; h++) {
+    for (let k = -kMax; k <= kMax; k++) {
+      const half = g13 * h + g23 * k;
+      const rest = g11 * h * h + g22 * k * k + 2 * g12 * h * k;
+      const disc = half * half - g33 * (rest - limit);
+      if (disc < 0) continue;
+      const root = Math.sqrt(disc);
+      const lMin = Math.ceil((-half - root) / g33);
+      const lMax = Math.floor((-half + root) / g33);
+      for (let l = lMin; l <= lMax; l++) {
+        if (h === 0 && k === 0 && l === 0) continue;
+        const gSquared = rest + 2 * half * l + g33 * l * l;
+        if (gSquared <= limit) result.push({ hkl: [h, k, l], gSquared });
+      }
+    }
+  }
+  return result;
+}
+
+/** Cell volume (Å³). */
+export function cellVolume(cell) {
+  const [a1, a2, a3] = latticeVectors(cell);
+  return Math.abs(dot(a1, cross(a2, a3)));
+}
+
+/**
+ * Guess the crystal system from cell parameters (used for CIF import when
+ * the file does not state it).
+ */
+export function inferCrystalSystem({ a, b, c, alpha, beta, gamma }, tol = 1e-3) {
+  const eq = (x, y) => Math.abs(x - y) <= tol * Math.max(Math.abs(x), Math.abs(y), 1);
+  const right = x => eq(x, 90);
+
+  if (right(alpha) && right(beta) && eq(gamma, 120) && eq(a, b)) return 'hexagonal';
+  if (right(alpha) && right(beta) && right(gamma)) {
+    if (eq(a, b) && eq(b, c)) return 'cubic';
+    if (eq(a, b)) return 'tetragonal';
+    return 'orthorhombic';
+  }
+  if (eq(a, b) && eq(b, c) && eq(alpha, beta) && eq(beta, gamma)) return 'trigonal';
+  if (right(alpha) && right(gamma)) return 'monoclinic';
+  return 'triclinic';
+}
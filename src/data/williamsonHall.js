@@ -0,0 +1,227 @@
+/**
+ * Williamson–Hall Analysis
+ *
+ * Separates crystallite-size and microstrain broadening from the widths of
+ * individual reflections:
+ *
+ *   β·cosθ = Kλ / L + ε·4sinθ
+ *
+ * so a straight-line fit of β·cosθ against 4sinθ gives the size L from the
+ * intercept and the strain ε from the slope.  β is the sample broadening
+ * (radians), obtained from each fitted FWHM by removing the Caglioti
+ * instrumental width in quadrature — the same convolution rule
+ * powderProfile.js uses to build the peaks.
+ *
+ * Peak widths are measured by fitting a single reflection (pseudo-Voigt with
+ * the profile's η, Kα doublet if enabled, flat local background) to each
+ * well-isolated peak, whether the pattern is simulated or measured.
+ *
+ * Reference: Williamson & Hall, Acta Metall. 1, 22 (1953)
+ */
+
+import { peakComponents, componentShape, instrumentalFWHM, fwhmAt, profileAt, SCHERRER_K } from './powderProfile';
+import { solveLinear } from './leastSquares';
+import { correctedTwoTheta } from './experimentalPattern';
+
+const DEG = Math.PI / 180;
+
+/** Points sampled per degree when a simulated pattern is analysed. */
+const SIMULATION_STEP = 0.01;
+
+/** Reflections weaker than this (% of strongest) are not fitted. */
+const MIN_RELATIVE_INTENSITY = 1;
+
+/**
+ * Fit one reflection: y = A · Σ lines Ω(x; c, H) + b.
+ * @returns {{ centre, fwhm } | null}
+ */
+function fitSinglePeak(x, y, start, profile, lines, lambda) {
+  // Shape with a free FWHM: pin the instrument term to H² and drop sample terms
+  const model = ([A, c, H, b]) => {
+    const shape = { ...profile, U: 0, V: 0, W: H * H, crystalliteSize: 0, microstrain: 0, asymmetry: 0 };
+    const d = lambda / (2 * Math.sin((c / 2) * DEG));
+    const comps = peakComponents({ twoTheta: c, dSpacing: d, relativeIntensity: 1 }, shape, lines);
+    return x.map(xi => A * comps.reduce((s, comp) => s + comp.intensity * componentShape(comp, xi, shape), 0) + b);
+  };
+  const chi2 = calc => calc.reduce((s, yc, i) => s + (y[i] - yc) ** 2, 0);
+
+  let p = [start.area, start.centre, start.fwhm, start.background];
+  let calc = model(p);
+  let current = chi2(calc);
+  let lambdaLM = 1e-3;
+  let converged = false;
+
+  for (let iter = 0; iter < 50 && !converged; iter++) {
+    const steps = [Math.max(Math.abs(p[0]) * 1e-5, 1e-9), 1e-5, 1e-5, Math.max(Math.abs(p[3]) * 1e-5, 1e-6)];
+    const columns = steps.map((h, j) => {
+      const up = [...p], down = [...p];
+      up[j] += h;
+      down[j] -= h;
+      const cu = model(up), cd = model(down);
+      return cu.map((v, i) => (v - cd[i]) / (2 * h));
+    });
+    const JtJ = columns.map(ca => columns.map(cb => ca.reduce((s, v, i) => s + v * cb[i], 0)));
+    const Jtr = columns.map(ca => ca.reduce((s, v, i) => s + v * (y[i] - calc[i]), 0));
+
+    let improved = false;
+    for (let attempt = 0; attempt < 8 && !improved; attempt++) {
+      const damped = JtJ.map((row, a) => row.map((v, b) => (a === b ? v * (1 + lambdaLM) : v)));
+      const delta = solveLinear(damped, Jtr);
+      if (!delta) return null;
+      const trial = p.map((v, j) => v + delta[j]);
+      if (trial[2] <= 0) {
+        lambdaLM *= 10;
+        continue;
+      }
+      const trialCalc = model(trial);
+      const trialChi2 = chi2(trialCalc);
+      if (trialChi2 < current) {
+        const gain = (current - trialChi2) / Math.max(current, 1e-300);
+        p = trial;
+        calc = trialCalc;
+        current = trialChi2;
+        lambdaLM = Math.max(lambdaLM / 10, 1e-9);
+        improved = true;
+        if (gain < 1e-9) converged = true;
+      } else {
+        lambdaLM *= 10;
+      }
+    }
+    if (!improved) break;
+  }
+  return p[0] > 0 ? { centre: p[1], fwhm: p[2] } : null;
+}
+
+/**
+ * Measure sample broadening of isolated reflections in a pattern.
+ *
+ * @param {ArrayLike<number>} twoTheta - scan points (degrees, zero-corrected, ascending)
+ * @param {ArrayLike<number>} intensity
+ * @param {Array} peaks - reflections from generateXRDPattern (positions, labels)
+ * @param {Object} options
+ * @param {Object} options.profile - peak shape (η, U, V, W, size / strain as starting guess)
+ * @param {Array|null} options.lines - emission lines from emissionLines()
+ * @param {number} options.wavelength - λ of the primary line (Å)
+ * @returns {Array<{ label, hkl, twoTheta, fwhm, instrumental, beta }>} widths in degrees
+ */
+export function measurePeakWidths(twoTheta, intensity, peaks, { profile, lines, wavelength }) {
+  const lambda = lines ? lines[0].lambda : wavelength;
+  const estimates = peaks.map((pk) => {
+    const centre = 2 * Math.asin(Math.min(lambda / (2 * pk.dSpacing), 1)) / DEG;
+    return { pk, centre, fwhm: fwhmAt(centre, profile, lambda) };
+  });
+  const split = est => (lines ? 2 * Math.tan((est.centre / 2) * DEG) * (lines[1].lambda - lines[0].lambda) / lines[0].lambda / DEG : 0);
+
+  const results = [];
+  for (const est of estimates) {
+    if (est.pk.relativeIntensity < MIN_RELATIVE_INTENSITY) continue;
+    const lo = est.centre - 3 * est.fwhm;
+    const hi = est.centre + 3 * est.fwhm + split(est);
+
+    // Skip reflections overlapping a neighbour of comparable strength
+    const overlapped = estimates.some(other => other !== est &&
+      other.pk.relativeIntensity > 0.05 * est.pk.relativeIntensity &&
+      other.centre + split(other) + 2 * other.fwhm > lo &&
+      other.centre - 2 * other.fwhm < hi);
+    if (overlapped) continue;
+
+    const xs = [], ys = [];
+    for (let i = 0; i < twoTheta.length; i++) {
+      if (twoTheta[i] >= lo && twoTheta[i] <= hi) {
+        xs.push(twoTheta[i]);
+        ys.push(intensity[i]);
+      }
+    }
+    if (xs.length < 8) continue;
+
+    const background = Math.min(...ys);
+    const peakHeight = Math.max(...ys) - background;
+    if (peakHeight <= 0) continue;
+    const fit = fitSinglePeak(xs, ys, {
+      area: peakHeight * est.fwhm,
+      centre: est.centre,
+      fwhm: est.fwhm,
+      background,
+    }, profile, lines, lambda);
+    if (!fit || fit.centre < lo || fit.centre > hi) continue;
+
+    const instrumental = instrumentalFWHM(fit.centre, profile);
+    results.push({
+      label: est.pk.label,
+      hkl: est.pk.hkl,
+      twoTheta: fit.centre,
+      fwhm: fit.fwhm,
+      instrumental,
+      beta: Math.sqrt(Math.max(fit.fwhm * fit.fwhm - instrumental * instrumental, 0)),
+    });
+  }
+  return results;
+}
+
+/**
+ * Williamson–Hall straight-line fit.
+ *
+ * @param {Array} widths - from measurePeakWidths
+ * @param {number} lambda - wavelength (Å)
+ * @returns {{ points: Array<{ x, y, label }>, slope, intercept, size, strain, r2 }}
+ *   x = 4sinθ, y = β·cosθ (rad); size in nm (null if the intercept is not
+ *   positive, i.e. no measurable size broadening), strain in %
+ */
+export function williamsonHallFit(widths, lambda) {
+  const points = widths.map(({ twoTheta, beta, label }) => ({
+    x: 4 * Math.sin((twoTheta / 2) * DEG),
+    y: beta * DEG * Math.cos((twoTheta / 2) * DEG),
+    label,
+  }));
+  const n = points.length;
+  if (n < 2) return { points, slope: null, intercept: null, size: null, strain: null, r2: null };
+
+  const mx = points.reduce((s, p) => s + p.x, 0) / n;
+  const my = points.reduce((s, p) => s + p.y, 0) / n;
+  let sxx = 0, sxy = 0, syy = 0;
+  for (const { x, y } of points) {
+    sxx += (x - mx) ** 2;
+    sxy += (x - mx) * (y - my);
+    syy += (y - my) ** 2;
+  }
+  const slope = sxx > 0 ? sxy / sxx : 0;
+  const intercept = my - slope * mx;
+
+  return {
+    points,
+    slope,
+    intercept,
+    size: intercept > 1e-9 ? (SCHERRER_K * lambda) / intercept / 10 : null,
+    strain: slope * 100,
+    r2: syy > 0 ? (sxy * sxy) / (sxx * syy) : 1,
+  };
+}
+
+/**
+ * Williamson–Hall analysis of the simulated pattern or a measured scan.
+ *
+ * @param {Array} peaks - from generateXRDPattern
+ * @param {Object} options
+ * @param {Object} options.profile
+ * @param {Array|null} options.lines
+ * @param {number} options.wavelength - λ (Å)
+ * @param {Object} [options.experiment] - from parseDiffractionData (analyse it instead of the simulation)
+ * @param {number} [options.zeroShift=0] - applied to the measured 2θ
+ * @returns {ReturnType<typeof williamsonHallFit> & { widths }}
+ */
+export function analyseWilliamsonHall(peaks, { profile, lines, wavelength, experiment = null, zeroShift = 0 }) {
+  let twoTheta, intensity;
+  if (experiment) {
+    twoTheta = correctedTwoTheta(experiment, zeroShift);
+    intensity = experiment.intensity;
+  } else {
+    const lo = 5, hi = 150;
+    twoTheta = Float64Array.from({ length: Math.round((hi - lo) / SIMULATION_STEP) + 1 },
+      (_, i) => lo + i * SIMULATION_STEP);
+    intensity = profileAt(peaks, twoTheta, profile, lines);
+  }
+
+  const widths = measurePeakWidths(twoTheta, intensity, peaks, { profile, lines, wavelength });
+  const lambda = lines ? lines[0].lambda : wavelength;
+  return { ...williamsonHallFit(widths, lambda), widths };
+}